@@ -0,0 +1,407 @@
+// scripts/fake-razorpay.js
+//
+// In-memory stand-in for the parts of the Razorpay API this backend uses, for local testing.
+//
+//   npm run fake:razorpay                      (listens on FAKE_RAZORPAY_PORT, default 4010)
+//   RAZORPAY_API_BASE_URL=http://localhost:4010 npm run dev
+//
+// Besides the /v1 API, /__fake/* endpoints simulate what Razorpay would do on its own
+// (customer pays, mandate authorised, recurring charge, halt, refund settles) and deliver signed webhooks
+// to FAKE_RAZORPAY_WEBHOOK_URL (default http://localhost:5000/api/payments/webhook).
+// Pass "webhook": false to simulate a lost webhook (what `npm run reconcile` is for).
+import dotenv from 'dotenv';
+dotenv.config();
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const PORT = Number(process.env.FAKE_RAZORPAY_PORT) || 4010;
+const WEBHOOK_URL = process.env.FAKE_RAZORPAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+const newId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+const PERIOD_SECONDS = { daily: 86400, weekly: 7 * 86400, monthly: 30 * 86400, yearly: 365 * 86400 };
+
+export const createFakeRazorpay = () => {
+  const store = { orders: new Map(), payments: new Map(), plans: new Map(), subscriptions: new Map(), refunds: new Map(), webhooks: [] };
+
+  const app = express();
+  app.use(express.json());
+
+  const notFound = (res) =>
+    res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+
+  const badRequest = (res, description) =>
+    res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description } });
+
+  // Same signature scheme as the real gateway: HMAC-SHA256 of the raw body with the webhook secret
+  const sendWebhook = async (event, payload) => {
+    const body = JSON.stringify({
+      entity: 'event',
+      account_id: 'acc_fake',
+      event,
+      contains: Object.keys(payload),
+      payload,
+      created_at: nowSec(),
+    });
+    const eventId = newId('evt');
+    const signature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || '')
+      .update(body)
+      .digest('hex');
+
+    const record = { eventId, event, deliveredAt: new Date().toISOString(), status: null };
+    store.webhooks.push(record);
+    try {
+      const resp = await fetch(WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-razorpay-signature': signature, 'x-razorpay-event-id': eventId },
+        body,
+      });
+      record.status = resp.status;
+    } catch (err) {
+      record.status = `error: ${err.message}`;
+    }
+    console.log(`[fake-razorpay] webhook ${event} -> ${record.status}`);
+    return record;
+  };
+
+  const createPayment = ({ order, amount, status = 'captured', extra = {} }) => {
+    const payment = {
+      id: newId('pay'),
+      entity: 'payment',
+      amount,
+      currency: order ? order.currency : 'INR',
+      status,
+      order_id: order ? order.id : null,
+      method: 'card',
+      captured: status === 'captured',
+      error_code: status === 'failed' ? 'BAD_REQUEST_ERROR' : null,
+      error_description: status === 'failed' ? 'Payment failed (simulated)' : null,
+      created_at: nowSec(),
+      ...extra,
+    };
+    store.payments.set(payment.id, payment);
+    if (order && status === 'captured') {
+      order.amount_paid += amount;
+      order.amount_due = Math.max(0, order.amount - order.amount_paid);
+      order.status = order.amount_due === 0 ? 'paid' : 'attempted';
+    }
+    if (order) order.attempts += 1;
+    return payment;
+  };
+
+  /* ---------- Orders ---------- */
+
+  app.post('/v1/orders', (req, res) => {
+    const { amount, currency = 'INR', receipt, notes = {} } = req.body || {};
+    if (!Number.isInteger(amount) || amount < 100) return badRequest(res, 'The amount must be atleast INR 1.00');
+    const order = {
+      id: newId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      status: 'created',
+      attempts: 0,
+      notes,
+      created_at: nowSec(),
+    };
+    store.orders.set(order.id, order);
+    res.json(order);
+  });
+
+  app.get('/v1/orders/:id', (req, res) => {
+    const order = store.orders.get(req.params.id);
+    return order ? res.json(order) : notFound(res);
+  });
+
+  app.get('/v1/orders/:id/payments', (req, res) => {
+    if (!store.orders.has(req.params.id)) return notFound(res);
+    const items = [...store.payments.values()].filter((p) => p.order_id === req.params.id);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  app.get('/v1/payments/:id', (req, res) => {
+    const payment = store.payments.get(req.params.id);
+    return payment ? res.json(payment) : notFound(res);
+  });
+
+  /* ---------- Refunds ---------- */
+
+  // speed 'optimum' is processed instantly; 'normal' stays pending until /__fake/refunds/:id/process
+  app.post('/v1/payments/:id/refund', async (req, res) => {
+    const payment = store.payments.get(req.params.id);
+    if (!payment) return notFound(res);
+    if (payment.status !== 'captured' && payment.status !== 'refunded') return badRequest(res, 'Only captured payments can be refunded');
+    const { amount = payment.amount - (payment.amount_refunded || 0), speed = 'normal', notes = {}, receipt } = req.body || {};
+    if (!Number.isInteger(amount) || amount < 100) return badRequest(res, 'The amount must be atleast INR 1.00');
+    if (amount > payment.amount - (payment.amount_refunded || 0)) {
+      return badRequest(res, 'The refund amount provided is greater than amount captured');
+    }
+
+    const refund = {
+      id: newId('rfnd'),
+      entity: 'refund',
+      amount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      notes,
+      receipt: receipt || null,
+      status: speed === 'optimum' ? 'processed' : 'pending',
+      speed_requested: speed,
+      speed_processed: speed === 'optimum' ? 'instant' : null,
+      created_at: nowSec(),
+    };
+    store.refunds.set(refund.id, refund);
+    payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+    payment.refund_status = payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+    if (payment.refund_status === 'full') payment.status = 'refunded';
+
+    res.json(refund);
+    await sendWebhook('refund.created', { refund: { entity: refund }, payment: { entity: payment } });
+    if (refund.status === 'processed') await sendWebhook('refund.processed', { refund: { entity: refund }, payment: { entity: payment } });
+  });
+
+  app.get('/v1/refunds/:id', (req, res) => {
+    const refund = store.refunds.get(req.params.id);
+    return refund ? res.json(refund) : notFound(res);
+  });
+
+  app.get('/v1/payments/:id/refunds', (req, res) => {
+    if (!store.payments.has(req.params.id)) return notFound(res);
+    const items = [...store.refunds.values()].filter((r) => r.payment_id === req.params.id);
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  /* ---------- Plans ---------- */
+
+  app.post('/v1/plans', (req, res) => {
+    const { period, interval, item, notes = {} } = req.body || {};
+    if (!PERIOD_SECONDS[period]) return badRequest(res, 'period is invalid');
+    if (period === 'daily' && interval < 7) return badRequest(res, 'interval must be at least 7 for daily plans');
+    if (!item || !Number.isInteger(item.amount)) return badRequest(res, 'item.amount is required');
+    const plan = { id: newId('plan'), entity: 'plan', period, interval, item: { id: newId('item'), ...item }, notes, created_at: nowSec() };
+    store.plans.set(plan.id, plan);
+    res.json(plan);
+  });
+
+  app.get('/v1/plans/:id', (req, res) => {
+    const plan = store.plans.get(req.params.id);
+    return plan ? res.json(plan) : notFound(res);
+  });
+
+  /* ---------- Subscriptions ---------- */
+
+  app.post('/v1/subscriptions', (req, res) => {
+    const { plan_id, total_count, start_at, notes = {}, customer_notify = 1 } = req.body || {};
+    if (!store.plans.has(plan_id)) return badRequest(res, 'The plan_id provided does not exist');
+    if (start_at && start_at < nowSec()) return badRequest(res, 'start_at cannot be in the past');
+    const sub = {
+      id: newId('sub'),
+      entity: 'subscription',
+      plan_id,
+      status: 'created',
+      total_count,
+      paid_count: 0,
+      remaining_count: total_count,
+      start_at: start_at || null,
+      charge_at: start_at || nowSec(),
+      current_start: null,
+      current_end: null,
+      customer_notify,
+      has_scheduled_changes: false,
+      change_scheduled_at: null,
+      short_url: `http://localhost:${PORT}/__fake/checkout/${plan_id}`,
+      notes,
+      created_at: nowSec(),
+    };
+    store.subscriptions.set(sub.id, sub);
+    res.json(sub);
+  });
+
+  app.get('/v1/subscriptions/:id', (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    return sub ? res.json(sub) : notFound(res);
+  });
+
+  app.patch('/v1/subscriptions/:id', (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    const { plan_id, schedule_change_at = 'now' } = req.body || {};
+    if (plan_id && !store.plans.has(plan_id)) return badRequest(res, 'The plan_id provided does not exist');
+    if (schedule_change_at === 'cycle_end') {
+      sub.has_scheduled_changes = true;
+      sub.change_scheduled_at = sub.current_end || sub.charge_at;
+      sub.scheduled_plan_id = plan_id;
+    } else if (plan_id) {
+      sub.plan_id = plan_id;
+    }
+    res.json(sub);
+  });
+
+  app.post('/v1/subscriptions/:id/cancel_scheduled_changes', (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    sub.has_scheduled_changes = false;
+    sub.change_scheduled_at = null;
+    delete sub.scheduled_plan_id;
+    res.json(sub);
+  });
+
+  app.post('/v1/subscriptions/:id/cancel', async (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    if (['cancelled', 'completed', 'expired'].includes(sub.status)) return badRequest(res, 'Subscription is not cancellable in cancelled status.');
+    sub.status = 'cancelled';
+    sub.ended_at = nowSec();
+    res.json(sub);
+    await sendWebhook('subscription.cancelled', { subscription: { entity: sub } });
+  });
+
+  /* ---------- Simulation helpers ---------- */
+
+  // Customer completes checkout for an order. Returns the fields the client would post to /api/payments/verify.
+  app.post('/__fake/orders/:id/pay', async (req, res) => {
+    const order = store.orders.get(req.params.id);
+    if (!order) return notFound(res);
+    const { status = 'captured', amount = order.amount_due, webhook = true } = req.body || {};
+    const payment = createPayment({ order, amount, status });
+    const signature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+      .update(`${order.id}|${payment.id}`)
+      .digest('hex');
+
+    res.json({ razorpay_order_id: order.id, razorpay_payment_id: payment.id, razorpay_signature: signature, payment, order });
+
+    if (webhook) {
+      if (status === 'captured') {
+        await sendWebhook('payment.captured', { payment: { entity: payment } });
+        if (order.status === 'paid') await sendWebhook('order.paid', { payment: { entity: payment }, order: { entity: order } });
+      } else {
+        await sendWebhook('payment.failed', { payment: { entity: payment } });
+      }
+    }
+  });
+
+  // Razorpay captures an authorized payment (status 'authorized' in /__fake/orders/:id/pay)
+  app.post('/__fake/payments/:id/capture', async (req, res) => {
+    const payment = store.payments.get(req.params.id);
+    if (!payment) return notFound(res);
+    if (payment.status !== 'authorized') return badRequest(res, `Payment is ${payment.status}, not authorized`);
+    const { webhook = true } = req.body || {};
+    const order = payment.order_id ? store.orders.get(payment.order_id) : null;
+    payment.status = 'captured';
+    payment.captured = true;
+    if (order) {
+      order.amount_paid += payment.amount;
+      order.amount_due = Math.max(0, order.amount - order.amount_paid);
+      order.status = order.amount_due === 0 ? 'paid' : 'attempted';
+    }
+    res.json({ payment, order });
+    if (webhook) {
+      await sendWebhook('payment.captured', { payment: { entity: payment } });
+      if (order && order.status === 'paid') await sendWebhook('order.paid', { payment: { entity: payment }, order: { entity: order } });
+    }
+  });
+
+  // Customer authorises the mandate for a subscription
+  app.post('/__fake/subscriptions/:id/authenticate', async (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    sub.status = 'authenticated';
+    res.json(sub);
+    await sendWebhook('subscription.authenticated', { subscription: { entity: sub } });
+  });
+
+  // Gateway charges the next cycle (applies any change scheduled for cycle end)
+  app.post('/__fake/subscriptions/:id/charge', async (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    if (!['authenticated', 'active', 'pending'].includes(sub.status)) return badRequest(res, `Cannot charge a ${sub.status} subscription`);
+
+    if (sub.has_scheduled_changes && sub.scheduled_plan_id) {
+      sub.plan_id = sub.scheduled_plan_id;
+      sub.has_scheduled_changes = false;
+      sub.change_scheduled_at = null;
+      delete sub.scheduled_plan_id;
+    }
+
+    const plan = store.plans.get(sub.plan_id);
+    const order = {
+      id: newId('order'), entity: 'order', amount: plan.item.amount, amount_paid: 0, amount_due: plan.item.amount,
+      currency: plan.item.currency || 'INR', receipt: null, status: 'created', attempts: 0, notes: {}, created_at: nowSec(),
+    };
+    store.orders.set(order.id, order);
+    const payment = createPayment({ order, amount: plan.item.amount, extra: { invoice_id: newId('inv') } });
+
+    const cycle = PERIOD_SECONDS[plan.period] * plan.interval;
+    sub.status = 'active';
+    sub.paid_count += 1;
+    sub.remaining_count = Math.max(0, (sub.total_count || 0) - sub.paid_count);
+    sub.current_start = nowSec();
+    sub.current_end = sub.current_start + cycle;
+    sub.charge_at = sub.current_end;
+
+    res.json({ subscription: sub, payment });
+    await sendWebhook('subscription.charged', { subscription: { entity: sub }, payment: { entity: payment } });
+  });
+
+  // Retries exhausted
+  app.post('/__fake/subscriptions/:id/halt', async (req, res) => {
+    const sub = store.subscriptions.get(req.params.id);
+    if (!sub) return notFound(res);
+    sub.status = 'halted';
+    res.json(sub);
+    await sendWebhook('subscription.halted', { subscription: { entity: sub } });
+  });
+
+  // Bank settles a pending refund
+  app.post('/__fake/refunds/:id/process', async (req, res) => {
+    const refund = store.refunds.get(req.params.id);
+    if (!refund) return notFound(res);
+    if (refund.status !== 'pending') return badRequest(res, `Refund is already ${refund.status}`);
+    refund.status = 'processed';
+    refund.speed_processed = 'normal';
+    res.json(refund);
+    await sendWebhook('refund.processed', { refund: { entity: refund }, payment: { entity: store.payments.get(refund.payment_id) } });
+  });
+
+  // Refund bounced; the amount becomes refundable again
+  app.post('/__fake/refunds/:id/fail', async (req, res) => {
+    const refund = store.refunds.get(req.params.id);
+    if (!refund) return notFound(res);
+    if (refund.status !== 'pending') return badRequest(res, `Refund is already ${refund.status}`);
+    refund.status = 'failed';
+    const payment = store.payments.get(refund.payment_id);
+    payment.amount_refunded -= refund.amount;
+    payment.refund_status = payment.amount_refunded > 0 ? 'partial' : null;
+    if (payment.status === 'refunded') payment.status = 'captured';
+    res.json(refund);
+    await sendWebhook('refund.failed', { refund: { entity: refund }, payment: { entity: payment } });
+  });
+
+  app.get('/__fake/state', (req, res) => {
+    res.json({
+      orders: [...store.orders.values()],
+      payments: [...store.payments.values()],
+      plans: [...store.plans.values()],
+      subscriptions: [...store.subscriptions.values()],
+      refunds: [...store.refunds.values()],
+      webhooks: store.webhooks,
+    });
+  });
+
+  return { app, store, sendWebhook };
+};
+
+// Run directly: start the server
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { app } = createFakeRazorpay();
+  app.listen(PORT, () => {
+    console.log(`[fake-razorpay] listening on http://localhost:${PORT} (webhooks -> ${WEBHOOK_URL})`);
+  });
+}
@@ -0,0 +1,44 @@
+// scripts/reconcile-payments.js
+//
+// Run payment reconciliation once and print the report (the server also runs it every 15 minutes).
+//
+//   npm run reconcile                         (dry run: reports, changes nothing)
+//   npm run reconcile -- --apply              (complete / fail / fulfill payments)
+//   npm run reconcile -- --older-than=60 --lookback-days=14 --limit=500
+//
+// Against the local stub: start `npm run fake:razorpay` and set RAZORPAY_API_BASE_URL=http://localhost:4010.
+// Paying an order with `POST /__fake/orders/:id/pay {"webhook": false}` leaves exactly the kind of
+// pending payment this finds; `{"amount": ...}` with a different amount produces an amount mismatch.
+import dotenv from 'dotenv';
+dotenv.config();
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { reconcilePayments } from '../src/services/reconciliationService.js';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  const value = arg ? Number(arg.split('=')[1]) : NaN;
+  return Number.isFinite(value) ? value : undefined;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await reconcilePayments({
+      dryRun: !args.includes('--apply'),
+      olderThanMinutes: option('older-than'),
+      lookbackDays: option('lookback-days'),
+      limit: option('limit'),
+    });
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.mismatches.length || report.errors ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Reconciliation failed:', err?.message || err);
+  process.exit(1);
+});
@@ -6,6 +6,7 @@ dotenv.config();
 
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
@@ -13,7 +14,9 @@ import rateLimit from 'express-rate-limit';
 import connectDB from './src/config/database.js';
 import { validateRazorpayConfig } from './src/config/razorpay.js';
 import Plan from './src/models/Plan.js';
+import User from './src/models/User.js';
 import { errorHandler, notFound } from './src/middleware/errorHandler.js';
+import { requestId } from './src/middleware/requestId.js';
 import logger from './src/utils/logger.js';
 
 // Import routes
@@ -21,12 +24,16 @@ import authRoutes from './src/routes/authRoutes.js';
 import planRoutes from './src/routes/planRoutes.js';
 import paymentRoutes from './src/routes/paymentRoutes.js';
 import subscriptionRoutes from './src/routes/subscriptionRoutes.js';
+import couponRoutes from './src/routes/couponRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
 
 // Webhook route (must receive raw body)
 import webhookRoutes from './src/routes/webhookRoutes.js';
 
 // Cron job (subscription expiry)
 import subscriptionCron from './src/jobs/subscriptionCron.js';
+// Cron job (payment reconciliation against Razorpay)
+import reconciliationCron from './src/jobs/reconciliationCron.js';
 
 const app = express();
 
@@ -34,6 +41,7 @@ const app = express();
  * Security & basic middlewares
  */
 app.use(helmet());
+app.use(requestId);
 
 
 const PROD_FRONTEND = (process.env.FRONTEND_URL || '').replace(/\/$/, ''); // strip trailing slash
@@ -55,7 +63,8 @@ app.use(
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
     preflightContinue: false,
   })
 );
@@ -71,6 +80,7 @@ app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
 // Regular JSON / urlencoded parsers for the rest of the API
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Logging
 if (process.env.NODE_ENV === 'development') {
@@ -95,6 +105,23 @@ const authLimiter = rateLimit({
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 
+// Separate, stricter budgets for password reset (emails are sent + tokens guessed here); one each,
+// so requesting a reset email doesn't use up the attempts left to complete it
+const passwordResetLimiter = () => rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later.',
+});
+app.use('/api/auth/forgot-password', passwordResetLimiter());
+app.use('/api/auth/reset-password', passwordResetLimiter());
+
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many verification requests, please try again later.',
+});
+app.use('/api/auth/resend-verification', verificationLimiter);
+
 /**
  * Health endpoint (JSON)
  */
@@ -119,6 +146,8 @@ app.use('/api/payments/webhook', webhookRoutes);
 app.use('/api/payments', paymentRoutes);
 
 app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 and error handler (order matters)
 app.use(notFound);
@@ -144,6 +173,18 @@ const start = async () => {
       // Not fatal — continue
     }
 
+    // 3b) Accounts from before email verification count as verified (idempotent).
+    // EMAIL_VERIFICATION_SINCE: when verification went live (ISO date)
+    try {
+      const since = process.env.EMAIL_VERIFICATION_SINCE ? new Date(process.env.EMAIL_VERIFICATION_SINCE) : null;
+      const backfill = await User.backfillEmailVerified({
+        createdBefore: since && !Number.isNaN(since.getTime()) ? since : undefined,
+      });
+      if (backfill.missing || backfill.legacy) logger.info('Email verification backfill', { backfill });
+    } catch (err) {
+      logger.error('Email verification backfill failed', { err: err?.message || err });
+    }
+
     // 4) Start server
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, () => {
@@ -162,6 +203,13 @@ const start = async () => {
       logger.warn('Subscription cron failed to start', { err: err?.message || err });
     }
 
+    try {
+      reconciliationCron.start();
+      logger.info('Reconciliation cron started');
+    } catch (err) {
+      logger.warn('Reconciliation cron failed to start', { err: err?.message || err });
+    }
+
     // 6) Graceful shutdown & global error handling
     process.on('unhandledRejection', (err) => {
       logger.error(`Unhandled Rejection: ${err?.message ?? err}`);
@@ -23,6 +23,11 @@ export const getRazorpay = () => {
     key_id: process.env.RAZORPAY_KEY_ID,
     key_secret: process.env.RAZORPAY_KEY_SECRET,
   });
+  // Point the SDK at another host (e.g. scripts/fake-razorpay.js) for local testing
+  if (process.env.RAZORPAY_API_BASE_URL) {
+    instance.api.rq.defaults.baseURL = process.env.RAZORPAY_API_BASE_URL.replace(/\/$/, '');
+    logger.warn(`Razorpay client using custom API base URL: ${instance.api.rq.defaults.baseURL}`);
+  }
   logger.info('Razorpay client initialized');
   return instance;
 };
@@ -0,0 +1,30 @@
+// src/config/seller.js
+import logger from '../utils/logger.js';
+
+// Supplier details printed on tax invoices. Read on each call: .env is loaded after imports.
+export const getSellerDetails = () => ({
+  legalName: process.env.SELLER_LEGAL_NAME || 'Prydan (Your Company)',
+  address: process.env.SELLER_ADDRESS || '',
+  stateCode: process.env.SELLER_STATE_CODE || '',
+  gstin: process.env.SELLER_GSTIN || '',
+  email: process.env.SELLER_EMAIL || process.env.EMAIL_FROM || 'no-reply@prydan.com',
+  // Services Accounting Code for the subscription (998314: IT design & development services)
+  sacCode: process.env.SELLER_SAC_CODE || '998314',
+});
+
+let warned = false;
+
+/**
+ * Seller state decides intra- vs inter-state GST. Falls back to the GSTIN's state code.
+ */
+export const getSellerStateCode = () => {
+  const seller = getSellerDetails();
+  const code = seller.stateCode || (seller.gstin ? seller.gstin.slice(0, 2) : '');
+  if (!code && !warned) {
+    warned = true;
+    logger.warn('SELLER_STATE_CODE / SELLER_GSTIN not set: all invoices will show IGST');
+  }
+  return code;
+};
+
+export default { getSellerDetails, getSellerStateCode };
@@ -0,0 +1,57 @@
+// src/controllers/auditController.js
+// Admin access to the audit log (read-only; entries are append-only)
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * @desc    Search the audit log, newest first
+ * @route   GET /api/admin/audit-logs?actorId=&actorType=&action=&targetType=&targetId=&outcome=&requestId=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ *
+ * action matches a prefix when it ends with '.', e.g. action=payment. for every payment action.
+ */
+export const listAuditLogs = asyncHandler(async (req, res) => {
+  const { actorId, actorType, action, targetType, targetId, outcome, requestId, from, to, page = 1, limit = 50 } = req.query;
+  const q = {};
+
+  if (actorId) q['actor.user'] = actorId;
+  if (actorType) q['actor.type'] = actorType;
+  if (action) {
+    q.action = action.endsWith('.')
+      ? new RegExp(`^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`)
+      : action;
+  }
+  if (targetType) q['target.type'] = targetType;
+  if (targetId) q['target.id'] = String(targetId);
+  if (outcome) q.outcome = outcome;
+  if (requestId) q.requestId = requestId;
+  if (from || to) {
+    q.createdAt = {};
+    if (from) q.createdAt.$gte = new Date(from);
+    if (to) q.createdAt.$lt = new Date(to);
+  }
+
+  const perPage = Math.min(200, Math.max(1, Number(limit) || 50));
+  const skip = (Math.max(1, Number(page) || 1) - 1) * perPage;
+  const [entries, total] = await Promise.all([
+    AuditLog.find(q).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(perPage),
+    AuditLog.countDocuments(q),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    meta: { total, page: Math.max(1, Number(page) || 1), limit: perPage },
+  });
+});
+
+/**
+ * @desc    One audit log entry
+ * @route   GET /api/admin/audit-logs/:id
+ * @access  Private/Admin
+ */
+export const getAuditLog = asyncHandler(async (req, res, next) => {
+  const entry = await AuditLog.findById(req.params.id).populate('actor.user', 'name email');
+  if (!entry) return next(new ApiError('Audit log entry not found', 404));
+  res.status(200).json({ success: true, data: entry });
+});
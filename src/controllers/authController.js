@@ -1,12 +1,48 @@
 
 // src/controllers/authController.js
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import Subscription from '../models/Subscription.js';
 import Payment from '../models/Payment.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
-import { sendTokenResponse } from '../utils/jwt.js';
+import { sendTokenResponse, clearAuthCookies } from '../utils/jwt.js';
+import { generateEmailVerificationToken, verifyEmailVerificationToken } from '../utils/generateToken.js';
+import { sendEmail } from '../utils/emailService.js';
+import { recordAudit, diffChanges, pickFields } from '../services/auditService.js';
 import logger from '../utils/logger.js';
 
+// Read lazily: ESM imports are evaluated before server.js calls dotenv.config()
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Email a signed verification link for `email` (the current or pending address).
+ * Best-effort: failures are logged and the user can use the resend endpoint.
+ */
+const sendVerificationEmail = async (user, email = user.email) => {
+  try {
+    const token = generateEmailVerificationToken(user._id, email);
+    const verifyUrl = `${getFrontendUrl()}/verify-email/${token}`;
+    const text = [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'Please confirm this email address for your account by opening the link below:',
+      verifyUrl,
+      '',
+      'The link is valid for 24 hours. If you did not request this, you can ignore this email.',
+      '',
+      'Best regards,',
+      'The Prydan Team',
+    ].join('\n');
+
+    await sendEmail({ to: email, subject: 'Verify your email address', text });
+    logger.info(`Verification email sent: ${email}`);
+    return true;
+  } catch (err) {
+    logger.warn('Failed to send verification email', { err: err?.message || err, userId: user._id.toString() });
+    return false;
+  }
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -26,13 +62,15 @@ export const register = asyncHandler(async (req, res, next) => {
     return next(new ApiError('User with this email already exists', 400));
   }
 
-  // Create user
+  // Create user (unverified until the emailed link is followed)
   const user = await User.create({ name, email, password });
 
   logger.info(`New user registered: ${email}`);
 
+  await sendVerificationEmail(user);
+
   // Send token response (sets cookie and returns token + user)
-  sendTokenResponse(user, 201, res, 'User registered successfully');
+  await sendTokenResponse(user, 201, res, 'User registered successfully. Please check your email to verify your address.');
 });
 
 /**
@@ -79,7 +117,7 @@ export const login = asyncHandler(async (req, res, next) => {
   logger.info(`User logged in: ${email}`);
 
   // Send token response
-  sendTokenResponse(user, 200, res, 'Login successful');
+  await sendTokenResponse(user, 200, res, 'Login successful');
 });
 
 /**
@@ -133,14 +171,17 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
   }
 
   const updates = {};
+  let emailChangeRequested = false;
   if (name) updates.name = name;
-  if (email) {
+  if (email && email !== req.user.email) {
     // Ensure email not taken by another user
     const existingUser = await User.findOne({ email });
     if (existingUser && existingUser._id.toString() !== req.user._id.toString()) {
       return next(new ApiError('Email already in use', 400));
     }
-    updates.email = email;
+    // New address is held as pending until the user proves they own it
+    updates.pendingEmail = email;
+    emailChangeRequested = true;
   }
 
   const updatedUser = await User.findByIdAndUpdate(req.user._id, updates, {
@@ -148,15 +189,73 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
     runValidators: true,
   }).select('-password');
 
+  if (emailChangeRequested) {
+    await sendVerificationEmail(updatedUser, updatedUser.pendingEmail);
+  }
+
+  await recordAudit({
+    req,
+    action: 'user.profile_update',
+    target: { type: 'User', id: updatedUser._id, label: updatedUser.email },
+    changes: diffChanges(
+      { name: req.user.name, pendingEmail: req.user.pendingEmail },
+      { name: updatedUser.name, pendingEmail: updatedUser.pendingEmail }
+    ),
+  });
+
   logger.info(`User profile updated: ${updatedUser.email}`);
 
   res.status(200).json({
     success: true,
-    message: 'Profile updated successfully',
+    message: emailChangeRequested
+      ? 'Profile updated. Please verify your new email address to complete the change.'
+      : 'Profile updated successfully',
     data: updatedUser,
   });
 });
 
+// Billing profile fields a user may set
+const BILLING_PROFILE_FIELDS = ['legalName', 'addressLine1', 'addressLine2', 'city', 'state', 'stateCode', 'postalCode', 'country', 'gstin'];
+
+/**
+ * @desc    Get billing profile (used for GST tax invoices)
+ * @route   GET /api/auth/billing-profile
+ * @access  Private
+ */
+export const getBillingProfile = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('billingProfile');
+  if (!user) return next(new ApiError('User not found', 404));
+  res.status(200).json({ success: true, data: user.billingProfile || null });
+});
+
+/**
+ * @desc    Update billing profile. Applies to orders created afterwards; past invoices keep their details.
+ * @route   PUT /api/auth/billing-profile
+ * @access  Private
+ */
+export const updateBillingProfile = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  if (!user) return next(new ApiError('User not found', 404));
+
+  const before = pickFields(user.billingProfile || {}, BILLING_PROFILE_FIELDS);
+  for (const key of BILLING_PROFILE_FIELDS) {
+    if (typeof req.body[key] !== 'undefined') {
+      // empty string clears an optional field (e.g. removing a GSTIN)
+      user.set(`billingProfile.${key}`, req.body[key] === '' ? undefined : req.body[key]);
+    }
+  }
+  await user.save();
+
+  await recordAudit({
+    req,
+    action: 'user.billing_profile_update',
+    target: { type: 'User', id: user._id, label: user.email },
+    changes: diffChanges(before, pickFields(user.billingProfile || {}, BILLING_PROFILE_FIELDS)),
+  });
+  logger.info('Billing profile updated', { userId: user._id.toString(), hasGstin: Boolean(user.billingProfile?.gstin) });
+  res.status(200).json({ success: true, message: 'Billing profile updated', data: user.billingProfile });
+});
+
 /**
  * @desc    Update password
  * @route   PUT /api/auth/password
@@ -180,6 +279,13 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   // Check current password
   const isPasswordMatch = await user.comparePassword(currentPassword);
   if (!isPasswordMatch) {
+    await recordAudit({
+      req,
+      action: 'user.password_change',
+      target: { type: 'User', id: user._id, label: user.email },
+      outcome: 'failure',
+      metadata: { reason: 'current password incorrect' },
+    });
     return next(new ApiError('Current password is incorrect', 401));
   }
 
@@ -187,30 +293,223 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every device (including this one), then issue a fresh session for this device
+  await Session.revokeAllForUser(user._id, 'password_changed');
+  await recordAudit({ req, action: 'user.password_change', target: { type: 'User', id: user._id, label: user.email } });
+
   logger.info(`Password updated for user: ${user.email}`);
 
-  // Send token response with new token (optional)
-  sendTokenResponse(user, 200, res, 'Password updated successfully');
+  await sendTokenResponse(user, 200, res, 'Password updated successfully');
+});
+
+/**
+ * @desc    Verify email address from the signed link
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyEmailVerificationToken(req.params.token);
+  } catch (err) {
+    return next(new ApiError('Verification link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) return next(new ApiError('Verification link is invalid or has expired', 400));
+
+  const tokenEmail = String(decoded.email || '').toLowerCase();
+
+  if (user.pendingEmail && tokenEmail === user.pendingEmail) {
+    // Email change: the address may have been claimed since the change was requested
+    const taken = await User.findOne({ email: tokenEmail, _id: { $ne: user._id } });
+    if (taken) return next(new ApiError('Email already in use', 400));
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    logger.info(`Email changed after verification: ${previousEmail} -> ${user.email}`);
+  } else if (tokenEmail !== user.email) {
+    // Link was issued for an address the user no longer uses
+    return next(new ApiError('Verification link is no longer valid', 400));
+  } else if (user.emailVerified) {
+    return res.status(200).json({ success: true, message: 'Email already verified' });
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  logger.info(`Email verified: ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: { email: user.email, emailVerified: true },
+  });
 });
 
 /**
- * @desc    Logout user / clear cookie
+ * @desc    Resend the verification email (pending address takes precedence)
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  if (!user) return next(new ApiError('User not found', 404));
+
+  const target = user.pendingEmail || (user.emailVerified ? null : user.email);
+  if (!target) {
+    return next(new ApiError('Email already verified', 400));
+  }
+
+  const sent = await sendVerificationEmail(user, target);
+  if (!sent) return next(new ApiError('Failed to send verification email. Please try again later.', 502));
+
+  res.status(200).json({ success: true, message: `Verification email sent to ${target}` });
+});
+
+// Store a reset token and email the link (best-effort; never throws). On failure the token is
+// rolled back so an undelivered link cannot be used later.
+const sendResetLink = async (user) => {
+  try {
+    const resetToken = user.generateResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${getFrontendUrl()}/reset-password/${resetToken}`;
+    const text = [
+      `Hi ${user.name || 'there'},`,
+      '',
+      'We received a request to reset the password for your account.',
+      'Use the link below within 30 minutes to choose a new password:',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email — your password will stay the same.',
+      '',
+      'Best regards,',
+      'The Prydan Team',
+    ].join('\n');
+
+    await sendEmail({ to: user.email, subject: 'Reset your password', text });
+    logger.info(`Password reset email sent: ${user.email}`);
+  } catch (err) {
+    logger.error('Password reset email failed', { err: err?.message || err });
+    try {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    } catch (rollbackErr) {
+      logger.error('Password reset token rollback failed', { err: rollbackErr?.message || rollbackErr });
+    }
+  }
+};
+
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ *
+ * Always responds with the same message, before any token is saved or email sent, so neither the
+ * body nor the response time shows which emails are registered.
+ */
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.',
+  });
+
+  if (!user || !user.isActive) {
+    logger.info('Password reset requested for unknown or inactive email');
+    return;
+  }
+  void sendResetLink(user);
+});
+
+/**
+ * @desc    Reset password using the emailed token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  const user = await User.findByResetToken(req.params.token);
+  if (!user) {
+    return next(new ApiError('Reset link is invalid or has expired', 400));
+  }
+
+  if (!user.isActive) {
+    return next(new ApiError('Your account has been deactivated', 403));
+  }
+
+  // pre-save hook hashes the password and stamps passwordChangedAt (invalidating older tokens)
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  logger.info(`Password reset completed for user: ${user.email}`);
+
+  await sendTokenResponse(user, 200, res, 'Password reset successfully');
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access + refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token in body or httpOnly cookie)
+ */
+export const refreshToken = asyncHandler(async (req, res, next) => {
+  const presented = (req.body && req.body.refreshToken) || (req.cookies && req.cookies.refreshToken);
+  if (!presented) return next(new ApiError('Refresh token is required', 401));
+
+  const result = await Session.rotateRefreshToken(presented);
+
+  if (result.status === 'reused') {
+    logger.warn('Refresh token reuse detected; session revoked', {
+      sessionId: result.session._id.toString(),
+      userId: result.session.user.toString(),
+    });
+    clearAuthCookies(res);
+    return next(new ApiError('Session has been revoked. Please login again.', 401));
+  }
+
+  if (result.status !== 'ok') {
+    clearAuthCookies(res);
+    return next(new ApiError('Invalid or expired refresh token. Please login again.', 401));
+  }
+
+  const user = await User.findById(result.session.user);
+  if (!user || !user.isActive) {
+    await result.session.revoke('account_deactivated');
+    clearAuthCookies(res);
+    return next(new ApiError('Your account has been deactivated', 403));
+  }
+
+  await sendTokenResponse(user, 200, res, 'Token refreshed', {
+    session: result.session,
+    refreshToken: result.refreshToken,
+  });
+});
+
+/**
+ * @desc    Logout user / revoke current session and clear cookies
  * @route   POST /api/auth/logout
  * @access  Private
  */
 export const logout = asyncHandler(async (req, res, next) => {
-  const cookieOptions = {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  };
-
-  // In production use secure cookies (HTTPS)
-  if (process.env.NODE_ENV === 'production') {
-    cookieOptions.secure = true;
-    cookieOptions.sameSite = 'none';
+  if (req.sessionId) {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
   }
 
-  res.cookie('token', 'none', cookieOptions);
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,207 @@
+// src/controllers/couponController.js
+import Coupon from '../models/Coupon.js';
+import Plan from '../models/Plan.js';
+import Subscription from '../models/Subscription.js';
+import Payment from '../models/Payment.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { applyCoupon } from '../services/couponService.js';
+import { computeTax } from '../services/taxService.js';
+import { resolveCurrency } from '../services/pricingService.js';
+import { calculateUpgradeProration } from '../utils/proration.js';
+import { recordAudit, diffChanges, pickFields } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscountAmount',
+  'validFrom',
+  'expiresAt',
+  'maxRedemptions',
+  'perUserLimit',
+  'plans',
+  'actions',
+  'isActive',
+];
+
+const pickCouponFields = (body = {}) => {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (typeof body[key] !== 'undefined') data[key] = body[key];
+  }
+  return data;
+};
+
+/**
+ * @desc    Preview a coupon for an order (same rules and amounts as create-order)
+ * @route   POST /api/coupons/validate
+ * @access  Private
+ *
+ * Body: { couponCode, planId, action?: 'purchase'|'renew'|'upgrade', subscriptionId? (required for renew/upgrade), currency? }
+ */
+export const validateCoupon = asyncHandler(async (req, res, next) => {
+  const { couponCode, planId, action = 'purchase', subscriptionId, currency: requestedCurrency } = req.body;
+
+  const plan = await Plan.findById(planId);
+  if (!plan || !plan.isActive) return next(new ApiError('This plan is no longer available', 400));
+
+  let sub = null;
+  if (action === 'upgrade' || action === 'renew') {
+    if (!subscriptionId) return next(new ApiError('subscriptionId is required for renew/upgrade', 400));
+    sub = await Subscription.findById(subscriptionId);
+    if (!sub) return next(new ApiError('Target subscription not found', 404));
+    if (String(sub.user) !== String(req.user._id)) return next(new ApiError('Target subscription not owned by user', 403));
+  }
+
+  const resolved = await resolveCurrency({ requested: requestedCurrency, user: req.user, plan, subscription: sub });
+  const { currency } = resolved;
+
+  // Upgrades are charged after the credit for unused time, so preview on that amount
+  let { amount } = resolved;
+  if (action === 'upgrade') {
+    const oldPlan = await Plan.findById(sub.plan);
+    const payment = await Payment.findFundingPayment(sub._id);
+    amount = calculateUpgradeProration({ subscription: sub, oldPlan, newPlan: plan, payment, currency }).chargeAmount;
+  }
+
+  const { coupon, discountAmount, finalAmount } = await applyCoupon({
+    code: couponCode,
+    userId: req.user._id,
+    planId: plan._id,
+    action,
+    amount,
+    currency,
+  });
+
+  const { total: payableAmount, ...tax } = await computeTax({ user: req.user, amount: finalAmount, taxInclusive: plan.taxInclusive });
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon applied',
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      currency,
+      originalAmount: amount,
+      discountAmount,
+      finalAmount,
+      tax,
+      payableAmount,
+    },
+  });
+});
+
+/**
+ * @desc    List coupons
+ * @route   GET /api/coupons
+ * @access  Private/Admin
+ */
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { isActive, page = 1, limit = 20 } = req.query;
+  const q = {};
+  if (typeof isActive !== 'undefined') q.isActive = isActive === 'true';
+
+  const perPage = Math.min(100, Math.max(1, Number(limit) || 20));
+  const skip = (Math.max(1, Number(page) || 1) - 1) * perPage;
+  const [coupons, total] = await Promise.all([
+    Coupon.find(q).sort({ createdAt: -1 }).skip(skip).limit(perPage).populate('plans', 'name'),
+    Coupon.countDocuments(q),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: coupons,
+    meta: { total, page: Math.max(1, Number(page) || 1), limit: perPage },
+  });
+});
+
+/**
+ * @desc    Get a coupon
+ * @route   GET /api/coupons/:id
+ * @access  Private/Admin
+ */
+export const getCouponById = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id).populate('plans', 'name');
+  if (!coupon) return next(new ApiError('Coupon not found', 404));
+  res.status(200).json({ success: true, data: coupon });
+});
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/coupons
+ * @access  Private/Admin
+ */
+export const createCoupon = asyncHandler(async (req, res, next) => {
+  const data = pickCouponFields(req.body);
+  if (await Coupon.findByCode(data.code)) return next(new ApiError('A coupon with this code already exists', 400));
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+  await recordAudit({
+    req,
+    action: 'coupon.create',
+    target: { type: 'Coupon', id: coupon._id, label: coupon.code },
+    changes: diffChanges({}, pickFields(coupon, EDITABLE_FIELDS), EDITABLE_FIELDS),
+  });
+  logger.info('Coupon created', { couponId: coupon._id.toString(), code: coupon.code, by: req.user._id.toString() });
+  res.status(201).json({ success: true, data: coupon });
+});
+
+/**
+ * @desc    Update a coupon. Payments keep the discount they were created with.
+ * @route   PATCH /api/coupons/:id
+ * @access  Private/Admin
+ */
+export const updateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) return next(new ApiError('Coupon not found', 404));
+
+  const updates = pickCouponFields(req.body);
+  if (updates.code && String(updates.code).trim().toUpperCase() !== coupon.code) {
+    const clash = await Coupon.findByCode(updates.code);
+    if (clash) return next(new ApiError('A coupon with this code already exists', 400));
+  }
+
+  const before = pickFields(coupon, EDITABLE_FIELDS);
+  coupon.set(updates);
+  await coupon.save();
+
+  await recordAudit({
+    req,
+    action: 'coupon.update',
+    target: { type: 'Coupon', id: coupon._id, label: coupon.code },
+    changes: diffChanges(before, pickFields(coupon, EDITABLE_FIELDS), EDITABLE_FIELDS),
+  });
+  logger.info('Coupon updated', { couponId: coupon._id.toString(), fields: Object.keys(updates), by: req.user._id.toString() });
+  res.status(200).json({ success: true, data: coupon });
+});
+
+/**
+ * @desc    Deactivate a coupon (kept so past payments still resolve it)
+ * @route   DELETE /api/coupons/:id
+ * @access  Private/Admin
+ */
+export const deactivateCoupon = asyncHandler(async (req, res, next) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) return next(new ApiError('Coupon not found', 404));
+
+  if (!coupon.isActive) {
+    return res.status(200).json({ success: true, message: 'Coupon already inactive', data: coupon });
+  }
+
+  coupon.isActive = false;
+  await coupon.save();
+
+  await recordAudit({
+    req,
+    action: 'coupon.deactivate',
+    target: { type: 'Coupon', id: coupon._id, label: coupon.code },
+    changes: { before: { isActive: true }, after: { isActive: false } },
+  });
+  logger.info('Coupon deactivated', { couponId: coupon._id.toString(), code: coupon.code, by: req.user._id.toString() });
+  res.status(200).json({ success: true, message: 'Coupon deactivated', data: coupon });
+});
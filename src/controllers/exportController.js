@@ -0,0 +1,117 @@
+// src/controllers/exportController.js
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { resolveReportRange } from '../utils/timezone.js';
+import { writeExport, writeInvoiceZip } from '../services/exportService.js';
+import { recordAudit } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  zip: 'application/zip',
+};
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+/*
+ * Writer for a streamed download. Headers go out with the first chunk, so a validation error
+ * thrown before anything is written still reaches the error handler as JSON.
+ */
+const streamTo = (res, { contentType, filename }) => {
+  const write = async (chunk) => {
+    if (!res.headersSent) {
+      res.status(200);
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      });
+    }
+    if (!res.write(chunk)) {
+      // wait for the client to catch up (or go away)
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+  const isAborted = () => res.destroyed || res.writableEnded;
+  return { write, isAborted };
+};
+
+// An error after the first chunk can't become a JSON response; cut the download short instead
+const failStream = (res, err, context) => {
+  if (!res.headersSent) throw err;
+  logger.error('Export failed mid-stream', { ...context, err: err?.message || err });
+  res.destroy(err);
+};
+
+/**
+ * @desc    Stream payments or subscriptions as CSV or NDJSON
+ * @route   GET /api/admin/exports/:type?format=&from=&to=&tz=&dateField=&status=&planId=&action=
+ * @access  Private/Admin
+ */
+export const exportRecords = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const { format = 'csv', dateField, status, planId, action } = req.query;
+  const range = resolveReportRange({ from: req.query.from, to: req.query.to, tz: req.query.tz || 'UTC' });
+
+  const { write, isAborted } = streamTo(res, {
+    contentType: CONTENT_TYPES[format],
+    filename: `${type}-${day(range.from)}-${day(range.to)}.${format}`,
+  });
+
+  try {
+    const count = await writeExport({
+      type,
+      format,
+      filters: { from: range.from, to: range.to, dateField, status, plan: planId, action },
+      write,
+      isAborted,
+    });
+    if (!isAborted()) res.end();
+    logger.info('Export streamed', { type, format, count, adminId: req.user._id.toString() });
+    await recordAudit({
+      req,
+      action: 'export.download',
+      target: { type: 'Export', label: type },
+      metadata: { format, from: range.from, to: range.to, dateField, status, planId, action, count, aborted: isAborted() && !res.writableEnded },
+    });
+  } catch (err) {
+    failStream(res, err, { type, format });
+  }
+});
+
+/**
+ * @desc    Download a ZIP of the invoice PDFs for payments completed in a period
+ * @route   GET /api/admin/exports/invoices?from=&to=&tz=
+ * @access  Private/Admin
+ */
+export const exportInvoices = asyncHandler(async (req, res) => {
+  const range = resolveReportRange({ from: req.query.from, to: req.query.to, tz: req.query.tz || 'UTC' });
+
+  const { write, isAborted } = streamTo(res, {
+    contentType: CONTENT_TYPES.zip,
+    filename: `invoices-${day(range.from)}-${day(range.to)}.zip`,
+  });
+
+  try {
+    const result = await writeInvoiceZip({ from: range.from, to: range.to, write, isAborted });
+    // an empty period still gets a (valid, empty) archive
+    if (!isAborted()) res.end();
+    logger.info('Invoice ZIP streamed', { ...result, adminId: req.user._id.toString() });
+    await recordAudit({
+      req,
+      action: 'export.invoices',
+      target: { type: 'Export', label: 'invoices' },
+      metadata: { from: range.from, to: range.to, ...result },
+    });
+  } catch (err) {
+    failStream(res, err, { type: 'invoices' });
+  }
+});
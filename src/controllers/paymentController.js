@@ -7,17 +7,24 @@ import { verifyRazorpaySignature } from '../utils/validators.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 import mongoose from 'mongoose';
-import { generateInvoicePdfBuffer } from '../utils/pdfGenerator.js';
+import { calculateUpgradeProration } from '../utils/proration.js';
+import { fulfillPayment } from '../services/fulfillmentService.js';
+import { initiateRefund } from '../services/refundService.js';
+import { applyCoupon } from '../services/couponService.js';
+import { computeTax } from '../services/taxService.js';
+import { resolveCurrency } from '../services/pricingService.js';
+import { invoiceFilename, getInvoicePdf, storeInvoice, sendPaymentConfirmationEmail } from '../services/invoiceService.js';
 import { sendInvoiceEmail } from '../utils/emailService.js';
+import { recordAudit } from '../services/auditService.js';
 
 /**
  * Create an order (server determines amount from plan)
  * POST /api/payments/create-order
  *
- * Body: { planId, action?: 'purchase'|'renew'|'upgrade', subscriptionId?: string }
+ * Body: { planId, action?: 'purchase'|'renew'|'upgrade', subscriptionId?: string, couponCode?: string, currency?: string }
  */
 export const createOrder = asyncHandler(async (req, res, next) => {
-  const { planId, action = 'purchase', subscriptionId } = req.body;
+  const { planId, action = 'purchase', subscriptionId, couponCode, currency: requestedCurrency } = req.body;
 
   logger.info('createOrder called', { planId, action, userId: req?.user?._id?.toString?.() ?? null });
 
@@ -29,12 +36,7 @@ export const createOrder = asyncHandler(async (req, res, next) => {
   if (!planId) return next(new ApiError('planId is required', 400));
   const plan = await Plan.findById(planId);
   if (!plan) return next(new ApiError('Invalid planId', 400));
-
-  const amountPaise = Number(plan.amount);
-  if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
-    logger.error('Plan amount misconfigured', { planId, amount: plan.amount });
-    return next(new ApiError('Server misconfiguration: plan amount invalid', 500));
-  }
+  if (!plan.isActive) return next(new ApiError('This plan is no longer available', 400));
 
   let targetSubscription = null;
   if (action === 'renew' || action === 'upgrade') {
@@ -43,18 +45,86 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     targetSubscription = await Subscription.findById(subscriptionId);
     if (!targetSubscription) return next(new ApiError('Target subscription not found', 404));
     if (String(targetSubscription.user) !== String(req.user._id)) return next(new ApiError('Target subscription not owned by user', 403));
+    if (targetSubscription.status === 'paused') {
+      return next(new ApiError('Resume this subscription before renewing or upgrading it', 400));
+    }
+    if (targetSubscription.status === 'trialing') {
+      return next(new ApiError('To keep a trial plan, purchase it; to switch, purchase the other plan', 400));
+    }
     // Prevent upgrade to same plan
     if (action === 'upgrade' && String(targetSubscription.plan) === String(plan._id)) {
       return next(new ApiError('Cannot upgrade to the same plan', 400));
     }
   } else {
     // purchase: don't allow purchase if user already has an active subscription for the same plan
-    const existingActive = await Subscription.findOne({ user: req.user._id, status: 'active', endDate: { $gt: new Date() } });
-    if (existingActive && String(existingActive.plan) === String(plan._id)) {
+    const existingActive = await Subscription.findOne({ user: req.user._id, ...Subscription.entitledFilter() });
+    // buying the plan being trialled converts the trial
+    if (existingActive && existingActive.status !== 'trialing' && String(existingActive.plan) === String(plan._id)) {
       return next(new ApiError('You already have an active subscription for this plan. Use renew or upgrade.', 400));
     }
+    const paused = await Subscription.findOne({ user: req.user._id, plan: plan._id, status: 'paused' });
+    if (paused) {
+      return next(new ApiError('You have a paused subscription for this plan. Resume it instead.', 400));
+    }
+  }
+
+  // Renewals and upgrades keep the subscription's currency; purchases pick one
+  const { currency, amount: planAmount } = await resolveCurrency({
+    requested: requestedCurrency,
+    user: req.user,
+    plan,
+    subscription: targetSubscription,
+  });
+  let amountPaise = Number(planAmount);
+  if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
+    logger.error('Plan amount misconfigured', { planId, currency, amount: planAmount });
+    return next(new ApiError('Server misconfiguration: plan amount invalid', 500));
+  }
+
+  // Upgrade: charge only the difference after crediting unused time on the current subscription
+  let proration;
+  if (action === 'upgrade') {
+    const oldPlan = await Plan.findById(targetSubscription.plan);
+    const oldPriority = targetSubscription.planSnapshot?.priority ?? oldPlan?.priority ?? 0;
+    if (oldPriority >= plan.priority) {
+      return next(new ApiError('Cannot downgrade or choose same level plan. Upgrade only to higher plans.', 400));
+    }
+
+    const fundingPayment = await Payment.findFundingPayment(targetSubscription._id);
+    const calc = calculateUpgradeProration({ subscription: targetSubscription, oldPlan, newPlan: plan, payment: fundingPayment, currency });
+    amountPaise = calc.chargeAmount;
+    proration = { ...calc, calculatedAt: new Date() };
+    delete proration.chargeAmount;
+
+    logger.info('Upgrade proration calculated', {
+      subscriptionId: targetSubscription._id.toString(),
+      planAmount: calc.planAmount,
+      creditAmount: calc.creditAmount,
+      chargeAmount: calc.chargeAmount,
+      bonusDays: calc.bonusDays,
+      creditSource: calc.creditSource,
+    });
+  }
+
+  // Coupon applies to what would otherwise be charged (after any upgrade credit)
+  let discount;
+  if (couponCode) {
+    const applied = await applyCoupon({ code: couponCode, userId: req.user._id, planId: plan._id, action, amount: amountPaise, currency });
+    discount = {
+      coupon: applied.coupon._id,
+      code: applied.coupon.code,
+      type: applied.coupon.discountType,
+      value: applied.coupon.discountValue,
+      amount: applied.discountAmount,
+      originalAmount: amountPaise,
+    };
+    amountPaise = applied.finalAmount;
   }
 
+  // GST last: included in the price or added on top, per plan
+  const { total, ...tax } = await computeTax({ user: req.user, amount: amountPaise, taxInclusive: plan.taxInclusive });
+  amountPaise = total;
+
   // create Payment doc
   let payment;
   try {
@@ -62,8 +132,12 @@ export const createOrder = asyncHandler(async (req, res, next) => {
       user: req.user._id,
       plan: plan._id,
       amount: amountPaise,
+      currency,
       action,
       targetSubscription: targetSubscription ? targetSubscription._id : undefined,
+      proration,
+      discount,
+      tax,
     });
   } catch (err) {
     logger.error('Payment.create failed', { err: err.message });
@@ -74,7 +148,7 @@ export const createOrder = asyncHandler(async (req, res, next) => {
   const razorpay = getRazorpay();
   const options = {
     amount: amountPaise,
-    currency: 'INR',
+    currency,
     receipt: payment.receipt,
     payment_capture: 1,
   };
@@ -99,6 +173,9 @@ export const createOrder = asyncHandler(async (req, res, next) => {
       currency: order.currency,
       key: process.env.RAZORPAY_KEY_ID,
       paymentId: payment._id,
+      proration: proration || null,
+      discount: discount || null,
+      tax,
     },
   });
 });
@@ -106,6 +183,13 @@ export const createOrder = asyncHandler(async (req, res, next) => {
 
 
 
+/**
+ * Verify payment after client completes checkout
+ * POST /api/payments/verify
+ *
+ * Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature, paymentId }
+ * Subscription changes are applied by the fulfillment service (shared with the webhook).
+ */
 export const verifyPayment = asyncHandler(async (req, res, next) => {
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature, paymentId } = req.body;
 
@@ -116,235 +200,74 @@ export const verifyPayment = asyncHandler(async (req, res, next) => {
   const payment = await Payment.findById(paymentId);
   if (!payment) return next(new ApiError('Payment record not found', 404));
 
+  if (String(payment.user) !== String(req.user._id)) {
+    return next(new ApiError('Payment does not belong to the authenticated user', 403));
+  }
+
   if (payment.razorpayOrderId && payment.razorpayOrderId !== razorpay_order_id) {
     return next(new ApiError('Order id mismatch', 400));
   }
 
-  // Verify signature (existing util)
+  const statusBefore = payment.status;
+  const target = { type: 'Payment', id: payment._id, label: payment.receipt };
+  const auditFailure = async (reason) => {
+    await recordAudit({
+      req,
+      action: 'payment.verify',
+      target,
+      outcome: 'failure',
+      changes: payment.status !== statusBefore ? { before: { status: statusBefore }, after: { status: payment.status } } : undefined,
+      metadata: { reason, razorpayOrderId: razorpay_order_id, razorpayPaymentId: razorpay_payment_id },
+    });
+  };
+
+  // Verify signature (existing util). Never downgrade a payment the webhook already completed.
   let ok = false;
   try {
     ok = verifyRazorpaySignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
   } catch (err) {
     logger.error('Razorpay signature verify error', { err: err?.message || err });
-    await payment.markFailed('Signature verification error');
+    if (payment.status === 'pending') await payment.markFailed('Signature verification error');
+    await auditFailure('Signature verification error');
     return next(new ApiError('Payment verification failed', 400));
   }
 
   if (!ok) {
-    await payment.markFailed('Signature verification failed');
+    if (payment.status === 'pending') await payment.markFailed('Signature verification failed');
+    await auditFailure('Signature verification failed');
     return next(new ApiError('Payment verification failed', 400));
   }
 
-  // Avoid double-processing: if already completed, return existing subscription
-  if (payment.status === 'completed' && payment.subscription) {
-    const existingSub = await Subscription.findById(payment.subscription).populate('plan');
-    return res.json({ success: true, message: 'Payment already processed', data: { payment, subscription: existingSub } });
-  }
-
-  // mark payment completed
+  let result;
   try {
-    await payment.markCompleted({
+    result = await fulfillPayment(payment, {
+      source: 'verify',
       razorpayPaymentId: razorpay_payment_id,
       razorpaySignature: razorpay_signature,
       gatewayResponse: req.body,
     });
   } catch (err) {
-    logger.error('Payment.markCompleted failed', { err: err?.message || err });
-    return next(new ApiError('Failed to finalize payment', 500));
-  }
-
-  // Load plan (defensive)
-  const plan = await Plan.findById(payment.plan);
-  if (!plan) {
-    logger.error('Plan not found after payment', { planId: payment.plan, paymentId: payment._id });
-    await payment.markFailed('Associated plan not found');
-    return next(new ApiError('Associated plan not found', 500));
+    await auditFailure(err?.message || String(err));
+    throw err;
   }
 
-  const now = new Date();
-
-  // RETRIEVE user's current active subscription (if any)
-  const existingActive = await Subscription.findOne({ user: payment.user, status: 'active', endDate: { $gt: now } });
-
-  // helper: send a simple transactional email (best-effort, non-blocking)
-  const attemptSendSimplePaymentEmail = async (paymentDoc, planDoc) => {
-    try {
-      // Ensure we have fresh user details
-      const userObj = await User.findById(paymentDoc.user).select('name email');
-      const to = userObj?.email || (req.user && req.user.email) || '';
-      if (!to) {
-        logger.warn('No recipient email available for payment notification', { paymentId: paymentDoc._id.toString() });
-        return;
-      }
-
-      const rupees = ((Number(paymentDoc.amount) || 0) / 100).toFixed(2);
-      const dateStr = paymentDoc.completedAt ? new Date(paymentDoc.completedAt).toLocaleString() : new Date().toLocaleString();
-
-      const subject = `Payment received — ${planDoc?.name || 'Subscription'}`;
-      const text = [
-        `Hi ${userObj?.name || (req.user && req.user.name) || 'Customer'},`,
-        '',
-        `Thank you for your purchase.`,
-        `Plan: ${planDoc?.name || ''}`,
-        `Amount: ₹${rupees}`,
-        `Date: ${dateStr}`,
-        '',
-        'We appreciate your support. If you need help, reply to this email.',
-        '',
-        'Best regards,',
-        'The Prydan Team',
-      ].join('\n');
-
-      // sendEmail uses process.env.EMAIL_FROM as the "from"
-      const info = await sendEmail({ to, subject, text });
-      logger.info('Payment notification email sent', { paymentId: paymentDoc._id.toString(), to, messageId: info?.messageId });
-    } catch (err) {
-      // log but do not fail main flow
-      logger.warn('Failed to send simple payment email (best-effort)', { err: err?.message || err, paymentId: paymentDoc._id.toString() });
-    }
-  };
-
-  // --- BUSINESS LOGIC: renew / upgrade / purchase ---
-
-  // Handle renew
-  if (payment.action === 'renew') {
-    const subId = payment.targetSubscription || payment.subscription;
-    const sub = await Subscription.findById(subId);
-    if (!sub) {
-      await payment.markFailed('Target subscription not found for renewal');
-      return next(new ApiError('Target subscription not found for renewal', 400));
-    }
-
-    // Enforce plan renewLimit (0 = unlimited)
-    const planForSub = await Plan.findById(sub.plan);
-    const renewLimit = planForSub.renewLimit || 0;
-    if (renewLimit > 0) {
-      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const startOfNextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-      const renewCount = await Payment.countDocuments({
-        action: 'renew',
-        targetSubscription: sub._id,
-        status: 'completed',
-        createdAt: { $gte: startOfMonth, $lt: startOfNextMonth },
-      });
-
-      if (renewCount >= renewLimit) {
-        await payment.markFailed('Renew limit exceeded for this month');
-        return next(new ApiError('You have reached the maximum renewals for this period', 400));
-      }
-    }
-
-    // extend end date logically
-    const currentEnd = sub.endDate && new Date(sub.endDate) > now ? new Date(sub.endDate) : now;
-    const addDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
-    sub.endDate = new Date(currentEnd.getTime() + addDays * 24 * 60 * 60 * 1000);
-
-    sub.billingHistory = sub.billingHistory || [];
-    sub.billingHistory.push({ date: now, amount: payment.amount, paymentId: payment._id, status: 'success' });
-
-    sub.status = 'active';
-    await sub.save();
-
-    payment.subscription = sub._id;
-    await payment.save();
-
-    // fire-and-forget email (non-blocking)
-    void attemptSendSimplePaymentEmail(payment, planForSub);
-
-    logger.info('Subscription renewed', { subscriptionId: sub._id.toString(), userId: sub.user.toString() });
-    return res.json({ success: true, message: 'Subscription renewed', data: { subscription: sub } });
-  }
-
-  // Handle upgrade
-  if (payment.action === 'upgrade') {
-    if (!payment.targetSubscription) {
-      await payment.markFailed('Target subscription missing for upgrade');
-      return next(new ApiError('Target subscription is required for upgrade', 400));
-    }
-
-    const oldSub = await Subscription.findById(payment.targetSubscription);
-    if (!oldSub) {
-      await payment.markFailed('Old subscription not found for upgrade');
-      return next(new ApiError('Old subscription not found for upgrade', 400));
-    }
-
-    // Prevent downgrade: check plan priority
-    const oldPlan = await Plan.findById(oldSub.plan);
-    if (!oldPlan) {
-      await payment.markFailed('Old plan not found for upgrade');
-      return next(new ApiError('Old plan not found', 400));
-    }
-
-    if (oldPlan.priority >= plan.priority) {
-      // oldPlan priority >= new plan priority means this is downgrade or same level
-      await payment.markFailed('Downgrade / same-level upgrade attempted');
-      return next(new ApiError('Cannot downgrade or choose same level plan. Upgrade only to higher plans.', 400));
-    }
-
-    // expire old subscription
-    oldSub.status = 'expired';
-    await oldSub.save();
-
-    // create new subscription (start now)
-    const startDate = now;
-    const durationDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
-    const endDate = new Date(startDate.getTime() + durationDays * 24 * 60 * 60 * 1000);
-
-    const newSub = await Subscription.create({
-      user: payment.user,
-      plan: payment.plan,
-      paymentId: payment._id,
-      status: 'active',
-      startDate,
-      endDate,
-      billingHistory: [{ date: now, amount: payment.amount, paymentId: payment._id, status: 'success' }],
-    });
-
-    payment.subscription = newSub._id;
-    await payment.save();
-
-    // fire-and-forget email
-    void attemptSendSimplePaymentEmail(payment, plan);
-
-    logger.info('Plan upgraded - new subscription created', { newSubscriptionId: newSub._id.toString(), userId: payment.user.toString() });
-    return res.json({ success: true, message: 'Plan upgraded', data: { subscription: newSub } });
-  }
-
-  // Default: purchase
-  try {
-    // If user already has an active subscription of the same plan -> block (defensive)
-    if (existingActive && String(existingActive.plan) === String(plan._id)) {
-      await payment.markFailed('User already has an active subscription for this plan');
-      return next(new ApiError('You already have an active subscription for this plan', 400));
-    }
-
-    const startDate = now;
-    const durationDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
-    const endDate = new Date(startDate.getTime() + durationDays * 24 * 60 * 60 * 1000);
-
-    const subscription = await Subscription.create({
-      user: payment.user,
-      plan: payment.plan,
-      paymentId: payment._id,
-      status: 'active',
-      startDate,
-      endDate,
-      billingHistory: [{ date: now, amount: payment.amount, paymentId: payment._id, status: 'success' }],
-    });
-
-    payment.subscription = subscription._id;
-    await payment.save();
-
-    // fire-and-forget email
-    void attemptSendSimplePaymentEmail(payment, plan);
+  await recordAudit({
+    req,
+    action: 'payment.verify',
+    target,
+    changes: result.alreadyProcessed ? undefined : { before: { status: statusBefore }, after: { status: 'completed' } },
+    metadata: {
+      message: result.message,
+      alreadyProcessed: Boolean(result.alreadyProcessed),
+      subscriptionId: result.subscription?._id,
+      razorpayPaymentId: razorpay_payment_id,
+    },
+  });
 
-    logger.info('Subscription created after purchase', { subscriptionId: subscription._id.toString(), userId: payment.user.toString() });
-    return res.json({ success: true, message: 'Payment verified and subscription activated', data: { subscription } });
-  } catch (err) {
-    logger.error('Subscription.create failed after payment', { err: err?.message || err });
-    await payment.markFailed('Failed to create subscription after payment');
-    return next(new ApiError('Failed to create subscription after payment', 500));
-  }
+  const data = result.alreadyProcessed
+    ? { payment: result.payment, subscription: result.subscription }
+    : { subscription: result.subscription };
+  return res.json({ success: true, message: result.message, data });
 });
 
 
@@ -365,64 +288,27 @@ export const getInvoice = asyncHandler(async (req, res, next) => {
     return next(new ApiError('Not authorized to access this invoice', 403));
   }
 
-  if (payment.status !== 'completed') {
+  if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
     return next(new ApiError('Invoice available only for completed payments', 400));
   }
 
-  // Build invoice data for PDF generator
-  const invoiceData = {
-    invoiceNumber: payment.invoiceNumber || payment.receipt || `INV-${payment._id}`,
-    date: payment.completedAt ? payment.completedAt.toISOString() : new Date().toISOString(),
-    user: {
-      name: (payment.user && payment.user.name) || (req.user && req.user.name) || '',
-      email: (payment.user && payment.user.email) || (req.user && req.user.email) || '',
-    },
-    planName: (payment.plan && payment.plan.name) || '',
-    amount: payment.amount, // amount in paise (expected by generator)
-    // optional: billingHistory, notes, items, etc.
-  };
-
-  // Generate PDF buffer
+  // Serve the stored copy (generated at completion); regenerates only if it is missing
   let pdfBuffer;
-  
-
-    try {
-    pdfBuffer = await generateInvoicePdfBuffer(invoiceData);
-
-    // Normalize: accept Buffer or Uint8Array/ArrayBuffer
-    if (!Buffer.isBuffer(pdfBuffer)) {
-      if (pdfBuffer instanceof Uint8Array) {
-        pdfBuffer = Buffer.from(pdfBuffer);
-      } else if (pdfBuffer && pdfBuffer.buffer) {
-        pdfBuffer = Buffer.from(pdfBuffer.buffer);
-      } else {
-        throw new Error('PDF generator did not return a Buffer');
-      }
-    }
+  try {
+    pdfBuffer = await getInvoicePdf(payment);
   } catch (err) {
     // log full stack and object for debugging
-    logger.error('Failed to generate invoice PDF', {
+    logger.error('Failed to load invoice PDF', {
       message: err?.message || String(err),
       stack: err?.stack,
-      invoiceData: { invoiceNumber: invoiceData.invoiceNumber, planName: invoiceData.planName, user: invoiceData.user?.email },
+      invoiceNumber: payment.invoiceNumber,
       paymentId,
     });
     return next(new ApiError('Failed to generate invoice', 500));
   }
 
-  
-  // Save invoiceGeneratedAt & optionally invoiceUrl (best-effort)
-  try {
-    if (!payment.invoiceGeneratedAt) {
-      payment.invoiceGeneratedAt = new Date();
-      await payment.save();
-    }
-  } catch (err) {
-    logger.warn('Failed to update payment.invoiceGeneratedAt', { err: err?.message || err, paymentId });
-  }
-
   // Send PDF as attachment
-  const filename = `${invoiceData.invoiceNumber}.pdf`;
+  const filename = invoiceFilename(payment);
   res.set({
     'Content-Type': 'application/pdf',
     'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
@@ -432,3 +318,111 @@ export const getInvoice = asyncHandler(async (req, res, next) => {
 
   return res.send(pdfBuffer);
 });
+
+
+/**
+ * @desc    Refund a payment (full or partial) through Razorpay
+ * @route   POST /api/payments/:paymentId/refund
+ * @access  Private/Admin
+ *
+ * Body: { amount? (paise, default: all refundable), reason, subscriptionAction?: 'none'|'cancel'|'shorten', notifyUser? }
+ * Normal-speed refunds stay pending until the refund.processed webhook arrives.
+ */
+export const refundPayment = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.paymentId);
+  if (!payment) return next(new ApiError('Payment not found', 404));
+
+  const { amount, reason, subscriptionAction, notifyUser } = req.body;
+  const target = { type: 'Payment', id: payment._id, label: payment.invoiceNumber || payment.receipt };
+  let result;
+  try {
+    result = await initiateRefund(payment, {
+      amount,
+      reason,
+      subscriptionAction,
+      notifyUser,
+      initiatedBy: req.user._id,
+    });
+  } catch (err) {
+    await recordAudit({ req, action: 'payment.refund', target, outcome: 'failure', metadata: { amount, reason, error: err?.message || String(err) } });
+    throw err;
+  }
+
+  await recordAudit({
+    req,
+    action: 'payment.refund',
+    target,
+    metadata: { amount: result.refund.amount, status: result.refund.status, reason, subscriptionAction },
+  });
+
+  logger.info('Admin refund requested', {
+    paymentId: payment._id.toString(),
+    adminId: req.user._id.toString(),
+    amount: result.refund.amount,
+    status: result.refund.status,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: result.refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+    data: result,
+  });
+});
+
+/**
+ * @desc    Regenerate the stored invoice PDF (e.g. after correcting billing details on record)
+ * @route   POST /api/payments/:paymentId/invoice/regenerate
+ * @access  Private/Admin
+ */
+export const regenerateInvoice = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.paymentId).populate('user plan');
+  if (!payment) return next(new ApiError('Payment not found', 404));
+  if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    return next(new ApiError('Invoice available only for completed payments', 400));
+  }
+
+  await storeInvoice(payment, { force: true });
+
+  await recordAudit({
+    req,
+    action: 'invoice.regenerate',
+    target: { type: 'Payment', id: payment._id, label: payment.invoiceNumber },
+    metadata: { invoiceStorageKey: payment.invoiceStorageKey },
+  });
+  logger.info('Invoice regenerated', { paymentId: payment._id.toString(), adminId: req.user._id.toString() });
+  res.status(200).json({
+    success: true,
+    message: 'Invoice regenerated',
+    data: {
+      invoiceNumber: payment.invoiceNumber,
+      invoiceUrl: payment.invoiceUrl,
+      invoiceGeneratedAt: payment.invoiceGeneratedAt,
+    },
+  });
+});
+
+/**
+ * @desc    Resend the payment confirmation email with the stored invoice attached
+ * @route   POST /api/payments/:paymentId/invoice/resend
+ * @access  Private/Admin
+ */
+export const resendInvoice = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.paymentId).populate('user plan');
+  if (!payment) return next(new ApiError('Payment not found', 404));
+  if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    return next(new ApiError('Invoice available only for completed payments', 400));
+  }
+
+  const info = await sendPaymentConfirmationEmail(payment, payment.plan);
+  if (!info) return next(new ApiError('User has no verified email address', 400));
+
+  await recordAudit({
+    req,
+    action: 'invoice.resend',
+    target: { type: 'Payment', id: payment._id, label: payment.invoiceNumber },
+    metadata: { messageId: info.messageId },
+  });
+
+  logger.info('Invoice resent', { paymentId: payment._id.toString(), adminId: req.user._id.toString() });
+  res.status(200).json({ success: true, message: 'Invoice sent', data: { invoiceNumber: payment.invoiceNumber } });
+});
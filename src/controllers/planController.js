@@ -2,13 +2,15 @@
 // src/controllers/planController.js
 import Plan from '../models/Plan.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { recordAudit, diffChanges, pickFields } from '../services/auditService.js';
+import logger from '../utils/logger.js';
 
 /**
  * Get all active plans (public)
  * GET /api/plans
  */
 export const getPlans = asyncHandler(async (req, res) => {
-  const plans = await Plan.find({ isActive: true }).sort({ amount: 1 });
+  const plans = await Plan.find({ isActive: true }).sort({ sortOrder: 1, amount: 1 });
   res.status(200).json({ success: true, data: plans });
 });
 
@@ -21,4 +23,152 @@ export const getPlanById = asyncHandler(async (req, res, next) => {
   if (!plan) return next(new ApiError('Plan not found', 404));
   res.status(200).json({ success: true, data: plan });
 });
-  
\ No newline at end of file
+  
+// Fields an admin may set on a plan
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'amount',
+  'prices',
+  'duration',
+  'features',
+  'billingCycle',
+  'priority',
+  'renewLimit',
+  'allowDowngrade',
+  'gracePeriodDays',
+  'maxPauseDays',
+  'maxPausesPerYear',
+  'trialDays',
+  'taxInclusive',
+  'isActive',
+  'sortOrder',
+];
+
+const pickPlanFields = (body = {}) => {
+  const data = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (typeof body[key] !== 'undefined') data[key] = body[key];
+  }
+  // amount (paise) is derived from price (rupees) when not sent explicitly
+  if (typeof data.price !== 'undefined' && typeof data.amount === 'undefined') {
+    data.amount = Math.round(Number(data.price) * 100);
+  }
+  return data;
+};
+
+/**
+ * Admin: list all plans, including archived ones
+ * GET /api/plans/all
+ */
+export const getAllPlans = asyncHandler(async (req, res) => {
+  const plans = await Plan.find({}).sort({ isActive: -1, sortOrder: 1, amount: 1 });
+  res.status(200).json({ success: true, data: plans });
+});
+
+/**
+ * Admin: create a plan
+ * POST /api/plans
+ */
+export const createPlan = asyncHandler(async (req, res) => {
+  const plan = await Plan.create(pickPlanFields(req.body));
+  logger.info('Plan created', { planId: plan._id.toString(), name: plan.name, by: req.user._id.toString() });
+  await recordAudit({
+    req,
+    action: 'plan.create',
+    target: { type: 'Plan', id: plan._id, label: plan.name },
+    changes: diffChanges({}, pickFields(plan, EDITABLE_FIELDS), EDITABLE_FIELDS),
+  });
+  res.status(201).json({ success: true, data: plan });
+});
+
+/**
+ * Admin: replace (PUT) or partially update (PATCH) a plan.
+ * Existing subscriptions keep their planSnapshot, so edits only affect new purchases.
+ * PUT/PATCH /api/plans/:id
+ */
+export const updatePlan = asyncHandler(async (req, res, next) => {
+  const plan = await Plan.findById(req.params.id);
+  if (!plan) return next(new ApiError('Plan not found', 404));
+
+  const updates = pickPlanFields(req.body);
+  // price changed without amount (or vice versa) would leave them inconsistent
+  if (typeof updates.amount !== 'undefined' && typeof updates.price === 'undefined') {
+    updates.price = updates.amount / 100;
+  }
+
+  const before = pickFields(plan, EDITABLE_FIELDS);
+  plan.set(updates);
+  await plan.save();
+
+  await recordAudit({
+    req,
+    action: 'plan.update',
+    target: { type: 'Plan', id: plan._id, label: plan.name },
+    changes: diffChanges(before, pickFields(plan, EDITABLE_FIELDS), EDITABLE_FIELDS),
+  });
+  logger.info('Plan updated', { planId: plan._id.toString(), fields: Object.keys(updates), by: req.user._id.toString() });
+  res.status(200).json({ success: true, data: plan });
+});
+
+/**
+ * Admin: archive a plan (soft delete). Archived plans disappear from the catalog and
+ * can't be bought, but stay resolvable for existing subscriptions and invoices.
+ * Restore with PATCH { isActive: true }.
+ * DELETE /api/plans/:id
+ */
+export const archivePlan = asyncHandler(async (req, res, next) => {
+  const plan = await Plan.findById(req.params.id);
+  if (!plan) return next(new ApiError('Plan not found', 404));
+
+  if (!plan.isActive) {
+    return res.status(200).json({ success: true, message: 'Plan already archived', data: plan });
+  }
+
+  plan.isActive = false;
+  await plan.save();
+
+  await recordAudit({
+    req,
+    action: 'plan.archive',
+    target: { type: 'Plan', id: plan._id, label: plan.name },
+    changes: { before: { isActive: true }, after: { isActive: false } },
+  });
+  logger.info('Plan archived', { planId: plan._id.toString(), name: plan.name, by: req.user._id.toString() });
+  res.status(200).json({ success: true, message: 'Plan archived', data: plan });
+});
+
+/**
+ * Admin: reorder the catalog
+ * PATCH /api/plans/reorder
+ * Body: { order: [planId, ...] } — plans get sortOrder 1..n in that order
+ */
+export const reorderPlans = asyncHandler(async (req, res, next) => {
+  const ids = [...new Set(req.body.order.map(String))];
+
+  const found = await Plan.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) return next(new ApiError('One or more plans not found', 404));
+
+  const previous = await Plan.find({ _id: { $in: ids } }).select('sortOrder');
+
+  await Plan.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { sortOrder: index + 1 } } },
+    }))
+  );
+
+  await recordAudit({
+    req,
+    action: 'plan.reorder',
+    target: { type: 'Plan', label: `${ids.length} plans` },
+    changes: diffChanges(
+      Object.fromEntries(previous.map((p) => [String(p._id), p.sortOrder])),
+      Object.fromEntries(ids.map((id, index) => [id, index + 1]))
+    ),
+  });
+  logger.info('Plans reordered', { order: ids, by: req.user._id.toString() });
+
+  const plans = await Plan.find({}).sort({ isActive: -1, sortOrder: 1, amount: 1 });
+  res.status(200).json({ success: true, data: plans });
+});
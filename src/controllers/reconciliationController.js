@@ -0,0 +1,42 @@
+// src/controllers/reconciliationController.js
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { reconcilePayments } from '../services/reconciliationService.js';
+import { recordAudit } from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Reconcile stale payments with Razorpay now (the cron does this every 15 minutes)
+ * @route   POST /api/admin/reconciliation
+ * @access  Private/Admin
+ *
+ * Body: { dryRun?: boolean (default true), olderThanMinutes?, lookbackDays?, limit? }
+ * Returns the report: what was (or would be) completed / failed / fulfilled, and mismatches
+ * that need a person (paid but not fulfilled, amount or currency differences, unknown orders).
+ */
+export const runReconciliation = asyncHandler(async (req, res) => {
+  const { dryRun = true, olderThanMinutes, lookbackDays, limit } = req.body || {};
+
+  const report = await reconcilePayments({ dryRun, olderThanMinutes, lookbackDays, limit });
+
+  if (!dryRun) {
+    await recordAudit({
+      req,
+      action: 'reconciliation.run',
+      target: { type: 'Payment', label: 'reconciliation' },
+      metadata: {
+        checked: report.checked,
+        completed: report.completed,
+        failed: report.failed,
+        fulfilled: report.fulfilled,
+        errors: report.errors,
+        mismatches: report.mismatches.length,
+      },
+    });
+  }
+  logger.info('Reconciliation run by admin', { dryRun, checked: report.checked, adminId: req.user._id.toString() });
+  res.status(200).json({
+    success: true,
+    message: dryRun ? 'Dry run: nothing was changed' : 'Reconciliation complete',
+    data: report,
+  });
+});
@@ -0,0 +1,100 @@
+// src/controllers/reportController.js
+import Payment from '../models/Payment.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { formatMoney } from '../utils/currency.js';
+import { resolveReportRange } from '../utils/timezone.js';
+import {
+  getRevenueByPeriod,
+  getRevenueByPlan,
+  getRecurringRevenue,
+  getSubscriberCounts,
+  getPaymentActivity,
+  getChurn,
+} from '../services/metricsService.js';
+
+// from/to/tz from the query; plain dates ("2026-04-01") start at midnight in tz, `to` is exclusive
+const rangeFrom = (query) => resolveReportRange({ from: query.from, to: query.to, tz: query.tz || 'UTC' });
+
+const rangeMeta = ({ from, to, tz }) => ({ from: from.toISOString(), to: to.toISOString(), tz });
+
+const withFormatted = (row) => ({
+  ...row,
+  formatted: {
+    gross: formatMoney(row.gross, row.currency),
+    refunded: formatMoney(row.refunded, row.currency),
+    net: formatMoney(row.net, row.currency),
+  },
+});
+
+/**
+ * @desc    Revenue per currency (never converted or summed across currencies),
+ *          in total or grouped by day / week / month / plan
+ * @route   GET /api/admin/reports/revenue?from=&to=&tz=&groupBy=
+ * @access  Private/Admin
+ */
+export const getRevenueReport = asyncHandler(async (req, res) => {
+  const range = rangeFrom(req.query);
+  const { groupBy } = req.query;
+
+  let rows;
+  if (groupBy === 'plan') {
+    rows = await getRevenueByPlan(range);
+  } else if (groupBy) {
+    rows = await getRevenueByPeriod({ ...range, interval: groupBy });
+  } else {
+    rows = await Payment.getRevenueByCurrency(range);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rows.map(withFormatted),
+    meta: { ...rangeMeta(range), groupBy: groupBy || null },
+  });
+});
+
+/**
+ * @desc    MRR / ARR per currency and current subscriber counts
+ * @route   GET /api/admin/reports/recurring
+ * @access  Private/Admin
+ */
+export const getRecurringReport = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const [recurring, subscribers] = await Promise.all([getRecurringRevenue(now), getSubscriberCounts(now)]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recurring: recurring.map((row) => ({
+        ...row,
+        formatted: { mrr: formatMoney(row.mrr, row.currency), arr: formatMoney(row.arr, row.currency) },
+      })),
+      subscribers,
+    },
+    meta: { asOf: now.toISOString() },
+  });
+});
+
+/**
+ * @desc    New vs renewed vs upgraded paid orders, in total and per day / week / month
+ * @route   GET /api/admin/reports/activity?from=&to=&tz=&interval=
+ * @access  Private/Admin
+ */
+export const getActivityReport = asyncHandler(async (req, res) => {
+  const range = rangeFrom(req.query);
+  const interval = req.query.interval || 'day';
+  const data = await getPaymentActivity({ ...range, interval });
+
+  res.status(200).json({ success: true, data, meta: { ...rangeMeta(range), interval } });
+});
+
+/**
+ * @desc    Churn (cancelled + lapsed paying subscriptions) and cancellation reasons
+ * @route   GET /api/admin/reports/churn?from=&to=&tz=
+ * @access  Private/Admin
+ */
+export const getChurnReport = asyncHandler(async (req, res) => {
+  const range = rangeFrom(req.query);
+  const data = await getChurn(range);
+
+  res.status(200).json({ success: true, data, meta: rangeMeta(range) });
+});
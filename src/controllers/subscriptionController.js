@@ -3,15 +3,51 @@ import Subscription from '../models/Subscription.js';
 import Payment from '../models/Payment.js';
 import Plan from '../models/Plan.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { fulfillPayment } from '../services/fulfillmentService.js';
+import {
+  enableAutoRenew as enableGatewayAutoRenew,
+  disableAutoRenew as disableGatewayAutoRenew,
+  scheduleGatewayPlanChange,
+  cancelGatewayPlanChange,
+} from '../services/autoRenewService.js';
+import { pauseSubscription, resumeSubscription } from '../services/pauseService.js';
+import { refundUnusedTime } from '../services/refundService.js';
+import { startTrial as startPlanTrial } from '../services/trialService.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+import { recordAudit, pickFields, diffChanges } from '../services/auditService.js';
 import logger from '../utils/logger.js';
 
+const CANCEL_AUDIT_FIELDS = ['status', 'endDate', 'autoRenew', 'cancelAtPeriodEnd', 'cancellationReason', 'pendingChange'];
+const PLAN_CHANGE_AUDIT_FIELDS = ['plan', 'pendingChange'];
+const AUTO_RENEW_AUDIT_FIELDS = ['autoRenew', 'razorpaySubscriptionId', 'razorpaySubscriptionStatus'];
+const PAUSE_AUDIT_FIELDS = ['status', 'endDate', 'pausedAt', 'resumeAt'];
+
+/*
+ * Run `change` on a subscription and audit it: the before/after diff of `fields` against the
+ * document `change` resolves to, or a failure entry (rethrowing the error) if it throws.
+ */
+const auditedChange = async (req, action, sub, fields, change, metadata) => {
+  const before = pickFields(sub, fields);
+  const target = { type: 'Subscription', id: sub._id };
+  let after;
+  try {
+    after = await change();
+  } catch (err) {
+    await recordAudit({ req, action, target, outcome: 'failure', metadata: { ...metadata, error: err?.message || String(err) } });
+    throw err;
+  }
+  await recordAudit({ req, action, target, changes: diffChanges(before, pickFields(after, fields)), metadata });
+  return after;
+};
+
 /**
  * @desc    Activate subscription after successful payment (protected)
  * @route   POST /api/subscriptions/activate
  * @access  Private
  *
  * Expected body: { paymentId, planId }
- * If the payment was already used to create a subscription, returns existing subscription.
+ * Goes through the same fulfillment as verify/webhook, so a payment is only ever applied once;
+ * if it was already applied, returns the existing subscription.
  */
 export const activate = asyncHandler(async (req, res, next) => {
   const { paymentId, planId } = req.body;
@@ -23,36 +59,42 @@ export const activate = asyncHandler(async (req, res, next) => {
   if (!payment) return next(new ApiError('Payment record not found', 404));
   if (payment.status !== 'completed') return next(new ApiError('Payment is not completed', 400));
 
-  // Validate plan
-  const plan = await Plan.findById(planId);
-  if (!plan) return next(new ApiError('Plan not found', 404));
-
   // Ensure payment belongs to requesting user (security)
   if (String(payment.user) !== String(req.user._id)) {
     return next(new ApiError('Payment does not belong to the authenticated user', 403));
   }
 
-  // If payment already has subscription, return it
-  if (payment.subscription) {
-    const existingSub = await Subscription.findById(payment.subscription).populate('plan');
-    return res.status(200).json({ success: true, data: existingSub });
+  // The plan is whatever was paid for
+  if (String(payment.plan) !== String(planId)) {
+    return next(new ApiError('Plan does not match the payment', 400));
   }
 
-  // Create subscription (pre-save will set endDate using plan.duration)
-  const subscription = await Subscription.create({
-    user: payment.user,
-    plan: plan._id,
-    paymentId: payment._id,
-    status: 'active',
-    startDate: new Date(),
-  });
+  const result = await fulfillPayment(payment, { source: 'activate' });
 
-  // link subscription back to payment
-  payment.subscription = subscription._id;
-  await payment.save();
+  if (!result.alreadyProcessed) {
+    logger.info(`Subscription activated for user ${payment.user} via activate endpoint`);
+  }
+  res.status(result.alreadyProcessed ? 200 : 201).json({ success: true, data: result.subscription });
+});
 
-  logger.info(`Subscription activated for user ${payment.user} on plan ${plan.name}`);
-  res.status(201).json({ success: true, data: subscription });
+/**
+ * @desc    Start a free trial of a plan (no payment; one trial per user/email)
+ * @route   POST /api/subscriptions/trial
+ * @access  Private
+ *
+ * Body: { planId }. To keep the plan after the trial, buy it through create-order / verify.
+ */
+export const startTrial = asyncHandler(async (req, res, next) => {
+  const plan = await Plan.findById(req.body.planId);
+  if (!plan) return next(new ApiError('Plan not found', 404));
+
+  const subscription = await startPlanTrial(req.user, plan);
+
+  res.status(201).json({
+    success: true,
+    message: `Your ${plan.name} trial runs until ${subscription.endDate.toDateString()}`,
+    data: subscription,
+  });
 });
 
 /**
@@ -66,11 +108,16 @@ export const getMySubscription = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Cancel user's subscription (simple cancel)
+ * @desc    Cancel a subscription, at the end of the paid period (default) or immediately
  * @route   POST /api/subscriptions/:id/cancel
  * @access  Private
+ *
+ * Body: { mode?: 'at_period_end'|'immediate', reason?, refund? }
+ * refund (admin only, immediate only): refund the unused part of the period.
  */
 export const cancelSubscription = asyncHandler(async (req, res, next) => {
+  const { mode = 'at_period_end', reason, refund = false } = req.body;
+
   const sub = await Subscription.findById(req.params.id);
   if (!sub) return next(new ApiError('Subscription not found', 404));
 
@@ -79,15 +126,335 @@ export const cancelSubscription = asyncHandler(async (req, res, next) => {
     return next(new ApiError('Not authorized to cancel this subscription', 403));
   }
 
-  if (sub.status === 'cancelled') {
-    return res.status(200).json({ success: true, message: 'Subscription already cancelled' });
+  if (['cancelled', 'expired'].includes(sub.status)) {
+    return res.status(200).json({ success: true, message: `Subscription already ${sub.status}` });
+  }
+
+  if (refund && (mode !== 'immediate' || req.user.role !== 'admin')) {
+    return next(new ApiError('A refund can only be issued by an admin with an immediate cancellation', 403));
+  }
+
+  // Nothing left of the period to keep (e.g. in grace): cancel now
+  const immediate = mode === 'immediate' || (!sub.isCurrentlyActive() && sub.status !== 'paused');
+
+  if (!immediate && sub.cancelAtPeriodEnd) {
+    return res.status(200).json({ success: true, message: 'Cancellation already scheduled', data: sub });
+  }
+
+  const before = pickFields(sub, CANCEL_AUDIT_FIELDS);
+  const target = { type: 'Subscription', id: sub._id };
+
+  // Refund first: if the gateway refuses, the subscription is left as it was
+  let refundResult = null;
+  if (refund) {
+    try {
+      refundResult = await refundUnusedTime(sub, { reason: reason || 'Cancelled with refund', initiatedBy: req.user._id });
+    } catch (err) {
+      await recordAudit({ req, action: 'subscription.cancel', target, outcome: 'failure', metadata: { mode, reason, refund, error: err?.message || String(err) } });
+      throw err;
+    }
+  }
+
+  // Stop gateway charges first (best-effort; the local cancel must still go through)
+  if (sub.razorpaySubscriptionId) {
+    try {
+      await disableGatewayAutoRenew(sub);
+    } catch (err) {
+      logger.error('Failed to cancel Razorpay subscription on cancel', { subscriptionId: sub._id.toString(), err: err?.message || err });
+    }
+  }
+  sub.autoRenew = false;
+  // the subscription ends instead of moving to the lower plan
+  sub.pendingChange = undefined;
+
+  if (immediate) {
+    sub.endDate = new Date();
+    await sub.cancel(reason || 'User cancelled');
+  } else {
+    sub.cancelAtPeriodEnd = true;
+    sub.cancelRequestedAt = new Date();
+    sub.cancellationReason = reason || 'User cancelled';
+    await sub.save();
+  }
+
+  await recordAudit({
+    req,
+    action: 'subscription.cancel',
+    target,
+    changes: diffChanges(before, pickFields(sub, CANCEL_AUDIT_FIELDS)),
+    metadata: {
+      mode: immediate ? 'immediate' : 'at_period_end',
+      reason,
+      refundAmount: refundResult?.amount || 0,
+      refundPaymentIds: refundResult ? refundResult.refunds.map((r) => r.payment._id) : undefined,
+    },
+  });
+  logger.info(`Subscription cancelled (${immediate ? 'immediate' : 'at period end'}): ${sub._id} by user ${req.user._id}`, {
+    refunded: refundResult?.amount || 0,
+  });
+  res.status(200).json({
+    success: true,
+    message: immediate
+      ? 'Subscription cancelled'
+      : `Subscription will be cancelled on ${new Date(sub.endDate).toDateString()}`,
+    data: {
+      subscription: sub,
+      refund: refundResult ? { amount: refundResult.amount, refunds: refundResult.refunds.map((r) => r.refund) } : null,
+    },
+  });
+});
+
+/**
+ * @desc    Undo a cancellation scheduled for the end of the period
+ * @route   DELETE /api/subscriptions/:id/cancel
+ * @access  Private
+ *
+ * Auto-renew stays off; the user can enable it again.
+ */
+export const undoCancel = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (!sub.cancelAtPeriodEnd) {
+    return next(new ApiError('No scheduled cancellation to undo', 400));
+  }
+
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: sub._id, cancelAtPeriodEnd: true, status: { $in: ['active', 'paused'] } },
+    { $set: { cancelAtPeriodEnd: false }, $unset: { cancelRequestedAt: 1, cancellationReason: 1 } },
+    { new: true }
+  );
+  if (!updated) return next(new ApiError('The cancellation has already taken effect', 400));
+
+  await recordAudit({
+    req,
+    action: 'subscription.undo_cancel',
+    target: { type: 'Subscription', id: sub._id },
+    changes: diffChanges(pickFields(sub, CANCEL_AUDIT_FIELDS), pickFields(updated, CANCEL_AUDIT_FIELDS)),
+  });
+
+  logger.info(`Scheduled cancellation undone: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({ success: true, message: 'Cancellation withdrawn', data: updated });
+});
+
+/**
+ * @desc    Schedule a downgrade to a lower plan at the end of the current period
+ * @route   POST /api/subscriptions/:id/schedule-change
+ * @access  Private
+ *
+ * Body: { planId }
+ */
+export const scheduleChange = asyncHandler(async (req, res, next) => {
+  const { planId } = req.body;
+
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (!sub.isCurrentlyActive()) {
+    return next(new ApiError('Only an active subscription can be changed', 400));
+  }
+  if (sub.cancelAtPeriodEnd) {
+    return next(new ApiError('This subscription is scheduled to be cancelled. Undo the cancellation first.', 400));
+  }
+
+  const targetPlan = await Plan.findById(planId);
+  if (!targetPlan || !targetPlan.isActive) return next(new ApiError('Plan not found', 404));
+
+  if (String(targetPlan._id) === String(sub.plan)) {
+    return next(new ApiError('Subscription is already on this plan', 400));
+  }
+
+  const currentPriority = sub.planSnapshot?.priority ?? (await Plan.findById(sub.plan))?.priority ?? 0;
+  if (targetPlan.priority >= currentPriority) {
+    return next(new ApiError('Only downgrades can be scheduled. Use an upgrade for higher plans.', 400));
+  }
+
+  if (!targetPlan.allowDowngrade) {
+    return next(new ApiError(`Downgrading to ${targetPlan.name} is not allowed`, 400));
+  }
+  const currency = sub.currency || BASE_CURRENCY;
+  if (targetPlan.priceFor(currency) == null) {
+    return next(new ApiError(`${targetPlan.name} is not available in ${currency}`, 400));
+  }
+
+  await auditedChange(req, 'subscription.schedule_change', sub, PLAN_CHANGE_AUDIT_FIELDS, async () => {
+    // Auto-renewing subscriptions: the next gateway charge must be for the lower plan
+    await scheduleGatewayPlanChange(sub, targetPlan);
+
+    sub.pendingChange = {
+      plan: targetPlan._id,
+      type: 'downgrade',
+      requestedAt: new Date(),
+      effectiveAt: sub.endDate,
+    };
+    return sub.save();
+  }, { planId: targetPlan._id });
+
+  logger.info(`Downgrade scheduled: ${sub._id} -> ${targetPlan.name} by user ${req.user._id}`);
+  res.status(200).json({
+    success: true,
+    message: `Your plan will change to ${targetPlan.name} on ${new Date(sub.endDate).toDateString()}`,
+    data: sub,
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled plan change before it takes effect
+ * @route   DELETE /api/subscriptions/:id/schedule-change
+ * @access  Private
+ */
+export const cancelScheduledChange = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (!sub.pendingChange || !sub.pendingChange.plan) {
+    return next(new ApiError('No scheduled change to cancel', 400));
+  }
+
+  await auditedChange(req, 'subscription.cancel_scheduled_change', sub, PLAN_CHANGE_AUDIT_FIELDS, async () => {
+    await cancelGatewayPlanChange(sub);
+    sub.pendingChange = undefined;
+    return sub.save();
+  });
+
+  logger.info(`Scheduled change cancelled: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({ success: true, message: 'Scheduled change cancelled', data: sub });
+});
+
+/**
+ * @desc    Opt into auto-renewal (Razorpay Subscription charged at each period end)
+ * @route   POST /api/subscriptions/:id/auto-renew
+ * @access  Private
+ *
+ * Returns the Razorpay subscription id for Checkout (or short_url) so the user can authorise the mandate.
+ */
+export const enableAutoRenew = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id)) {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (sub.autoRenew) {
+    return res.status(200).json({ success: true, message: 'Auto-renew already enabled', data: sub });
+  }
+
+  let razorpaySubscription;
+  await auditedChange(req, 'subscription.auto_renew_enable', sub, AUTO_RENEW_AUDIT_FIELDS, async () => {
+    ({ razorpaySubscription } = await enableGatewayAutoRenew(sub));
+    return sub;
+  });
+
+  logger.info(`Auto-renew requested: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({
+    success: true,
+    message: 'Authorise the payment mandate to turn on auto-renew',
+    data: {
+      subscription: sub,
+      razorpaySubscriptionId: razorpaySubscription.id,
+      shortUrl: razorpaySubscription.short_url,
+      key: process.env.RAZORPAY_KEY_ID,
+    },
+  });
+});
+
+/**
+ * @desc    Turn off auto-renewal (access continues until endDate)
+ * @route   DELETE /api/subscriptions/:id/auto-renew
+ * @access  Private
+ */
+export const disableAutoRenew = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (!sub.autoRenew && !sub.razorpaySubscriptionId) {
+    return res.status(200).json({ success: true, message: 'Auto-renew is not enabled', data: sub });
+  }
+
+  await auditedChange(req, 'subscription.auto_renew_disable', sub, AUTO_RENEW_AUDIT_FIELDS, () => disableGatewayAutoRenew(sub));
+
+  logger.info(`Auto-renew disabled: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({ success: true, message: 'Auto-renew disabled', data: sub });
+});
+
+/**
+ * @desc    Pause a subscription; the remaining days are kept for when it resumes
+ * @route   POST /api/subscriptions/:id/pause
+ * @access  Private
+ *
+ * Body: { days? } (default and maximum: the plan's maxPauseDays). Resumes automatically after that.
+ */
+export const pause = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  if (String(sub.user) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (sub.status === 'paused') {
+    return res.status(200).json({ success: true, message: 'Subscription already paused', data: sub });
   }
 
-  sub.status = 'cancelled';
-  await sub.save();
+  const { days } = req.body;
+  const paused = await auditedChange(req, 'subscription.pause', sub, PAUSE_AUDIT_FIELDS, () => pauseSubscription(sub, { days }), { days });
 
-  logger.info(`Subscription cancelled: ${sub._id} by user ${req.user._id}`);
-  res.status(200).json({ success: true, message: 'Subscription cancelled' });
+  logger.info(`Subscription paused: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({
+    success: true,
+    message: `Subscription paused. It resumes automatically on ${paused.resumeAt.toDateString()}`,
+    data: paused,
+  });
+});
+
+/**
+ * @desc    Resume a paused subscription; endDate moves out by the time spent paused
+ * @route   POST /api/subscriptions/:id/resume
+ * @access  Private
+ */
+export const resume = asyncHandler(async (req, res, next) => {
+  const sub = await Subscription.findById(req.params.id);
+  if (!sub) return next(new ApiError('Subscription not found', 404));
+
+  const isOwner = String(sub.user) === String(req.user._id);
+  if (!isOwner && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to change this subscription', 403));
+  }
+
+  if (sub.status !== 'paused') {
+    return next(new ApiError('Subscription is not paused', 400));
+  }
+
+  const resumed = await auditedChange(req, 'subscription.resume', sub, PAUSE_AUDIT_FIELDS, async () => {
+    const updated = await resumeSubscription(sub, { by: isOwner ? 'user' : 'admin' });
+    // resumed concurrently (cron or another request)
+    if (!updated) throw new ApiError('Subscription is not paused', 400);
+    return updated;
+  });
+
+  logger.info(`Subscription resumed: ${sub._id} by user ${req.user._id}`);
+  res.status(200).json({
+    success: true,
+    message: `Subscription resumed. It now runs until ${resumed.endDate.toDateString()}`,
+    data: resumed,
+  });
 });
 
 /**
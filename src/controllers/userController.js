@@ -0,0 +1,211 @@
+// src/controllers/userController.js
+// Admin user management
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Subscription from '../models/Subscription.js';
+import Payment from '../models/Payment.js';
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+import { recordAudit, pickFields, diffChanges } from '../services/auditService.js';
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admins can't lock themselves out, and the last active admin can't be demoted or deactivated
+const assertNotLastAdmin = async (user, adminId) => {
+  if (String(user._id) === String(adminId)) {
+    throw new ApiError('You cannot change your own role or status', 400);
+  }
+  if (user.role === 'admin' && user.isActive) {
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isActive: true });
+    if (others === 0) throw new ApiError('Cannot remove the last active admin', 400);
+  }
+};
+
+/**
+ * @desc    List / search users
+ * @route   GET /api/admin/users?search=&email=&name=&role=&status=active|inactive&planId=&page=&limit=
+ * @access  Private/Admin
+ *
+ * planId matches users currently entitled to that plan. Each row carries its current subscription.
+ */
+export const listUsers = asyncHandler(async (req, res) => {
+  const { search, email, name, role, status, planId, page = 1, limit = 20 } = req.query;
+  const q = {};
+
+  if (search) {
+    const re = new RegExp(escapeRegex(String(search).trim()), 'i');
+    q.$or = [{ email: re }, { name: re }];
+  }
+  if (email) q.email = new RegExp(escapeRegex(String(email).trim()), 'i');
+  if (name) q.name = new RegExp(escapeRegex(String(name).trim()), 'i');
+  if (role) q.role = role;
+  if (status === 'active') q.isActive = true;
+  if (status === 'inactive') q.isActive = false;
+  if (planId) {
+    q._id = { $in: await Subscription.distinct('user', { plan: planId, ...Subscription.entitledFilter() }) };
+  }
+
+  const perPage = Math.min(100, Math.max(1, Number(limit) || 20));
+  const skip = (Math.max(1, Number(page) || 1) - 1) * perPage;
+  const [users, total] = await Promise.all([
+    User.find(q).sort({ createdAt: -1 }).skip(skip).limit(perPage),
+    User.countDocuments(q),
+  ]);
+
+  const current = await Subscription.find({ user: { $in: users.map((u) => u._id) }, ...Subscription.entitledFilter() })
+    .select('user plan status endDate currency')
+    .populate('plan', 'name');
+  const byUser = new Map(current.map((s) => [String(s.user), s]));
+
+  res.status(200).json({
+    success: true,
+    data: users.map((u) => ({ ...u.toJSON(), currentSubscription: byUser.get(String(u._id)) || null })),
+    meta: { total, page: Math.max(1, Number(page) || 1), limit: perPage },
+  });
+});
+
+/**
+ * @desc    One user with their subscriptions, recent payments, sessions and admin history
+ * @route   GET /api/admin/users/:id
+ * @access  Private/Admin
+ */
+export const getUserDetail = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).populate('deactivatedBy', 'name email');
+  if (!user) return next(new ApiError('User not found', 404));
+
+  const [subscriptions, payments, activeSessions, adminHistory] = await Promise.all([
+    Subscription.find({ user: user._id })
+      .select('-remindersSent -dunningEmailsSent')
+      .sort({ createdAt: -1 })
+      .populate('plan', 'name'),
+    Payment.find({ user: user._id })
+      .select('-gatewayResponse -webhookData -webhookEvents')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('plan', 'name'),
+    Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    // the audit log is the admin history; only the latest entries here, the rest via /audit-logs
+    AuditLog.find({ 'target.type': 'User', 'target.id': String(user._id), 'actor.type': 'admin', 'actor.user': { $ne: user._id } })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(50)
+      .populate('actor.user', 'name email'),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { user, subscriptions, payments, activeSessions, adminHistory },
+  });
+});
+
+/**
+ * @desc    Deactivate or reactivate a user. Deactivation revokes all their sessions.
+ * @route   PATCH /api/admin/users/:id/status
+ * @access  Private/Admin
+ *
+ * Body: { isActive: boolean, reason? }
+ */
+export const updateUserStatus = asyncHandler(async (req, res, next) => {
+  const { isActive, reason } = req.body;
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new ApiError('User not found', 404));
+
+  if (user.isActive === isActive) {
+    return res.status(200).json({ success: true, message: `User already ${isActive ? 'active' : 'inactive'}`, data: user });
+  }
+  if (!isActive) await assertNotLastAdmin(user, req.user._id);
+
+  const before = pickFields(user, ['isActive', 'deactivatedAt', 'deactivationReason']);
+  user.isActive = isActive;
+  if (isActive) {
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+  } else {
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    user.deactivationReason = reason;
+  }
+  await user.save();
+
+  await recordAudit({
+    req,
+    action: isActive ? 'user.reactivate' : 'user.deactivate',
+    target: { type: 'User', id: user._id, label: user.email },
+    changes: diffChanges(before, pickFields(user, ['isActive', 'deactivatedAt', 'deactivationReason'])),
+    metadata: { reason },
+  });
+
+  logger.info(`User ${isActive ? 'reactivated' : 'deactivated'}`, {
+    userId: user._id.toString(),
+    by: req.user._id.toString(),
+    reason,
+  });
+  res.status(200).json({ success: true, message: `User ${isActive ? 'reactivated' : 'deactivated'}`, data: user });
+});
+
+/**
+ * @desc    Change a user's role. Takes effect on their next request.
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Private/Admin
+ *
+ * Body: { role: 'user'|'admin', reason? }
+ */
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role, reason } = req.body;
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new ApiError('User not found', 404));
+
+  if (user.role === role) {
+    return res.status(200).json({ success: true, message: `User is already ${role}`, data: user });
+  }
+  await assertNotLastAdmin(user, req.user._id);
+
+  const previous = user.role;
+  user.role = role;
+  await user.save();
+
+  await recordAudit({
+    req,
+    action: 'user.role_change',
+    target: { type: 'User', id: user._id, label: user.email },
+    changes: { before: { role: previous }, after: { role } },
+    metadata: { reason },
+  });
+
+  logger.info('User role changed', { userId: user._id.toString(), from: previous, to: role, by: req.user._id.toString() });
+  res.status(200).json({ success: true, message: `Role changed to ${role}`, data: user });
+});
+
+/**
+ * @desc    Log a user out everywhere (revoke all their sessions)
+ * @route   POST /api/admin/users/:id/logout
+ * @access  Private/Admin
+ *
+ * Body: { reason? }
+ */
+export const forceLogoutUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body || {};
+  const user = await User.findById(req.params.id);
+  if (!user) return next(new ApiError('User not found', 404));
+
+  const result = await Session.revokeAllForUser(user._id, 'admin_forced_logout');
+
+  await recordAudit({
+    req,
+    action: 'user.force_logout',
+    target: { type: 'User', id: user._id, label: user.email },
+    metadata: { reason, revokedSessions: result.modifiedCount },
+  });
+
+  logger.info('User logged out by admin', {
+    userId: user._id.toString(),
+    sessions: result.modifiedCount,
+    by: req.user._id.toString(),
+  });
+  res.status(200).json({
+    success: true,
+    message: 'User logged out of all sessions',
+    data: { revokedSessions: result.modifiedCount },
+  });
+});
@@ -1,10 +1,17 @@
 // src/controllers/webhookController.js
-import Payment from '../models/Payment.js';
-import Subscription from '../models/Subscription.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { verifyRazorpayWebhookSignature } from '../utils/validators.js';
+import { recordWebhookEvent, processWebhookEvent } from '../services/webhookService.js';
+import { recordAudit } from '../services/auditService.js';
 import logger from '../utils/logger.js';
 
+const REPLAYABLE_STATUSES = ['failed', 'unmatched'];
+// An event still 'processing' after this long was left behind by a crashed or timed-out worker
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const eventTarget = (event) => ({ type: 'WebhookEvent', id: event?._id, label: event?.eventId });
+
 /**
  * Razorpay webhook endpoint
  * NOTE: server must receive raw body (express.raw) to verify signature
@@ -17,6 +24,14 @@ export const razorpayWebhook = asyncHandler(async (req, res) => {
     const ok = verifyRazorpayWebhookSignature(rawBody, signature);
     if (!ok) {
       logger.warn('Invalid webhook signature');
+      await recordAudit({
+        req,
+        actorType: 'gateway',
+        action: 'webhook.rejected',
+        target: { type: 'WebhookEvent' },
+        outcome: 'failure',
+        metadata: { reason: 'invalid signature', eventId: req.headers['x-razorpay-event-id'] },
+      });
       return res.status(400).send('invalid signature');
     }
   } catch (err) {
@@ -33,59 +48,119 @@ export const razorpayWebhook = asyncHandler(async (req, res) => {
     return res.status(400).send('invalid payload');
   }
 
-  // handle events of interest
+  const action = `webhook.${payload?.event || 'unknown'}`;
+  let eventDoc;
   try {
-    const { event, payload: data } = payload;
-
-    // For payment.authorized / payment.captured
-    if (event === 'payment.captured' || event === 'payment.authorized' || event === 'payment.failed') {
-      const paymentEntity = data && (data.payment || data.entity) ? (data.payment || data.entity) : null;
-      if (paymentEntity) {
-        const razorpayOrderId = paymentEntity.order_id;
-        const razorpayPaymentId = paymentEntity.id;
-        const status = paymentEntity.status;
-
-        // find Payment record by razorpayOrderId
-        const p = await Payment.findOne({ razorpayOrderId: razorpayOrderId });
-        if (p) {
-          p.webhookReceived = true;
-          p.webhookData = payload;
-          p.gatewayResponse = p.gatewayResponse || {};
-          p.gatewayResponse.webhook = p.gatewayResponse.webhook || {};
-          p.gatewayResponse.webhook[status] = paymentEntity;
-          // if captured/authorized then mark completed if not already
-          if (status === 'captured' || status === 'authorized') {
-            if (p.status !== 'completed') {
-              p.razorpayPaymentId = razorpayPaymentId;
-              p.status = 'completed';
-              p.completedAt = new Date();
-            }
-          } else if (status === 'failed') {
-            p.status = 'failed';
-            p.failureReason = `Webhook: payment failed`;
-          }
-          await p.save();
-
-          // Optionally, if completed and subscription not created, trigger subscription creation
-          if (p.status === 'completed' && !p.subscription) {
-            // best-effort: create subscription (simple purchase flow)
-            try {
-              const Subscription = await import('../models/Subscription.js');
-              // Keep it simple here: client should call verify flow to finalize subscription
-            } catch (err) {
-              logger.warn('Failed to do auto-activate via webhook', { err: err?.message || err });
-            }
-          }
-        } else {
-          logger.warn('Webhook: no Payment record for order', { razorpayOrderId });
-        }
-      }
+    let duplicate;
+    ({ eventDoc, duplicate } = await recordWebhookEvent(payload, rawBody, req.headers['x-razorpay-event-id']));
+    if (duplicate) {
+      logger.info('Duplicate webhook ignored', { eventId: eventDoc?.eventId, status: eventDoc?.status });
+      return res.status(200).json({ status: 'duplicate' });
     }
 
+    await processWebhookEvent(eventDoc);
+    await recordAudit({
+      req,
+      actorType: 'gateway',
+      action,
+      target: eventTarget(eventDoc),
+      metadata: { status: eventDoc.status, paymentId: eventDoc.payment },
+    });
+
     // respond success
     return res.status(200).json({ status: 'ok' });
   } catch (err) {
+    // 5xx makes Razorpay retry; the event is stored as failed and can also be replayed by an admin
     logger.error('Webhook handler error', { err: err?.message || err });
+    await recordAudit({
+      req,
+      actorType: 'gateway',
+      action,
+      target: eventTarget(eventDoc),
+      outcome: 'failure',
+      metadata: { error: err?.message || String(err) },
+    });
     return res.status(500).send('error processing webhook');
   }
 });
+
+/**
+ * @desc    List stored webhook events
+ * @route   GET /api/admin/webhooks
+ * @access  Private/Admin
+ */
+export const listWebhookEvents = asyncHandler(async (req, res) => {
+  const { status, event, razorpayOrderId, razorpayPaymentId, page = 1, limit = 20 } = req.query;
+  const q = {};
+
+  if (status) q.status = status;
+  if (event) q.event = event;
+  if (razorpayOrderId) q.razorpayOrderId = razorpayOrderId;
+  if (razorpayPaymentId) q.razorpayPaymentId = razorpayPaymentId;
+
+  const perPage = Math.min(100, Math.max(1, Number(limit) || 20));
+  const skip = (Math.max(1, Number(page) || 1) - 1) * perPage;
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(q).select('-payload').sort({ createdAt: -1 }).skip(skip).limit(perPage),
+    WebhookEvent.countDocuments(q),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    meta: { total, page: Math.max(1, Number(page) || 1), limit: perPage },
+  });
+});
+
+/**
+ * @desc    Get a single webhook event with its payload
+ * @route   GET /api/admin/webhooks/:id
+ * @access  Private/Admin
+ */
+export const getWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await WebhookEvent.findById(req.params.id);
+  if (!event) return next(new ApiError('Webhook event not found', 404));
+
+  res.status(200).json({ success: true, data: event });
+});
+
+/**
+ * @desc    Re-run a failed or unmatched webhook event, or one stuck in processing
+ * @route   POST /api/admin/webhooks/:id/replay
+ * @access  Private/Admin
+ */
+export const replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  // Claim the event so a concurrent Razorpay retry or second replay can't run it too
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      $or: [
+        { status: { $in: REPLAYABLE_STATUSES } },
+        { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    { $set: { status: 'received', replayedBy: req.user._id } },
+    { new: true }
+  );
+  if (!event) {
+    const exists = await WebhookEvent.exists({ _id: req.params.id });
+    if (!exists) return next(new ApiError('Webhook event not found', 404));
+    return next(new ApiError(`Only ${REPLAYABLE_STATUSES.join(' or ')} events, or events stuck in processing, can be replayed`, 400));
+  }
+
+  try {
+    await processWebhookEvent(event);
+  } catch (err) {
+    logger.warn('Webhook replay failed', { eventId: event.eventId, adminId: req.user._id.toString(), err: err?.message || err });
+    await recordAudit({ req, action: 'webhook.replay', target: eventTarget(event), outcome: 'failure', metadata: { error: err?.message || String(err) } });
+    return next(new ApiError(`Replay failed: ${err?.message || 'unknown error'}`, 500));
+  }
+
+  await recordAudit({ req, action: 'webhook.replay', target: eventTarget(event), metadata: { event: event.event, status: event.status } });
+  logger.info('Webhook event replayed', { eventId: event.eventId, status: event.status, adminId: req.user._id.toString() });
+  res.status(200).json({
+    success: true,
+    message: event.status === 'processed' ? 'Webhook event replayed' : `Webhook event replayed (${event.status})`,
+    data: event,
+  });
+});
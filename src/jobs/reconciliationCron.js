@@ -0,0 +1,39 @@
+// src/jobs/reconciliationCron.js
+import cron from 'node-cron';
+import { reconcilePayments } from '../services/reconciliationService.js';
+import logger from '../utils/logger.js';
+
+// Read lazily: ESM imports are evaluated before server.js calls dotenv.config()
+const isDryRun = () => process.env.RECONCILE_DRY_RUN === 'true';
+
+let running = false;
+
+const job = cron.schedule('*/15 * * * *', async () => {
+  // runs every 15 minutes; a slow run (gateway latency) is never overlapped
+  if (running) {
+    logger.warn('reconciliationCron: previous run still in progress, skipping');
+    return;
+  }
+  running = true;
+  try {
+    const report = await reconcilePayments({ dryRun: isDryRun() });
+    logger.info('reconciliationCron: reconcilePayments result', {
+      dryRun: report.dryRun,
+      checked: report.checked,
+      completed: report.completed,
+      failed: report.failed,
+      fulfilled: report.fulfilled,
+      errors: report.errors,
+      mismatches: report.mismatches.length,
+    });
+  } catch (err) {
+    logger.error('reconciliationCron error', { err: err?.message || err });
+  } finally {
+    running = false;
+  }
+}, { scheduled: false });
+
+export default {
+  start: () => job.start(),
+  stop: () => job.stop(),
+};
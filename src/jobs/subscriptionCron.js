@@ -1,16 +1,53 @@
 // src/jobs/subscriptionCron.js
 import cron from 'node-cron';
 import Subscription from '../models/Subscription.js';
+import Payment from '../models/Payment.js';
+import { autoResumeSubscriptions } from '../services/pauseService.js';
+import {
+  sendExpiryReminders,
+  sendDunningEmails,
+  sendTrialEndingReminders,
+  sendExpiredNotifications,
+} from '../services/reminderService.js';
 import logger from '../utils/logger.js';
 
 const job = cron.schedule('0 2 * * *', async () => {
   // runs daily at 02:00 server time
   try {
+    // pauses that reached their limit, before expiry looks at endDate
+    const resumed = await autoResumeSubscriptions();
+    logger.info('subscriptionCron: autoResumeSubscriptions result', { resumed });
+
     const result = await Subscription.expireOldSubscriptions();
     logger.info('subscriptionCron: expireOldSubscriptions result', { result });
   } catch (err) {
     logger.error('subscriptionCron error', { err: err?.message || err });
   }
+
+  try {
+    // after expiry so subscriptions that just lapsed get the dunning / expired notice, not a reminder
+    const reminders = await sendExpiryReminders();
+    logger.info('subscriptionCron: sendExpiryReminders result', { reminders });
+
+    const dunning = await sendDunningEmails();
+    logger.info('subscriptionCron: sendDunningEmails result', { dunning });
+
+    const trials = await sendTrialEndingReminders();
+    logger.info('subscriptionCron: sendTrialEndingReminders result', { trials });
+
+    const notices = await sendExpiredNotifications();
+    logger.info('subscriptionCron: sendExpiredNotifications result', { notices });
+  } catch (err) {
+    logger.error('subscriptionCron expiry email error', { err: err?.message || err });
+  }
+
+  try {
+    // completed payments left without an invoice number (process died mid-way)
+    const invoices = await Payment.assignMissingInvoiceNumbers();
+    if (invoices.matched > 0) logger.warn('subscriptionCron: assigned missing invoice numbers', { invoices });
+  } catch (err) {
+    logger.error('subscriptionCron invoice numbering error', { err: err?.message || err });
+  }
 }, { scheduled: false });
 
 export default {
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -51,6 +52,24 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Reject tokens issued before the last password change / reset
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please login again.',
+        });
+      }
+
+      // Access tokens are bound to a server-side session; revoked/expired sessions are rejected
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isValid || String(session.user) !== String(req.user._id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked or expired. Please login again.',
+        });
+      }
+      req.sessionId = session._id;
+
       next();
     } catch (error) {
       logger.error('Token verification failed:', error);
@@ -110,7 +129,11 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (session && session.isValid) {
+          req.user = await User.findById(decoded.id).select('-password');
+          req.sessionId = session._id;
+        }
       } catch (error) {
         // Token invalid, but we continue without user
         logger.debug('Optional auth: Invalid token provided');
@@ -122,4 +145,29 @@ export const optionalAuth = async (req, res, next) => {
     logger.error('Optional auth middleware error:', error);
     next();
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Block the route until the user has verified their email address.
+ * Enforced only when REQUIRE_EMAIL_VERIFICATION=true so existing deployments keep working.
+ * Must run after protect.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') return next();
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route.',
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before making a payment.',
+    });
+  }
+
+  next();
+};
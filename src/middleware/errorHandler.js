@@ -25,6 +25,7 @@ export const errorHandler = (err, req, res, next) => {
     stack: err.stack,
     url: req.originalUrl,
     method: req.method,
+    requestId: req.id,
   });
 
   // Mongoose bad ObjectId
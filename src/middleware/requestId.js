@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+// Accept a caller's id only if it looks like one (it ends up in logs and audit entries)
+const INCOMING_ID = /^[A-Za-z0-9._:-]{8,100}$/;
+
+/**
+ * Give every request an id (req.id), echoed in the X-Request-Id response header.
+ * An X-Request-Id sent by a proxy or client is kept so one id follows the request end to end.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+export default requestId;
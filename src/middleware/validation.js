@@ -1,7 +1,10 @@
 
 // src/middleware/validation.js
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
+import { GST_STATE_CODES, isValidGstin } from '../utils/tax.js';
+import { BASE_CURRENCY, CURRENCY_CODES } from '../utils/currency.js';
+import { REPORT_INTERVALS, isValidTimeZone } from '../utils/timezone.js';
 
 /**
  * Central validation result handler.
@@ -67,30 +70,196 @@ export const validateLogin = [
   checkValidation,
 ];
 
+export const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  checkValidation,
+];
+
+export const validateResetPassword = [
+  param('token')
+    .isHexadecimal().withMessage('Reset token is invalid')
+    .isLength({ min: 40, max: 40 }).withMessage('Reset token is invalid'),
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  checkValidation,
+];
+
+/**
+ * Billing profile (GST)
+ * Body: { legalName?, addressLine1?, addressLine2?, city?, state?, stateCode?, postalCode?, country?, gstin? } — '' clears a field
+ * Indian addresses (country IN, the default) use stateCode + PIN; the model checks those per country.
+ */
+export const validateBillingProfile = [
+  body('legalName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Legal name cannot exceed 100 characters'),
+  body(['addressLine1', 'addressLine2'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('City cannot exceed 100 characters'),
+  body('state')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('State cannot exceed 100 characters'),
+  body('stateCode')
+    .optional({ values: 'falsy' })
+    .isIn(Object.keys(GST_STATE_CODES)).withMessage('stateCode must be a valid GST state code (e.g. 27)'),
+  body('postalCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9 -]{3,10}$/).withMessage('postalCode must be a valid postal code'),
+  body('country')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .isISO31661Alpha2().withMessage('country must be a 2-letter ISO country code (e.g. IN, US)'),
+  body('gstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom((value) => isValidGstin(value)).withMessage('gstin must be a valid 15-character GSTIN'),
+  checkValidation,
+];
+
 /* -----------------------
    Plan Validators (admin)
    ----------------------- */
 
+// Optional plan fields shared by create (POST/PUT) and partial update (PATCH)
+const planOptionalFields = [
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string')
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('duration')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Duration must be at least 1 day')
+    .toInt(),
+  body('features')
+    .optional()
+    .isArray().withMessage('Features must be an array of strings'),
+  body('features.*')
+    .optional()
+    .isString().withMessage('Features must be an array of strings'),
+  body('billingCycle')
+    .optional()
+    .isIn(['monthly', 'quarterly', 'yearly']).withMessage('billingCycle must be monthly, quarterly or yearly'),
+  body('priority')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Priority must be a non-negative integer')
+    .toInt(),
+  body('renewLimit')
+    .optional()
+    .isInt({ min: 0 }).withMessage('renewLimit must be a non-negative integer (0 = unlimited)')
+    .toInt(),
+  body('allowDowngrade')
+    .optional()
+    .isBoolean().withMessage('allowDowngrade must be a boolean')
+    .toBoolean(),
+  body('gracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage('gracePeriodDays must be an integer between 0 and 90')
+    .toInt(),
+  body('maxPauseDays')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('maxPauseDays must be an integer between 0 and 365 (0 = no pausing)')
+    .toInt(),
+  body('maxPausesPerYear')
+    .optional()
+    .isInt({ min: 0 }).withMessage('maxPausesPerYear must be a non-negative integer')
+    .toInt(),
+  body('trialDays')
+    .optional()
+    .isInt({ min: 0, max: 90 }).withMessage('trialDays must be an integer between 0 and 90 (0 = no trial)')
+    .toInt(),
+  body('taxInclusive')
+    .optional()
+    .isBoolean().withMessage('taxInclusive must be a boolean')
+    .toBoolean(),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+  body('sortOrder')
+    .optional()
+    .isInt().withMessage('sortOrder must be an integer')
+    .toInt(),
+  body('prices')
+    .optional()
+    .isArray().withMessage('prices must be an array of { currency, amount }'),
+  body('prices.*.currency')
+    .trim()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES.filter((c) => c !== BASE_CURRENCY))
+    .withMessage(`prices currency must be one of ${CURRENCY_CODES.filter((c) => c !== BASE_CURRENCY).join(', ')} (INR is the base price)`),
+  body('prices.*.amount')
+    .isInt({ min: 100 }).withMessage('prices amount must be an integer in minor units (at least 100)')
+    .toInt(),
+  // amount (paise) must agree with price (rupees) when both are sent
+  body('amount')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.body.price == null) return true;
+      if (Number(value) !== Math.round(Number(req.body.price) * 100)) {
+        throw new Error('Amount (paise) must equal price (rupees) x 100');
+      }
+      return true;
+    }),
+];
+
 export const validatePlan = [
   body('name')
     .trim()
     .notEmpty().withMessage('Plan name is required')
-    .isIn(['Basic', 'Standard', 'Premium']).withMessage('Plan name must be Basic, Standard or Premium'),
+    .isLength({ min: 2, max: 50 }).withMessage('Plan name must be 2-50 characters'),
   body('price')
     .notEmpty().withMessage('Price is required (in rupees)')
     .isFloat({ min: 0 }).withMessage('Price must be a non-negative number')
     .toFloat(),
   body('amount')
-    .notEmpty().withMessage('Amount is required (in paise)')
+    .optional()
     .isInt({ min: 0 }).withMessage('Amount must be an integer (paise)')
     .toInt(),
-  body('duration')
+  ...planOptionalFields,
+  checkValidation,
+];
+
+export const validatePlanUpdate = [
+  body('name')
     .optional()
-    .isInt({ min: 1 }).withMessage('Duration must be at least 1 day')
-    .toInt(),
-  body('features')
+    .trim()
+    .isLength({ min: 2, max: 50 }).withMessage('Plan name must be 2-50 characters'),
+  body('price')
     .optional()
-    .isArray().withMessage('Features must be an array of strings'),
+    .isFloat({ min: 0 }).withMessage('Price must be a non-negative number')
+    .toFloat(),
+  body('amount')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Amount must be an integer (paise)')
+    .toInt(),
+  ...planOptionalFields,
+  checkValidation,
+];
+
+/**
+ * Reorder plans
+ * Body: { order: [planId, planId, ...] } — first id gets sortOrder 1
+ */
+export const validatePlanReorder = [
+  body('order')
+    .isArray({ min: 1 }).withMessage('order must be a non-empty array of plan ids'),
+  body('order.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('order must contain valid plan ids'),
   checkValidation,
 ];
 
@@ -98,9 +267,17 @@ export const validatePlan = [
    Payment Validators
    ----------------------- */
 
+// Order currency (optional: defaults from the billing country); a factory so chains aren't shared
+const currencyRule = () =>
+  body('currency')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .isIn(CURRENCY_CODES).withMessage(`currency must be one of ${CURRENCY_CODES.join(', ')}`);
+
 /**
  * Create payment (order) validator
- * Body: { planId, action?, subscriptionId? }
+ * Body: { planId, action?, subscriptionId?, couponCode?, currency? }
  * - server computes amount
  * - action optional: 'purchase' (default) | 'renew' | 'upgrade'
  * - if action is 'renew' or 'upgrade', subscriptionId is required and must be a valid ObjectId
@@ -114,6 +291,13 @@ export const validateCreatePayment = [
     .optional()
     .isIn(['purchase', 'renew', 'upgrade']).withMessage('action must be purchase, renew or upgrade'),
 
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 }).withMessage('couponCode must be 3-30 characters'),
+
+  currencyRule(),
+
   // conditional subscriptionId: required (valid ObjectId) when action is renew/upgrade
   body('subscriptionId')
     .optional()
@@ -147,6 +331,150 @@ export const validateVerifyPayment = [
   checkValidation,
 ];
 
+/**
+ * Refund validator (admin)
+ * Body: { amount?, reason, subscriptionAction?, notifyUser? }
+ * - amount in paise; omitted = refund everything still refundable
+ */
+export const validateRefund = [
+  param('paymentId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('paymentId must be a valid ObjectId'),
+  body('amount')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Amount must be a positive integer (paise)')
+    .toInt(),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('reason is required')
+    .isLength({ max: 500 }).withMessage('reason cannot exceed 500 characters'),
+  body('subscriptionAction')
+    .optional()
+    .isIn(['none', 'cancel', 'shorten']).withMessage('subscriptionAction must be none, cancel or shorten'),
+  body('notifyUser')
+    .optional()
+    .isBoolean().withMessage('notifyUser must be a boolean')
+    .toBoolean(),
+  checkValidation,
+];
+
+/* -----------------------
+   Coupon Validators
+   ----------------------- */
+
+// Shared by create and update; create additionally requires code/discountType/discountValue
+const couponOptionalFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('maxDiscountAmount')
+    .optional()
+    .isInt({ min: 0 }).withMessage('maxDiscountAmount must be a non-negative integer (paise)')
+    .toInt(),
+  body('validFrom')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('validFrom must be a date')
+    .toDate(),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be a date')
+    .toDate(),
+  body('maxRedemptions')
+    .optional()
+    .isInt({ min: 0 }).withMessage('maxRedemptions must be a non-negative integer (0 = unlimited)')
+    .toInt(),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 0 }).withMessage('perUserLimit must be a non-negative integer (0 = unlimited)')
+    .toInt(),
+  body('plans')
+    .optional()
+    .isArray().withMessage('plans must be an array of plan ids'),
+  body('plans.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('plans must contain valid plan ids'),
+  body('actions')
+    .optional()
+    .isArray().withMessage('actions must be an array'),
+  body('actions.*')
+    .isIn(['purchase', 'renew', 'upgrade']).withMessage('actions may only contain purchase, renew or upgrade'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+];
+
+// A function, not a shared chain: .optional() would otherwise leak into the create validator
+const couponCodeRule = () => body('code')
+  .trim()
+  .isLength({ min: 3, max: 30 }).withMessage('Coupon code must be 3-30 characters')
+  .matches(/^[A-Za-z0-9_-]+$/).withMessage('Coupon code may only contain letters, numbers, - and _');
+
+/**
+ * Create coupon (admin)
+ * discountValue: percent (1-100) for percentage coupons, paise for flat ones
+ */
+export const validateCoupon = [
+  couponCodeRule(),
+  body('discountType')
+    .isIn(['percentage', 'flat']).withMessage('discountType must be percentage or flat'),
+  body('discountValue')
+    .isInt({ min: 1 }).withMessage('discountValue must be a positive integer')
+    .toInt(),
+  ...couponOptionalFields,
+  checkValidation,
+];
+
+export const validateCouponUpdate = [
+  couponCodeRule().optional(),
+  body('discountType')
+    .optional()
+    .isIn(['percentage', 'flat']).withMessage('discountType must be percentage or flat'),
+  body('discountValue')
+    .optional()
+    .isInt({ min: 1 }).withMessage('discountValue must be a positive integer')
+    .toInt(),
+  ...couponOptionalFields,
+  checkValidation,
+];
+
+/**
+ * Coupon preview
+ * Body: { couponCode, planId, action?, subscriptionId? }
+ */
+export const validateCouponPreview = [
+  body('couponCode')
+    .trim()
+    .notEmpty().withMessage('couponCode is required'),
+  body('planId')
+    .notEmpty().withMessage('planId is required')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('planId must be a valid ObjectId'),
+  body('action')
+    .optional()
+    .isIn(['purchase', 'renew', 'upgrade']).withMessage('action must be purchase, renew or upgrade'),
+  body('subscriptionId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('subscriptionId must be a valid ObjectId'),
+  currencyRule(),
+  checkValidation,
+];
+
+/**
+ * Coupon list query validator (admin)
+ * Query: { isActive?, page?, limit? }
+ */
+export const validateCouponQuery = [
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  checkValidation,
+];
+
 /* -----------------------
    Subscription Validators
    ----------------------- */
@@ -161,6 +489,270 @@ export const validateActivateSubscription = [
   checkValidation,
 ];
 
+/**
+ * Schedule plan change validator
+ * Body: { planId }
+ */
+export const validateScheduleChange = [
+  body('planId')
+    .notEmpty().withMessage('planId is required')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('planId must be a valid ObjectId'),
+  checkValidation,
+];
+
+/**
+ * Start trial validator
+ * Body: { planId }
+ */
+export const validateStartTrial = [
+  body('planId')
+    .notEmpty().withMessage('planId is required')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('planId must be a valid ObjectId'),
+  checkValidation,
+];
+
+/**
+ * Cancel subscription validator
+ * Body: { mode?, reason?, refund? }
+ */
+export const validateCancelSubscription = [
+  body('mode')
+    .optional()
+    .isIn(['at_period_end', 'immediate']).withMessage('mode must be at_period_end or immediate'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('refund')
+    .optional()
+    .isBoolean().withMessage('refund must be a boolean')
+    .toBoolean(),
+  checkValidation,
+];
+
+/**
+ * Pause subscription validator
+ * Body: { days? } (defaults to the plan's maximum pause length)
+ */
+export const validatePause = [
+  body('days')
+    .optional()
+    .isInt({ min: 1 }).withMessage('days must be a positive integer')
+    .toInt(),
+  checkValidation,
+];
+
+/* -----------------------
+   Admin User Validators
+   ----------------------- */
+
+const adminReasonRule = () => body('reason')
+  .optional()
+  .trim()
+  .isLength({ max: 500 }).withMessage('reason cannot exceed 500 characters');
+
+/**
+ * User status validator (admin)
+ * Body: { isActive, reason? }
+ */
+export const validateUserStatus = [
+  body('isActive')
+    .exists().withMessage('isActive is required')
+    .isBoolean({ strict: true }).withMessage('isActive must be true or false')
+    .toBoolean(),
+  adminReasonRule(),
+  checkValidation,
+];
+
+/**
+ * User role validator (admin)
+ * Body: { role, reason? }
+ */
+export const validateUserRole = [
+  body('role')
+    .isIn(['user', 'admin']).withMessage('role must be user or admin'),
+  adminReasonRule(),
+  checkValidation,
+];
+
+/**
+ * Force logout validator (admin)
+ * Body: { reason? }
+ */
+export const validateForceLogout = [adminReasonRule(), checkValidation];
+
+/* -----------------------
+   Report Validators
+   ----------------------- */
+
+// from/to are ISO dates (to is exclusive), tz an IANA time zone (default UTC)
+const reportRangeRules = () => [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a date')
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('to must be after from'),
+  query('tz')
+    .optional()
+    .custom((value) => isValidTimeZone(value)).withMessage('tz must be an IANA time zone, e.g. Asia/Kolkata'),
+];
+
+/**
+ * Report validator
+ * Query: { from?, to?, tz?, groupBy?, interval? }
+ */
+export const validateReportRange = [
+  ...reportRangeRules(),
+  query('groupBy')
+    .optional()
+    .isIn([...REPORT_INTERVALS, 'plan']).withMessage(`groupBy must be one of ${[...REPORT_INTERVALS, 'plan'].join(', ')}`),
+  query('interval')
+    .optional()
+    .isIn(REPORT_INTERVALS).withMessage(`interval must be one of ${REPORT_INTERVALS.join(', ')}`),
+  checkValidation,
+];
+
+/**
+ * Record export validator
+ * Params: { type: payments|subscriptions }
+ * Query: { from?, to?, tz?, format?, dateField?, status?, planId?, action? }
+ */
+export const validateExport = [
+  param('type')
+    .isIn(['payments', 'subscriptions']).withMessage('type must be payments or subscriptions'),
+  ...reportRangeRules(),
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson']).withMessage('format must be csv or ndjson'),
+  query('dateField')
+    .optional()
+    .isIn(['createdAt', 'completedAt', 'startDate', 'endDate', 'cancelledAt']).withMessage('dateField is not a date field'),
+  query('status')
+    .optional()
+    .isString().trim(),
+  query('planId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('planId must be a valid ObjectId'),
+  query('action')
+    .optional()
+    .isIn(['purchase', 'renew', 'upgrade']).withMessage('action must be purchase, renew or upgrade'),
+  checkValidation,
+];
+
+/**
+ * Invoice ZIP export validator
+ * Query: { from?, to?, tz? }
+ */
+export const validateInvoiceExport = [...reportRangeRules(), checkValidation];
+
+/**
+ * Reconciliation run validator (admin)
+ * Body: { dryRun?, olderThanMinutes?, lookbackDays?, limit? }
+ */
+export const validateReconciliation = [
+  body('dryRun')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('dryRun must be true or false')
+    .toBoolean(),
+  body('olderThanMinutes')
+    .optional()
+    .isInt({ min: 5, max: 10080 }).withMessage('olderThanMinutes must be between 5 and 10080')
+    .toInt(),
+  body('lookbackDays')
+    .optional()
+    .isInt({ min: 1, max: 90 }).withMessage('lookbackDays must be between 1 and 90')
+    .toInt(),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    .toInt(),
+  checkValidation,
+];
+
+/**
+ * Audit log query validator (admin)
+ * Query: { actorId?, actorType?, action?, targetType?, targetId?, outcome?, requestId?, from?, to?, page?, limit? }
+ */
+export const validateAuditQuery = [
+  query('actorId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('actorId must be a valid ObjectId'),
+  query('actorType')
+    .optional()
+    .isIn(['user', 'admin', 'gateway', 'system']).withMessage('actorType must be user, admin, gateway or system'),
+  query(['action', 'targetType', 'targetId', 'requestId'])
+    .optional()
+    .isString().trim()
+    .isLength({ max: 128 }).withMessage('Filter values cannot exceed 128 characters'),
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure']).withMessage('outcome must be success or failure'),
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  checkValidation,
+];
+
+/**
+ * User list query validator (admin)
+ * Query: { search?, email?, name?, role?, status?, planId?, page?, limit? }
+ */
+export const validateUserQuery = [
+  query(['search', 'email', 'name'])
+    .optional()
+    .isString().trim()
+    .isLength({ max: 128 }).withMessage('Filter values cannot exceed 128 characters'),
+  query('role')
+    .optional()
+    .isIn(['user', 'admin']).withMessage('role must be user or admin'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive']).withMessage('status must be active or inactive'),
+  query('planId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value)).withMessage('planId must be a valid ObjectId'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  checkValidation,
+];
+
+/**
+ * Webhook event list query validator (admin)
+ * Query: { status?, event?, razorpayOrderId?, razorpayPaymentId?, page?, limit? }
+ */
+export const validateWebhookQuery = [
+  query('status')
+    .optional()
+    .isIn(['received', 'processing', 'processed', 'failed', 'unmatched', 'ignored']).withMessage('Invalid webhook event status'),
+  query(['event', 'razorpayOrderId', 'razorpayPaymentId'])
+    .optional()
+    .isString().trim()
+    .isLength({ max: 128 }).withMessage('Filter values cannot exceed 128 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  checkValidation,
+];
+
 /* -----------------------
    Misc helpers
    ----------------------- */
@@ -179,9 +771,33 @@ export default {
   validateObjectId,
   validateSignup,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateBillingProfile,
   validatePlan,
+  validatePlanUpdate,
+  validatePlanReorder,
   validateCreatePayment,
   validateVerifyPayment,
+  validateRefund,
+  validateCoupon,
+  validateCouponUpdate,
+  validateCouponPreview,
+  validateCouponQuery,
   validateActivateSubscription,
+  validateScheduleChange,
+  validateStartTrial,
+  validateCancelSubscription,
+  validatePause,
+  validateUserStatus,
+  validateUserRole,
+  validateForceLogout,
+  validateReportRange,
+  validateExport,
+  validateInvoiceExport,
+  validateReconciliation,
+  validateAuditQuery,
+  validateUserQuery,
+  validateWebhookQuery,
   validateOptionalEmail,
 };
@@ -0,0 +1,64 @@
+// models/AuditLog.js
+import mongoose from 'mongoose';
+
+/*
+ Append-only record of who changed what: billing actions, account changes and every admin
+ mutation. Written through services/auditService.js. Entries are never updated or deleted;
+ the hooks below reject any attempt from application code.
+*/
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      // user: the account owner, admin: an admin acting on someone else's data,
+      // gateway: a Razorpay webhook, system: cron / jobs
+      type: { type: String, enum: ['user', 'admin', 'gateway', 'system'], required: true },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+      email: String,
+      role: String,
+    },
+    // "<resource>.<verb>", e.g. subscription.cancel, payment.verify, plan.update
+    action: { type: String, required: true, index: true },
+    target: {
+      type: { type: String, required: true }, // model name: Subscription, Payment, User, ...
+      id: { type: String, index: true },
+      label: String,
+    },
+    outcome: { type: String, enum: ['success', 'failure'], default: 'success', index: true },
+    // only the fields that changed; secrets are never stored
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+    // anything else worth keeping (reason, refund amount, failure message, ...)
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: { type: String, maxlength: 500 },
+    requestId: { type: String, index: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/* append-only */
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'deleteOne'].forEach((op) => auditLogSchema.pre(op, { document: true, query: true }, rejectChange));
+['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'].forEach(
+  (op) => auditLogSchema.pre(op, rejectChange)
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
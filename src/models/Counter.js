@@ -0,0 +1,29 @@
+// models/Counter.js
+import mongoose from 'mongoose';
+
+/*
+ Named sequences, e.g. 'invoice:26-27'. `seq` is the highest number handed out so far.
+*/
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+/* statics */
+
+// Current value (0 when the sequence hasn't been used yet)
+counterSchema.statics.current = async function (key) {
+  const doc = await this.findById(key).lean();
+  return doc ? doc.seq : 0;
+};
+
+// Raise the counter to at least `value` (never lowers it)
+counterSchema.statics.raiseTo = function (key, value) {
+  return this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
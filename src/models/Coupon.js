@@ -0,0 +1,115 @@
+// models/Coupon.js
+import mongoose from 'mongoose';
+import { MIN_CHARGE_PAISE } from '../utils/proration.js';
+
+const couponSchema = new mongoose.Schema(
+  {
+    // Stored upper-case; lookups normalise the code the same way
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      minlength: [3, 'Coupon code must be at least 3 characters'],
+      maxlength: [30, 'Coupon code cannot exceed 30 characters'],
+      match: [/^[A-Z0-9_-]+$/, 'Coupon code may only contain letters, numbers, - and _'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+
+    // percentage: value is 1-100 (%). flat: value is in paise.
+    discountType: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: [true, 'Discount type is required'],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [1, 'Discount value must be positive'],
+    },
+    // Cap for percentage coupons, in paise (0 = no cap)
+    maxDiscountAmount: { type: Number, default: 0, min: 0 },
+
+    validFrom: Date,
+    expiresAt: Date,
+
+    // 0 = unlimited
+    maxRedemptions: { type: Number, default: 0, min: 0 },
+    perUserLimit: { type: Number, default: 1, min: 0 },
+    // completed payments that used this coupon (incremented on fulfillment)
+    redemptionCount: { type: Number, default: 0, min: 0 },
+
+    // Empty = every plan / every action
+    plans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }],
+    actions: [{ type: String, enum: ['purchase', 'renew', 'upgrade'] }],
+
+    isActive: { type: Boolean, default: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/* validation */
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.expiresAt && this.expiresAt <= this.validFrom) {
+    this.invalidate('expiresAt', 'expiresAt must be after validFrom');
+  }
+  next();
+});
+
+/* methods */
+
+/**
+ * Why this coupon can't be used right now (ignoring per-user usage), or null if it can
+ */
+couponSchema.methods.getUnavailableReason = function (now = new Date()) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.validFrom && now < this.validFrom) return 'This coupon is not valid yet';
+  if (this.expiresAt && now >= this.expiresAt) return 'This coupon has expired';
+  if (this.maxRedemptions > 0 && this.redemptionCount >= this.maxRedemptions) {
+    return 'This coupon has reached its redemption limit';
+  }
+  return null;
+};
+
+couponSchema.methods.appliesTo = function ({ planId, action }) {
+  if (this.plans && this.plans.length && !this.plans.some((p) => String(p) === String(planId))) return false;
+  if (this.actions && this.actions.length && !this.actions.includes(action)) return false;
+  return true;
+};
+
+/**
+ * Discount in paise for a charge of `amount` paise. Never takes the charge below
+ * MIN_CHARGE_PAISE, since Razorpay rejects smaller orders.
+ */
+couponSchema.methods.calculateDiscount = function (amount) {
+  let discount = this.discountType === 'percentage'
+    ? Math.round((amount * this.discountValue) / 100)
+    : this.discountValue;
+  if (this.discountType === 'percentage' && this.maxDiscountAmount > 0) {
+    discount = Math.min(discount, this.maxDiscountAmount);
+  }
+  return Math.max(0, Math.min(discount, amount - MIN_CHARGE_PAISE));
+};
+
+/* statics */
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
@@ -1,6 +1,9 @@
 
 // models/Payment.js
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import { getFinancialYear, formatInvoiceNumber } from '../utils/invoiceNumber.js';
+import { BASE_CURRENCY, CURRENCY_CODES, formatMoney } from '../utils/currency.js';
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -19,34 +22,134 @@ const paymentSchema = new mongoose.Schema(
     // If action is renew/upgrade, this points to the subscription being renewed/upgraded
     targetSubscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', index: true },
 
-    // amount in paise (integer)
+    // amount in the currency's minor unit (paise for INR); every amount on the payment uses `currency`
     amount: { type: Number, required: true, min: [0, 'Amount cannot be negative'] },
+    currency: { type: String, default: BASE_CURRENCY, uppercase: true, enum: CURRENCY_CODES, index: true },
+
+    // Upgrade proration (amounts in paise): amount = planAmount - creditAmount
+    proration: {
+      planAmount: Number,
+      creditAmount: Number,
+      remainingDays: Number,
+      bonusDays: Number,
+      oldPlanName: String,
+      oldPlanAmount: Number,
+      oldPlanDuration: Number,
+      oldPeriodEnd: Date,
+      // what the credit was priced from: the payment that funded the old period, or its list price
+      creditSource: { type: String, enum: ['payment', 'list_price'] },
+      creditPayment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+      calculatedAt: Date,
+    },
+
+    // Coupon applied at order creation (amounts in paise): amount = originalAmount - amount off
+    discount: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', index: true },
+      code: String,
+      type: { type: String, enum: ['percentage', 'flat'] },
+      value: Number,
+      amount: Number,
+      originalAmount: Number,
+    },
+
+    // GST breakdown of `amount` (paise), fixed when the order is created (services/taxService.js)
+    tax: {
+      rate: Number,
+      taxInclusive: Boolean,
+      taxableAmount: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number,
+      placeOfSupply: String,
+      // export: customer outside India, zero-rated (no GST charged)
+      supplyType: { type: String, enum: ['intra_state', 'inter_state', 'export'] },
+      stateTaxLabel: { type: String, enum: ['SGST', 'UTGST'] },
+      sacCode: String,
+      sellerGstin: String,
+      // customer's billing profile at the time of purchase
+      billedTo: {
+        legalName: String,
+        addressLine1: String,
+        addressLine2: String,
+        city: String,
+        state: String,
+        stateCode: String,
+        postalCode: String,
+        country: String,
+        gstin: String,
+      },
+    },
 
     // Razorpay fields
     razorpayOrderId: { type: String, sparse: true, index: true },
-    razorpayPaymentId: { type: String, sparse: true, index: true },
+    // unique: a gateway payment is recorded at most once (recurring charges are deduped on it)
+    razorpayPaymentId: { type: String, unique: true, sparse: true },
     razorpaySignature: { type: String, sparse: true },
 
     // status
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'cancelled'],
+      enum: ['pending', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
       default: 'pending',
       index: true,
     },
 
+    // Refunds (services/refundService.js). refundedAmount counts pending + processed refunds,
+    // so it is reserved before the gateway call and can never exceed amount.
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    refunds: [
+      {
+        razorpayRefundId: { type: String, index: true },
+        amount: { type: Number, required: true, min: 1 },
+        reason: { type: String, maxlength: 500 },
+        status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+        // what to do with the linked subscription once the refund is processed
+        subscriptionAction: { type: String, enum: ['none', 'cancel', 'shorten'], default: 'none' },
+        subscriptionActionAppliedAt: Date,
+        notifyUser: { type: Boolean, default: true },
+        creditNoteNumber: String,
+        initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        failureReason: String,
+        createdAt: { type: Date, default: Date.now },
+        processedAt: Date,
+      },
+    ],
+
     // receipt / invoice
     receipt: { type: String, unique: true, sparse: true },
+    // Sequential per financial year, assigned once the payment is completed and applied (assignInvoiceNumber)
     invoiceNumber: { type: String, unique: true, sparse: true },
+    invoiceFinancialYear: String,
+    invoiceSequence: Number,
     invoiceUrl: String,
     invoiceGeneratedAt: Date,
+    // stored PDF (see storageService); invoiceUrl is the API download path
+    invoiceStorageKey: String,
+    invoiceEmailedAt: Date,
 
     gatewayResponse: { type: mongoose.Schema.Types.Mixed },
     webhookReceived: { type: Boolean, default: false },
+    // legacy: last raw webhook body (no longer written, see webhookEvents)
     webhookData: { type: mongoose.Schema.Types.Mixed },
+    webhookEvents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEvent' }],
 
     completedAt: Date,
     failureReason: { type: String, maxlength: 500 },
+
+    // Subscription side effects (services/fulfillmentService.js); claimed atomically so
+    // verify and webhook can't both apply the same payment
+    fulfillmentStatus: {
+      type: String,
+      enum: ['unfulfilled', 'processing', 'fulfilled', 'failed'],
+      default: 'unfulfilled',
+      index: true,
+    },
+    fulfillmentClaimedAt: Date,
+    fulfilledAt: Date,
+    fulfilledVia: { type: String, enum: ['verify', 'webhook', 'activate', 'auto_renew', 'reconcile'] },
+    // last checked against the gateway by services/reconciliationService.js
+    reconciledAt: Date,
   },
   {
     timestamps: true,
@@ -57,12 +160,15 @@ const paymentSchema = new mongoose.Schema(
 
 /* virtuals */
 paymentSchema.virtual('formattedAmount').get(function () {
-  const rupees = (this.amount || 0) / 100;
-  return `₹${rupees.toFixed(2)}`;
+  return formatMoney(this.amount || 0, this.currency || BASE_CURRENCY);
 });
 
 paymentSchema.virtual('isSuccessful').get(function () {
-  return this.status === 'completed';
+  return ['completed', 'partially_refunded', 'refunded'].includes(this.status);
+});
+
+paymentSchema.virtual('refundableAmount').get(function () {
+  return Math.max(0, (this.amount || 0) - (this.refundedAmount || 0));
 });
 
 /* pre-save hooks */
@@ -71,12 +177,7 @@ paymentSchema.pre('save', function (next) {
     this.receipt = `RCPT_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
   }
 
-  if (this.isModified('status') && this.status === 'completed' && !this.invoiceNumber) {
-    const d = new Date();
-    const ds = d.toISOString().slice(0, 10).replace(/-/g, '');
-    const r = Math.random().toString(36).slice(2, 7).toUpperCase();
-    this.invoiceNumber = `INV-${ds}-${r}`;
-    this.invoiceGeneratedAt = new Date();
+  if (this.isModified('status') && this.status === 'completed' && !this.completedAt) {
     this.completedAt = new Date();
   }
 
@@ -90,26 +191,131 @@ paymentSchema.methods.markCompleted = async function ({ razorpayPaymentId, razor
   if (razorpaySignature) this.razorpaySignature = razorpaySignature;
   if (gatewayResponse) this.gatewayResponse = gatewayResponse;
   this.completedAt = new Date();
+  // numbered by fulfillment once the purchase is applied: a payment rejected later must not hold a number
   return this.save();
 };
 
+// Give this (completed) payment its invoice number and reflect it on the document
+paymentSchema.methods.assignInvoiceNumber = async function () {
+  if (this.invoiceNumber) return this.invoiceNumber;
+  const assigned = await this.constructor.assignInvoiceNumber(this._id);
+  if (assigned) {
+    // already persisted; keep later save() calls from rewriting these paths
+    this.set(assigned);
+    Object.keys(assigned).forEach((path) => this.unmarkModified(path));
+  }
+  return this.invoiceNumber;
+};
+
 paymentSchema.methods.markFailed = async function (reason) {
   this.status = 'failed';
   this.failureReason = reason || 'Payment failed';
   return this.save();
 };
 
-paymentSchema.methods.updateWebhook = async function (payload) {
+// Derive refunded / partially_refunded from the processed refunds
+paymentSchema.methods.syncRefundStatus = function () {
+  if (!['completed', 'partially_refunded', 'refunded'].includes(this.status)) return this.status;
+  const processed = (this.refunds || [])
+    .filter((r) => r.status === 'processed')
+    .reduce((sum, r) => sum + r.amount, 0);
+  if (processed <= 0) this.status = 'completed';
+  else this.status = processed >= this.amount ? 'refunded' : 'partially_refunded';
+  return this.status;
+};
+
+paymentSchema.methods.updateWebhook = async function (webhookEventId) {
   this.webhookReceived = true;
-  this.webhookData = payload;
+  if (webhookEventId) this.webhookEvents.addToSet(webhookEventId);
   return this.save();
 };
 
 /* statics */
+
+/**
+ * Assign the next invoice number of the payment's financial year. Gap-free without transactions:
+ * the number is written straight onto the payment, guarded by the unique (year, sequence) index,
+ * so a number exists only if a payment holds it. The Counter is just a fast starting point;
+ * if it lags (crash before it was raised) the duplicate-key retry walks forward to the next free number.
+ * Returns { invoiceNumber, invoiceFinancialYear, invoiceSequence } or null if not completed and applied
+ * (fulfillment can still reject a completed payment, and a number must never be skipped).
+ */
+paymentSchema.statics.assignInvoiceNumber = async function (paymentId, maxAttempts = 25) {
+  const payment = await this.findById(paymentId)
+    .select('status completedAt invoiceNumber invoiceFinancialYear invoiceSequence fulfillmentStatus subscription');
+  if (!payment || !['completed', 'partially_refunded', 'refunded'].includes(payment.status)) return null;
+  // legacy payments were applied before fulfillmentStatus existed; they hold the subscription
+  if (payment.fulfillmentStatus !== 'fulfilled' && !payment.subscription) return null;
+  if (payment.invoiceNumber) {
+    return {
+      invoiceNumber: payment.invoiceNumber,
+      invoiceFinancialYear: payment.invoiceFinancialYear,
+      invoiceSequence: payment.invoiceSequence,
+    };
+  }
+
+  const financialYear = getFinancialYear(payment.completedAt || new Date());
+  const key = `invoice:${financialYear}`;
+  let sequence = (await Counter.current(key)) + 1;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+    const assigned = {
+      invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      invoiceFinancialYear: financialYear,
+      invoiceSequence: sequence,
+    };
+    try {
+      const res = await this.updateOne({ _id: paymentId, invoiceNumber: null }, { $set: assigned });
+      if (res.matchedCount === 0) {
+        // a concurrent completion (verify vs webhook) numbered it first
+        const current = await this.findById(paymentId).select('invoiceNumber invoiceFinancialYear invoiceSequence').lean();
+        return current && current.invoiceNumber
+          ? { invoiceNumber: current.invoiceNumber, invoiceFinancialYear: current.invoiceFinancialYear, invoiceSequence: current.invoiceSequence }
+          : null;
+      }
+      await Counter.raiseTo(key, sequence);
+      return assigned;
+    } catch (err) {
+      if (!err || err.code !== 11000) throw err;
+      // taken by another payment: continue after whatever is highest now
+      sequence = Math.max(sequence + 1, (await Counter.current(key)) + 1);
+    }
+  }
+  throw new Error(`Could not assign an invoice number for payment ${paymentId}`);
+};
+
+// Safety net for completions that crashed before numbering (run by the daily job)
+paymentSchema.statics.assignMissingInvoiceNumbers = async function (limit = 500) {
+  const pending = await this.find({
+    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+    invoiceNumber: null,
+    $or: [{ fulfillmentStatus: 'fulfilled' }, { subscription: { $ne: null } }],
+  })
+    .sort({ completedAt: 1, _id: 1 })
+    .limit(limit)
+    .select('_id');
+
+  let assigned = 0;
+  for (const p of pending) {
+    if (await this.assignInvoiceNumber(p._id)) assigned += 1;
+  }
+  return { matched: pending.length, assigned };
+};
+// The payment that funded a subscription's current period: its latest applied one. Refunded ones
+// count, so a refund lowers what the period is worth instead of falling back to the list price.
+paymentSchema.statics.findFundingPayment = function (subscriptionId) {
+  return this.findOne({ subscription: subscriptionId, status: { $in: ['completed', 'partially_refunded', 'refunded'] } })
+    .sort({ completedAt: -1, _id: -1 });
+};
+
 paymentSchema.statics.findByRazorpayOrderId = function (orderId) {
   return this.findOne({ razorpayOrderId: orderId });
 };
 
+paymentSchema.statics.findByRazorpayRefundId = function (refundId) {
+  return this.findOne({ 'refunds.razorpayRefundId': refundId });
+};
+
 paymentSchema.statics.getUserPayments = function (userId, limit = 10) {
   return this.find({ user: userId })
     .sort({ createdAt: -1 })
@@ -117,7 +323,38 @@ paymentSchema.statics.getUserPayments = function (userId, limit = 10) {
     .populate('plan subscription');
 };
 
+/**
+ * Revenue per currency. Currencies are never added together: one row per currency with
+ * { currency, payments, gross, refunded, net } in that currency's minor unit.
+ * Counts completed (incl. partly/fully refunded) payments by completedAt in [from, to).
+ */
+paymentSchema.statics.getRevenueByCurrency = function ({ from, to } = {}) {
+  const match = { status: { $in: ['completed', 'partially_refunded', 'refunded'] } };
+  if (from || to) {
+    match.completedAt = {};
+    if (from) match.completedAt.$gte = new Date(from);
+    if (to) match.completedAt.$lt = new Date(to);
+  }
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', BASE_CURRENCY] },
+        payments: { $sum: 1 },
+        gross: { $sum: '$amount' },
+        refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+      },
+    },
+    { $project: { _id: 0, currency: '$_id', payments: 1, gross: 1, refunded: 1, net: { $subtract: ['$gross', '$refunded'] } } },
+    { $sort: { currency: 1 } },
+  ]);
+};
+
 /* useful indexes */
+paymentSchema.index(
+  { invoiceFinancialYear: 1, invoiceSequence: 1 },
+  { unique: true, partialFilterExpression: { invoiceSequence: { $exists: true } } }
+);
 paymentSchema.index({ user: 1, createdAt: -1 });
 paymentSchema.index({ status: 1, completedAt: -1 });
 paymentSchema.index({ action: 1, targetSubscription: 1, createdAt: 1 });
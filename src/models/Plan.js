@@ -1,8 +1,7 @@
 
 // src/models/Plan.js
 import mongoose from 'mongoose';
-
-const ALLOWED_PLAN_NAMES = ['Basic', 'Standard', 'Premium'];
+import { BASE_CURRENCY, CURRENCY_CODES, priceIn } from '../utils/currency.js';
 
 const planSchema = new mongoose.Schema(
   {
@@ -11,10 +10,13 @@ const planSchema = new mongoose.Schema(
       required: [true, 'Plan name is required'],
       unique: true,
       trim: true,
-      enum: {
-        values: ALLOWED_PLAN_NAMES,
-        message: 'Plan name must be Basic, Standard, or Premium',
-      },
+      minlength: [2, 'Plan name must be at least 2 characters'],
+      maxlength: [50, 'Plan name cannot exceed 50 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
     },
     // Display price in rupees (e.g., 199)
     price: {
@@ -29,6 +31,21 @@ const planSchema = new mongoose.Schema(
       min: [0, 'Amount cannot be negative'],
     },
 
+    // Prices in other currencies (minor units, e.g. cents). price/amount above are the INR base price.
+    // Foreign customers are billed these as-is (exports carry no GST, see services/taxService.js).
+    prices: [
+      {
+        _id: false,
+        currency: {
+          type: String,
+          required: true,
+          uppercase: true,
+          enum: { values: CURRENCY_CODES.filter((c) => c !== BASE_CURRENCY), message: 'Unsupported currency {VALUE}' },
+        },
+        amount: { type: Number, required: true, min: [100, 'Amount must be at least 100 (minor units)'] },
+      },
+    ],
+
     // Duration in days.
     duration: {
       type: Number,
@@ -44,16 +61,38 @@ const planSchema = new mongoose.Schema(
       },
     ],
 
+    // isActive=false means archived: hidden from the catalog and not purchasable,
+    // but kept so existing subscriptions/payments still resolve.
     isActive: {
       type: Boolean,
       default: true,
       index: true,
     },
+    archivedAt: Date,
+
+    // Display order in the public catalog (ascending)
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set only for plans created by seedDefaultPlans (e.g. 'basic'); lets the seeder
+    // recognise its plans even after an admin renames them.
+    seedKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
 
     razorpayPlanId: {
       type: String,
       sparse: true,
     },
+    // Gateway plans for auto-renew in other currencies (currency -> Razorpay plan id)
+    razorpayPlanIds: {
+      type: Map,
+      of: String,
+    },
 
     billingCycle: {
       type: String,
@@ -61,6 +100,12 @@ const planSchema = new mongoose.Schema(
       default: 'monthly',
     },
 
+    // GST: true = price already includes tax, false = tax is added on top at checkout
+    taxInclusive: {
+      type: Boolean,
+      default: true,
+    },
+
     /* New fields to support business rules */
     // priority: higher number = more premium (Basic=1, Standard=2, Premium=3)
     priority: {
@@ -79,6 +124,32 @@ const planSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // gracePeriodDays: days after endDate the subscriber keeps access (status past_due) before expiry
+    gracePeriodDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Grace period cannot be negative'],
+      max: [90, 'Grace period cannot exceed 90 days'],
+    },
+    // Pausing: longest single pause (0 = pausing not allowed) and pauses allowed per rolling year
+    maxPauseDays: {
+      type: Number,
+      default: 30,
+      min: [0, 'maxPauseDays cannot be negative'],
+      max: [365, 'maxPauseDays cannot exceed 365 days'],
+    },
+    maxPausesPerYear: {
+      type: Number,
+      default: 2,
+      min: [0, 'maxPausesPerYear cannot be negative'],
+    },
+    // trialDays: free trial length offered on this plan (0 = no trial)
+    trialDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Trial length cannot be negative'],
+      max: [90, 'Trial length cannot exceed 90 days'],
+    },
   },
   {
     timestamps: true,
@@ -92,46 +163,70 @@ planSchema.virtual('formattedPrice').get(function () {
   return `₹${this.price}`;
 });
 
-// Default durations by plan name (days)
+// Default durations for seeded plans (days)
 const DEFAULT_DURATIONS = {
   Basic: 30,      // 1 month
   Standard: 90,   // 3 months
   Premium: 365,   // 12 months
 };
 
-// Defaults for new fields by plan name
-const DEFAULT_PLAN_META = {
-  Basic: { priority: 1, renewLimit: 1, allowDowngrade: false, billingCycle: 'monthly' },
-  Standard: { priority: 2, renewLimit: 2, allowDowngrade: false, billingCycle: 'monthly' },
-  Premium: { priority: 3, renewLimit: 0, allowDowngrade: true, billingCycle: 'yearly' }, // renewLimit 0 = unlimited
-};
-
-planSchema.pre('save', function (next) {
-  // default duration
-  if (this.name && (!this.duration || this.isNew)) {
-    const def = DEFAULT_DURATIONS[this.name];
-    if (def) this.duration = def;
+planSchema.pre('validate', function (next) {
+  const seen = new Set();
+  for (const p of this.prices || []) {
+    if (seen.has(p.currency)) this.invalidate('prices', `Duplicate price for ${p.currency}`);
+    seen.add(p.currency);
   }
+  next();
+});
 
+planSchema.pre('save', function (next) {
   // ensure features array
   if (!Array.isArray(this.features)) {
     this.features = this.features ? [this.features] : [];
   }
 
-  // set default meta when creating
-  if (this.name && this.isNew) {
-    const meta = DEFAULT_PLAN_META[this.name] || {};
-    if (meta.priority && !this.priority) this.priority = meta.priority;
-    if (typeof meta.renewLimit !== 'undefined' && !this.renewLimit) this.renewLimit = meta.renewLimit;
-    if (typeof meta.allowDowngrade !== 'undefined' && typeof this.allowDowngrade === 'undefined') {
-      this.allowDowngrade = meta.allowDowngrade;
-    }
-    if (meta.billingCycle && !this.billingCycle) this.billingCycle = meta.billingCycle;
+  // Razorpay plans are immutable: a new one is created lazily when billing terms change
+  if (!this.isNew && (this.isModified('amount') || this.isModified('duration') || this.isModified('taxInclusive'))) {
+    this.razorpayPlanId = undefined;
+  }
+  if (!this.isNew && (this.isModified('prices') || this.isModified('duration'))) {
+    this.razorpayPlanIds = undefined;
+  }
+
+  if (this.isModified('isActive')) {
+    this.archivedAt = this.isActive ? undefined : new Date();
   }
 
   next();
 });
 
+// Commercial terms copied onto a Subscription when it is created, so later
+// catalog edits never change what an existing subscriber bought.
+planSchema.methods.toSnapshot = function () {
+  return {
+    name: this.name,
+    price: this.price,
+    amount: this.amount,
+    duration: this.duration,
+    billingCycle: this.billingCycle,
+    features: [...(this.features || [])],
+    priority: this.priority,
+    renewLimit: this.renewLimit,
+    allowDowngrade: this.allowDowngrade,
+    taxInclusive: this.taxInclusive,
+    prices: (this.prices || []).map((p) => ({ currency: p.currency, amount: p.amount })),
+    gracePeriodDays: this.gracePeriodDays,
+    maxPauseDays: this.maxPauseDays,
+    maxPausesPerYear: this.maxPausesPerYear,
+    trialDays: this.trialDays,
+  };
+};
+
+// Price in a currency (minor units), or null when the plan isn't sold in it
+planSchema.methods.priceFor = function (currency = BASE_CURRENCY) {
+  return priceIn(this, currency);
+};
+
 // findByNameCI remains
 planSchema.statics.findByNameCI = function (name) {
   return this.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
@@ -150,6 +245,7 @@ planSchema.statics.seedDefaultPlans = async function (customPlans = []) {
       priority: 1,
       renewLimit: 1,
       allowDowngrade: false,
+      sortOrder: 1,
     },
     Standard: {
       name: 'Standard',
@@ -161,6 +257,7 @@ planSchema.statics.seedDefaultPlans = async function (customPlans = []) {
       priority: 2,
       renewLimit: 2,
       allowDowngrade: false,
+      sortOrder: 2,
     },
     Premium: {
       name: 'Premium',
@@ -172,36 +269,37 @@ planSchema.statics.seedDefaultPlans = async function (customPlans = []) {
       priority: 3,
       renewLimit: 0, // 0 = unlimited
       allowDowngrade: true,
+      sortOrder: 3,
     },
   };
 
   for (const p of customPlans) {
-    if (p && p.name && ALLOWED_PLAN_NAMES.includes(p.name)) {
+    if (p && p.name && defaults[p.name]) {
       defaults[p.name] = { ...defaults[p.name], ...p };
     }
   }
 
+  // Insert-only: plans that already exist belong to the admins and are never overwritten.
   const results = [];
-  for (const name of ALLOWED_PLAN_NAMES) {
-    const data = defaults[name];
-    const existing = await Plan.findOne({ name });
+  for (const [name, data] of Object.entries(defaults)) {
+    const seedKey = name.toLowerCase();
+    const existing = await Plan.findOne({ seedKey });
     if (existing) {
-      existing.price = data.price;
-      existing.amount = data.amount;
-      existing.duration = data.duration;
-      existing.features = data.features;
-      existing.billingCycle = data.billingCycle;
-      existing.isActive = data.isActive ?? true;
-      existing.priority = data.priority ?? existing.priority;
-      existing.renewLimit = typeof data.renewLimit !== 'undefined' ? data.renewLimit : existing.renewLimit;
-      existing.allowDowngrade = typeof data.allowDowngrade !== 'undefined' ? data.allowDowngrade : existing.allowDowngrade;
-      existing.razorpayPlanId = existing.razorpayPlanId || data.razorpayPlanId || null;
-      await existing.save();
-      results.push({ action: 'updated', plan: existing });
-    } else {
-      const created = await Plan.create(data);
-      results.push({ action: 'created', plan: created });
+      results.push({ action: 'skipped', plan: existing });
+      continue;
     }
+
+    // Plans seeded before seedKey existed: adopt by name, leave their terms alone
+    const legacy = await Plan.findOne({ name: data.name, seedKey: { $exists: false } });
+    if (legacy) {
+      legacy.seedKey = seedKey;
+      await legacy.save();
+      results.push({ action: 'adopted', plan: legacy });
+      continue;
+    }
+
+    const created = await Plan.create({ ...data, seedKey });
+    results.push({ action: 'created', plan: created });
   }
 
   return results;
@@ -209,6 +307,7 @@ planSchema.statics.seedDefaultPlans = async function (customPlans = []) {
 
 planSchema.index({ name: 1, isActive: 1 });
 planSchema.index({ price: 1 });
+planSchema.index({ isActive: 1, sortOrder: 1 });
 
 const Plan = mongoose.model('Plan', planSchema);
 export default Plan;
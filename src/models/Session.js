@@ -0,0 +1,126 @@
+// models/Session.js
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const getRefreshTtlMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+/*
+ One document per logged-in device. The refresh token handed to the client is
+ `<sessionId>.<secret>`; only the sha256 of the current secret is stored, and it
+ changes on every refresh (rotation).
+*/
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    userAgent: { type: String, maxlength: 500 },
+    ip: String,
+    lastUsedAt: Date,
+    rotationCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    revokedReason: { type: String, maxlength: 200 },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/* virtuals */
+sessionSchema.virtual('isValid').get(function () {
+  return !this.revokedAt && this.expiresAt && new Date(this.expiresAt) > new Date();
+});
+
+/* methods */
+sessionSchema.methods.revoke = async function (reason = 'logout') {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/* statics */
+
+// Create a session for a device; returns the plain refresh token (only time it is available)
+sessionSchema.statics.issue = async function (userId, { userAgent, ip } = {}) {
+  const secret = crypto.randomBytes(40).toString('hex');
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one.
+ * Returns { status: 'ok', session, refreshToken } on success,
+ * { status: 'reused', session } when an already-rotated token is replayed (session gets revoked),
+ * or { status: 'invalid' } for anything else.
+ */
+sessionSchema.statics.rotateRefreshToken = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return { status: 'invalid' };
+
+  const newSecret = crypto.randomBytes(40).toString('hex');
+  const now = new Date();
+
+  // Atomic compare-and-swap so two concurrent refreshes cannot both succeed
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(newSecret),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTtlMs()),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (session) return { status: 'ok', session, refreshToken: `${session._id}.${newSecret}` };
+
+  // Live session but wrong secret: an old token from this chain was replayed
+  const existing = await this.findById(sessionId);
+  if (existing && !existing.revokedAt && existing.expiresAt > now) {
+    await existing.revoke('refresh_token_reuse');
+    return { status: 'reused', session: existing };
+  }
+
+  return { status: 'invalid' };
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, reason = 'revoked', { exceptSessionId } = {}) {
+  const q = { user: userId, revokedAt: null };
+  if (exceptSessionId) q._id = { $ne: exceptSessionId };
+  return this.updateMany(q, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Hide the hash from API responses
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.refreshTokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+/* indexes */
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Mongo TTL: drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -7,16 +7,96 @@ const subscriptionSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan', required: true, index: true },
-    status: { type: String, enum: ['active', 'expired', 'cancelled', 'pending'], default: 'pending', index: true },
+    // Plan terms at the time this subscription was bought (catalog edits don't rewrite history)
+    planSnapshot: {
+      name: String,
+      price: Number,
+      amount: Number,
+      duration: Number,
+      billingCycle: String,
+      features: [String],
+      priority: Number,
+      renewLimit: Number,
+      allowDowngrade: Boolean,
+      taxInclusive: Boolean,
+      prices: [{ _id: false, currency: String, amount: Number }],
+      gracePeriodDays: Number,
+      maxPauseDays: Number,
+      maxPausesPerYear: Number,
+      trialDays: Number,
+    },
+    // past_due: endDate has passed but the plan's grace period hasn't; still entitled until graceEndsAt
+    // paused: remaining days frozen (see services/pauseService.js); not entitled
+    // trialing: free trial until endDate, no payment (see services/trialService.js)
+    status: { type: String, enum: ['active', 'trialing', 'past_due', 'paused', 'expired', 'cancelled', 'pending'], default: 'pending', index: true },
     startDate: { type: Date, required: true, default: Date.now },
     endDate: { type: Date, required: true },
     paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    // Currency the subscription is billed in; renewals and upgrades are charged in it
+    currency: { type: String, default: 'INR', uppercase: true },
+    // Downgrade scheduled for the end of the current period (applied by applyScheduledChanges)
+    pendingChange: {
+      plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+      type: { type: String, enum: ['downgrade'] },
+      requestedAt: Date,
+      effectiveAt: Date,
+    },
+    // Recurring billing via Razorpay Subscriptions (see services/autoRenewService.js)
+    autoRenew: { type: Boolean, default: false },
+    razorpaySubscriptionId: { type: String, sparse: true, index: true },
+    razorpaySubscriptionStatus: String,
+    // Cancel at period end: access continues until endDate, then the cron cancels it
+    cancelAtPeriodEnd: { type: Boolean, default: false },
+    cancelRequestedAt: Date,
     cancelledAt: Date,
     cancellationReason: { type: String, trim: true, maxlength: [500, 'Cancellation reason cannot exceed 500 characters'] },
+    // Set when an upgrade replaced this subscription; it must never be renewed again
+    upgradedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+    // Expiry emails (see services/reminderService.js). A reminder is tied to the endDate it warned
+    // about, so extending the period makes the next period's reminders due again.
+    remindersSent: [
+      {
+        _id: false,
+        leadDays: Number,
+        endDate: Date,
+        sentAt: Date,
+      },
+    ],
+    expiredAt: Date,
+    expiryNotifiedAt: Date,
+    // Grace period / dunning (see expireOldSubscriptions and reminderService.sendDunningEmails)
+    pastDueAt: Date,
+    graceEndsAt: Date,
+    dunningEmailsSent: [
+      {
+        _id: false,
+        day: Number, // days after endDate
+        endDate: Date,
+        sentAt: Date,
+      },
+    ],
+    // Pausing: endDate is pushed out by the paused time on resume
+    pausedAt: Date,
+    resumeAt: Date, // automatic resume (cron) at the latest
+    pauseHistory: [
+      {
+        _id: false,
+        pausedAt: Date,
+        resumedAt: Date,
+        days: Number,
+        resumedBy: { type: String, enum: ['user', 'admin', 'auto'] },
+      },
+    ],
+    // Free trial: set on subscriptions that started as a trial (kept after conversion, one per user/email)
+    trialStartedAt: Date,
+    trialEmail: { type: String, lowercase: true, trim: true },
+    trialReminderSentAt: Date,
+    trialConvertedAt: Date,
     billingHistory: [
       {
         date: Date,
         amount: Number,
+        currency: { type: String, default: 'INR' },
         paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
         status: { type: String, enum: ['success', 'failed'] },
       },
@@ -31,8 +111,9 @@ const subscriptionSchema = new mongoose.Schema(
 
 /* Virtuals */
 subscriptionSchema.virtual('daysRemaining').get(function () {
-  if (!this.endDate || this.status !== 'active') return 0;
-  const now = new Date();
+  if (!this.endDate || !['active', 'trialing', 'paused'].includes(this.status)) return 0;
+  // frozen while paused
+  const now = this.status === 'paused' && this.pausedAt ? new Date(this.pausedAt) : new Date();
   const diff = new Date(this.endDate) - now;
   return Math.max(0, Math.ceil(diff / (1000 * 60 * 60 * 24)));
 });
@@ -51,10 +132,19 @@ subscriptionSchema.virtual('totalDays').get(function () {
 /* IMPORTANT: use pre('validate') so endDate exists before validation runs */
 subscriptionSchema.pre('validate', async function (next) {
   try {
+    const needsEndDate = this.isNew && !this.endDate;
+    const needsSnapshot = this.isNew || this.isModified('plan');
+
+    const Plan = mongoose.model('Plan');
+    const plan = needsEndDate || needsSnapshot ? await Plan.findById(this.plan) : null;
+
+    // Snapshot plan terms on creation and whenever the subscription moves to another plan
+    if (needsSnapshot && plan) {
+      this.planSnapshot = plan.toSnapshot();
+    }
+
     // Only set endDate when creating a new subscription (or when endDate missing)
-    if (this.isNew && !this.endDate) {
-      const Plan = mongoose.model('Plan');
-      const plan = await Plan.findById(this.plan).select('duration');
+    if (needsEndDate) {
       if (!plan) {
         logger.error('Subscription pre-validate: plan not found; using fallback 30 days', { planId: this.plan });
         this.endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
@@ -66,6 +156,12 @@ subscriptionSchema.pre('validate', async function (next) {
       if (!this.status) this.status = 'active';
     }
 
+    // Back to active (renewed): the grace period is over
+    if (this.isModified('status') && this.status === 'active') {
+      this.pastDueAt = undefined;
+      this.graceEndsAt = undefined;
+    }
+
     // If status changed to cancelled, set cancelledAt
     if (this.isModified('status') && this.status === 'cancelled' && !this.cancelledAt) {
       this.cancelledAt = new Date();
@@ -83,16 +179,56 @@ subscriptionSchema.methods.isCurrentlyActive = function () {
   return this.status === 'active' && new Date() <= new Date(this.endDate);
 };
 
+// Entitled = may use the service: active or trialing until endDate, or past_due within the grace period
+subscriptionSchema.methods.isEntitled = function () {
+  const now = new Date();
+  if (this.status === 'past_due') return Boolean(this.graceEndsAt) && now <= new Date(this.graceEndsAt);
+  if (this.status === 'trialing') return now <= new Date(this.endDate);
+  return this.isCurrentlyActive();
+};
+
+// Where a renewal's new period starts: the current endDate while it is still running or in grace
+// (so grace days aren't given away), otherwise now
+subscriptionSchema.methods.renewalBase = function (now = new Date()) {
+  const endDate = this.endDate ? new Date(this.endDate) : null;
+  if (endDate && (endDate > now || this.status === 'past_due')) return endDate;
+  return now;
+};
+
 subscriptionSchema.methods.cancel = async function (reason) {
   this.status = 'cancelled';
   this.cancelledAt = new Date();
   this.cancellationReason = reason || 'User cancelled';
+  this.cancelAtPeriodEnd = false;
   return this.save();
 };
 
 /* Statics */
+// Razorpay retries a failed recurring charge for a few days before halting the subscription.
+// Until then an auto-renewing subscription past its endDate is waiting for the charge, not lapsed.
+const AUTO_RENEW_BUFFER_DAYS = 7;
+
+// Lapsed subscriptions that grace / expiry may act on: not auto-renewing, or auto-renewing but
+// past the buffer (the gateway's halted/cancelled webhook never arrived)
+const lapseFilter = (now) => ({
+  $or: [
+    { autoRenew: { $ne: true } },
+    { endDate: { $lt: new Date(now.getTime() - AUTO_RENEW_BUFFER_DAYS * 24 * 60 * 60 * 1000) } },
+  ],
+});
+
+// Query for entitled subscriptions (see isEntitled)
+subscriptionSchema.statics.entitledFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['active', 'trialing'] }, endDate: { $gt: now } },
+      { status: 'past_due', graceEndsAt: { $gt: now } },
+    ],
+  };
+};
+
 subscriptionSchema.statics.findActiveByUser = function (userId) {
-  return this.findOne({ user: userId, status: 'active', endDate: { $gt: new Date() } }).populate('plan');
+  return this.findOne({ user: userId, ...this.entitledFilter() }).populate('plan');
 };
 
 // (inside subscriptionSchema.statics)
@@ -116,9 +252,135 @@ subscriptionSchema.statics.findExpiringSoon = function (days = 3) {
   return this.find({ status: 'active', endDate: { $gte: now, $lte: future } }).populate('user plan');
 };
 
+/**
+ * Move subscriptions whose period has ended onto their scheduled (lower) plan and start its next
+ * period (from renewalBase), so the user stays active on the lower plan instead of lapsing. Each
+ * change is claimed atomically (pendingChange is unset first) so concurrent runs can't apply it twice.
+ */
+subscriptionSchema.statics.applyScheduledChanges = async function () {
+  const now = new Date();
+  const Plan = mongoose.model('Plan');
+  // auto-renewing subscriptions switch plan when the gateway charges (subscription.charged)
+  const due = await this.find({
+    status: 'active',
+    endDate: { $lt: now },
+    autoRenew: { $ne: true },
+    cancelAtPeriodEnd: { $ne: true },
+    'pendingChange.plan': { $exists: true },
+  }).select('_id');
+
+  const result = { matched: due.length, applied: 0, skipped: 0 };
+  for (const { _id } of due) {
+    try {
+      const claimed = await this.findOneAndUpdate(
+        { _id, status: 'active', 'pendingChange.plan': { $exists: true } },
+        { $unset: { pendingChange: 1 } }
+      );
+      if (!claimed) continue;
+
+      const plan = await Plan.findById(claimed.pendingChange.plan);
+      if (!plan || !plan.isActive) {
+        // Target plan vanished: fall through to normal expiry
+        logger.warn('Scheduled downgrade skipped: target plan unavailable', { subscriptionId: _id.toString() });
+        result.skipped += 1;
+        continue;
+      }
+
+      const sub = await this.findById(_id);
+      // planSnapshot follows in pre('validate')
+      const durationDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
+      const start = sub.renewalBase(now);
+      sub.plan = plan._id;
+      sub.startDate = start;
+      sub.endDate = new Date(start.getTime() + durationDays * 24 * 60 * 60 * 1000);
+      await sub.save();
+
+      logger.info('Scheduled downgrade applied', {
+        subscriptionId: _id.toString(),
+        planId: plan._id.toString(),
+        endDate: sub.endDate.toISOString(),
+      });
+      result.applied += 1;
+    } catch (err) {
+      logger.error('Scheduled downgrade failed', { subscriptionId: _id.toString(), err: err?.message || err });
+      result.skipped += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Move lapsed active subscriptions whose plan has a grace period to past_due. graceEndsAt counts
+ * from the original endDate; if that has already passed (cron didn't run) they are left to expire.
+ * Auto-renewing subscriptions are left alone for AUTO_RENEW_BUFFER_DAYS (see lapseFilter).
+ */
+subscriptionSchema.statics.startGracePeriods = async function (now = new Date()) {
+  const Plan = mongoose.model('Plan');
+  const lapsed = await this.find({ status: 'active', endDate: { $lt: now }, ...lapseFilter(now) })
+    .select('plan endDate planSnapshot.gracePeriodDays');
+
+  const result = { matched: lapsed.length, pastDue: 0 };
+  const planGrace = new Map();
+  for (const sub of lapsed) {
+    let graceDays = sub.planSnapshot?.gracePeriodDays;
+    // snapshots taken before grace periods existed: use the plan's current setting
+    if (graceDays == null) {
+      const key = String(sub.plan);
+      if (!planGrace.has(key)) planGrace.set(key, (await Plan.findById(sub.plan).select('gracePeriodDays'))?.gracePeriodDays || 0);
+      graceDays = planGrace.get(key);
+    }
+    if (!graceDays) continue;
+
+    const graceEndsAt = new Date(new Date(sub.endDate).getTime() + graceDays * 24 * 60 * 60 * 1000);
+    if (graceEndsAt <= now) continue;
+
+    const res = await this.updateOne(
+      { _id: sub._id, status: 'active', endDate: sub.endDate },
+      { $set: { status: 'past_due', pastDueAt: now, graceEndsAt } }
+    );
+    if (res.modifiedCount > 0) {
+      result.pastDue += 1;
+      logger.info('Subscription past due', { subscriptionId: sub._id.toString(), graceEndsAt: graceEndsAt.toISOString() });
+    }
+  }
+  return result;
+};
+
+/**
+ * Cancel subscriptions whose cancel-at-period-end has come due.
+ */
+subscriptionSchema.statics.finalizeScheduledCancellations = async function (now = new Date()) {
+  const res = await this.updateMany(
+    { status: 'active', cancelAtPeriodEnd: true, endDate: { $lte: now } },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelAtPeriodEnd: false } }
+  );
+  if (res.modifiedCount > 0) logger.info('Scheduled cancellations finalized', { count: res.modifiedCount });
+  return { cancelled: res.modifiedCount };
+};
+
 subscriptionSchema.statics.expireOldSubscriptions = async function () {
+  // Scheduled downgrades first: they start a new period, so grace and expiry leave them alone
+  const changes = await this.applyScheduledChanges();
   const now = new Date();
-  return this.updateMany({ status: 'active', endDate: { $lt: now } }, { $set: { status: 'expired' } });
+  // before grace periods: a subscription cancelled at period end doesn't go past_due
+  const cancellations = await this.finalizeScheduledCancellations(now);
+  const grace = await this.startGracePeriods(now);
+
+  // expiredAt marks the subscriptions the expiry notification is owed to
+  const expired = await this.updateMany(
+    {
+      $or: [
+        // trials have no grace period
+        { status: { $in: ['active', 'trialing'] }, endDate: { $lt: now } },
+        { status: 'past_due', graceEndsAt: { $lte: now } },
+      ],
+      // auto-renewing: wait for the gateway's charge or retries
+      $and: [lapseFilter(now)],
+    },
+    { $set: { status: 'expired', expiredAt: now }, $unset: { expiryNotifiedAt: 1 } }
+  );
+  return { planChanges: changes.applied, cancelled: cancellations.cancelled, pastDue: grace.pastDue, expired: expired.modifiedCount };
 };
 
 subscriptionSchema.statics.getUserHistory = function (userId, limit = 10) {
@@ -128,6 +390,13 @@ subscriptionSchema.statics.getUserHistory = function (userId, limit = 10) {
 /* Indexes */
 subscriptionSchema.index({ user: 1, status: 1 });
 subscriptionSchema.index({ endDate: 1, status: 1 });
+subscriptionSchema.index({ status: 1, graceEndsAt: 1 });
+// One free trial per email address (each user has one email, so this also holds per user;
+// trialService checks the user as well for accounts that changed their email)
+subscriptionSchema.index(
+  { trialEmail: 1 },
+  { name: 'one_trial_per_email', unique: true, partialFilterExpression: { trialEmail: { $exists: true } } }
+);
 subscriptionSchema.index({ createdAt: -1 });
 
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
@@ -3,6 +3,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { GST_STATE_CODES, GSTIN_REGEX } from '../utils/tax.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -36,7 +37,39 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // set when an admin deactivates the account, cleared on reactivation
+    deactivatedAt: Date,
+    deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deactivationReason: { type: String, trim: true, maxlength: [500, 'Reason cannot exceed 500 characters'] },
+    // email ownership: set once the user follows the signed link sent to `email`
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    // requested new address; only replaces `email` after it is verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    // Printed on tax invoices; stateCode (or the GSTIN's state) is the GST place of supply
+    billingProfile: {
+      legalName: { type: String, trim: true, maxlength: [100, 'Legal name cannot exceed 100 characters'] },
+      addressLine1: { type: String, trim: true, maxlength: [200, 'Address cannot exceed 200 characters'] },
+      addressLine2: { type: String, trim: true, maxlength: [200, 'Address cannot exceed 200 characters'] },
+      city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+      state: { type: String, trim: true },
+      stateCode: { type: String, enum: { values: Object.keys(GST_STATE_CODES), message: 'Invalid GST state code' } },
+      postalCode: { type: String, trim: true, match: [/^[A-Za-z0-9 -]{3,10}$/, 'Please provide a valid postal code'] },
+      // ISO 3166-1 alpha-2; outside India there is no GST (stateCode/gstin don't apply)
+      country: { type: String, default: 'IN', uppercase: true, trim: true, match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code'] },
+      gstin: { type: String, trim: true, uppercase: true, match: [GSTIN_REGEX, 'Please provide a valid GSTIN'] },
+    },
     lastLogin: Date,
+    // tokens issued before this instant are rejected by protect()
+    passwordChangedAt: Date,
     resetPasswordToken: String, // hashed token
     resetPasswordExpire: Date,
   },
@@ -65,6 +98,8 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    // backdate by 1s so a token issued right after this save (same second) stays valid
+    if (!this.isNew) this.passwordChangedAt = new Date(Date.now() - 1000);
     return next();
   } catch (err) {
     return next(err);
@@ -87,6 +122,26 @@ userSchema.pre('findOneAndUpdate', async function (next) {
   next();
 });
 
+// Deactivating an account revokes every session (save + findOneAndUpdate paths)
+userSchema.pre('save', function (next) {
+  this.$locals.wasDeactivated = !this.isNew && this.isModified('isActive') && this.isActive === false;
+  next();
+});
+
+userSchema.post('save', async function (doc) {
+  if (doc.$locals.wasDeactivated) {
+    await mongoose.model('Session').revokeAllForUser(doc._id, 'account_deactivated');
+  }
+});
+
+userSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const isActive = typeof update.isActive !== 'undefined' ? update.isActive : update.$set?.isActive;
+  if (doc && isActive === false) {
+    await mongoose.model('Session').revokeAllForUser(doc._id, 'account_deactivated');
+  }
+});
+
 // Compare plaintext password with hashed password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   // 'this' will have password only if query used .select('+password')
@@ -102,6 +157,61 @@ userSchema.methods.generateResetPasswordToken = function () {
   return resetToken;
 };
 
+// True when the password was changed after the JWT (iat, in seconds) was issued
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > Number(jwtIssuedAt);
+};
+
+// Find user by plain reset token (only while token is unexpired)
+userSchema.statics.findByResetToken = function (plainToken) {
+  const hashed = crypto.createHash('sha256').update(String(plainToken)).digest('hex');
+  return this.findOne({ resetPasswordToken: hashed, resetPasswordExpire: { $gt: Date.now() } });
+};
+
+/**
+ * Accounts that existed before email verification was introduced count as verified, otherwise they
+ * would silently stop receiving invoices, receipts and reminders. Idempotent; run on start-up.
+ * - documents stored before the field existed have no emailVerified at all
+ * - `createdBefore` (when verification went live) also covers old accounts that were saved since
+ *   and got the default `false` written
+ */
+userSchema.statics.backfillEmailVerified = async function ({ createdBefore } = {}) {
+  const missing = await this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } });
+  let legacy = { modifiedCount: 0 };
+  if (createdBefore) {
+    legacy = await this.updateMany(
+      { emailVerified: false, emailVerifiedAt: null, createdAt: { $lt: createdBefore } },
+      { $set: { emailVerified: true } }
+    );
+  }
+  return { missing: missing.modifiedCount, legacy: legacy.modifiedCount };
+};
+
+// Keep the billing state consistent with the GSTIN and fill in the state name
+userSchema.pre('validate', function (next) {
+  const bp = this.billingProfile;
+  if (bp && this.isModified('billingProfile') && bp.country && bp.country !== 'IN') {
+    if (bp.gstin) this.invalidate('billingProfile.gstin', 'A GSTIN applies only to Indian billing addresses');
+    if (bp.stateCode) this.invalidate('billingProfile.stateCode', 'GST state codes apply only to Indian billing addresses');
+    return next();
+  }
+  if (bp && this.isModified('billingProfile')) {
+    if (bp.postalCode && !/^[1-9][0-9]{5}$/.test(bp.postalCode)) {
+      this.invalidate('billingProfile.postalCode', 'Please provide a valid PIN code');
+    }
+    if (bp.gstin) {
+      const gstinState = bp.gstin.toUpperCase().slice(0, 2);
+      if (!bp.stateCode) bp.stateCode = gstinState;
+      else if (bp.stateCode !== gstinState) {
+        this.invalidate('billingProfile.gstin', 'GSTIN does not belong to the selected state');
+      }
+    }
+    if (bp.stateCode && GST_STATE_CODES[bp.stateCode]) bp.state = GST_STATE_CODES[bp.stateCode];
+  }
+  next();
+});
+
 // Clean transform so sensitive fields are removed automatically when sending to client
 userSchema.set('toJSON', {
   virtuals: true,
@@ -109,6 +219,7 @@ userSchema.set('toJSON', {
     delete ret.password;
     delete ret.resetPasswordToken;
     delete ret.resetPasswordExpire;
+    delete ret.passwordChangedAt;
     delete ret.__v;
     return ret;
   },
@@ -0,0 +1,60 @@
+// models/WebhookEvent.js
+import mongoose from 'mongoose';
+
+/*
+ Every verified Razorpay webhook, keyed by x-razorpay-event-id. Razorpay retries
+ deliveries, so the unique eventId is what makes processing idempotent.
+*/
+const webhookEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    event: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // ids pulled out of the payload for lookups
+    razorpayOrderId: { type: String, sparse: true, index: true },
+    razorpayPaymentId: { type: String, sparse: true, index: true },
+    razorpaySubscriptionId: { type: String, sparse: true, index: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+
+    // received -> processing -> processed | failed | unmatched (no local record) | ignored (event not handled)
+    status: {
+      type: String,
+      enum: ['received', 'processing', 'processed', 'failed', 'unmatched', 'ignored'],
+      default: 'received',
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, maxlength: 2000 },
+    lastAttemptAt: Date,
+    processedAt: Date,
+    replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/* statics */
+
+// Pull the entity ids we index on out of a Razorpay event body
+webhookEventSchema.statics.extractIds = function (body = {}) {
+  const data = body.payload || {};
+  const paymentEntity = data.payment ? data.payment.entity : null;
+  const orderEntity = data.order ? data.order.entity : null;
+  const subscriptionEntity = data.subscription ? data.subscription.entity : null;
+  const refundEntity = data.refund ? data.refund.entity : null;
+  return {
+    razorpayOrderId: (paymentEntity && paymentEntity.order_id) || (orderEntity && orderEntity.id) || undefined,
+    razorpayPaymentId: (paymentEntity && paymentEntity.id) || (refundEntity && refundEntity.payment_id) || undefined,
+    razorpaySubscriptionId: (subscriptionEntity && subscriptionEntity.id) || undefined,
+  };
+};
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+export default WebhookEvent;
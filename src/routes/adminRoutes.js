@@ -0,0 +1,73 @@
+// src/routes/adminRoutes.js
+import express from 'express';
+import {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from '../controllers/webhookController.js';
+import {
+  getRevenueReport,
+  getRecurringReport,
+  getActivityReport,
+  getChurnReport,
+} from '../controllers/reportController.js';
+import { exportRecords, exportInvoices } from '../controllers/exportController.js';
+import {
+  listUsers,
+  getUserDetail,
+  updateUserStatus,
+  updateUserRole,
+  forceLogoutUser,
+} from '../controllers/userController.js';
+import { listAuditLogs, getAuditLog } from '../controllers/auditController.js';
+import { runReconciliation } from '../controllers/reconciliationController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import validation from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(protect, authorize('admin'));
+
+/**
+ * Webhook event log
+ */
+router.get('/webhooks', validation.validateWebhookQuery, listWebhookEvents);
+router.get('/webhooks/:id', validation.validateObjectId('id'), getWebhookEvent);
+router.post('/webhooks/:id/replay', validation.validateObjectId('id'), replayWebhookEvent);
+
+/**
+ * Users
+ */
+router.get('/users', validation.validateUserQuery, listUsers);
+router.get('/users/:id', validation.validateObjectId('id'), getUserDetail);
+router.patch('/users/:id/status', validation.validateObjectId('id'), validation.validateUserStatus, updateUserStatus);
+router.patch('/users/:id/role', validation.validateObjectId('id'), validation.validateUserRole, updateUserRole);
+router.post('/users/:id/logout', validation.validateObjectId('id'), validation.validateForceLogout, forceLogoutUser);
+
+/**
+ * Reports
+ */
+router.get('/reports/revenue', validation.validateReportRange, getRevenueReport);
+router.get('/reports/recurring', getRecurringReport);
+router.get('/reports/activity', validation.validateReportRange, getActivityReport);
+router.get('/reports/churn', validation.validateReportRange, getChurnReport);
+
+/**
+ * Accounting exports (streamed downloads)
+ */
+router.get('/exports/invoices', validation.validateInvoiceExport, exportInvoices);
+router.get('/exports/:type', validation.validateExport, exportRecords);
+
+/**
+ * Payment reconciliation against Razorpay (dry run unless dryRun: false)
+ */
+router.post('/reconciliation', validation.validateReconciliation, runReconciliation);
+
+/**
+ * Audit log (read-only)
+ */
+router.get('/audit-logs', validation.validateAuditQuery, listAuditLogs);
+router.get('/audit-logs/:id', validation.validateObjectId('id'), getAuditLog);
+
+export default router;
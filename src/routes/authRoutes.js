@@ -5,8 +5,15 @@ import {
   login,
   getMe,
   updateProfile,
+  getBillingProfile,
+  updateBillingProfile,
   updatePassword,
   logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
 } from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
 import validation from '../middleware/validation.js';
@@ -18,13 +25,20 @@ const router = express.Router();
  */
 router.post('/register', validation.validateSignup, register);
 router.post('/login', validation.validateLogin, login);
+router.post('/forgot-password', validation.validateForgotPassword, forgotPassword);
+router.post('/reset-password/:token', validation.validateResetPassword, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/refresh', refreshToken);
 
 /**
  * Protected
  */
 router.get('/me', protect, getMe);
 router.put('/profile', protect, validation.validateOptionalEmail, updateProfile);
+router.get('/billing-profile', protect, getBillingProfile);
+router.put('/billing-profile', protect, validation.validateBillingProfile, updateBillingProfile);
 router.put('/password', protect, validation.checkValidation, updatePassword);
+router.post('/resend-verification', protect, resendVerification);
 router.post('/logout', protect, logout);
 
 export default router;
@@ -0,0 +1,30 @@
+// src/routes/couponRoutes.js
+import express from 'express';
+import {
+  validateCoupon,
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+} from '../controllers/couponController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import validation from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Protected user routes
+ */
+router.post('/validate', protect, validation.validateCouponPreview, validateCoupon);
+
+/**
+ * Admin routes
+ */
+router.get('/', protect, authorize('admin'), validation.validateCouponQuery, getCoupons);
+router.post('/', protect, authorize('admin'), validation.validateCoupon, createCoupon);
+router.get('/:id', protect, authorize('admin'), validation.validateObjectId('id'), getCouponById);
+router.patch('/:id', protect, authorize('admin'), validation.validateObjectId('id'), validation.validateCouponUpdate, updateCoupon);
+router.delete('/:id', protect, authorize('admin'), validation.validateObjectId('id'), deactivateCoupon);
+
+export default router;
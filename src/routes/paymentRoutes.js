@@ -1,7 +1,14 @@
 // src/routes/paymentRoutes.js
 import express from 'express';
-import { createOrder, verifyPayment, getInvoice } from '../controllers/paymentController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  createOrder,
+  verifyPayment,
+  getInvoice,
+  refundPayment,
+  regenerateInvoice,
+  resendInvoice,
+} from '../controllers/paymentController.js';
+import { protect, authorize, requireVerifiedEmail } from '../middleware/auth.js';
 import validation from '../middleware/validation.js';
 
 const router = express.Router();
@@ -13,6 +20,7 @@ const router = express.Router();
 router.post(
   '/create-order',
   protect,
+  requireVerifiedEmail,
   validation.validateCreatePayment,
   createOrder
 );
@@ -34,5 +42,19 @@ router.post(
  */
 router.get('/:paymentId/invoice', protect, getInvoice);
 
+/**
+ * Regenerate the stored invoice / resend it by email (admin)
+ * POST /api/payments/:paymentId/invoice/regenerate
+ * POST /api/payments/:paymentId/invoice/resend
+ */
+router.post('/:paymentId/invoice/regenerate', protect, authorize('admin'), validation.validateObjectId('paymentId'), regenerateInvoice);
+router.post('/:paymentId/invoice/resend', protect, authorize('admin'), validation.validateObjectId('paymentId'), resendInvoice);
+
+/**
+ * Refund a payment (admin)
+ * POST /api/payments/:paymentId/refund
+ */
+router.post('/:paymentId/refund', protect, authorize('admin'), validation.validateRefund, refundPayment);
+
 
 export default router;
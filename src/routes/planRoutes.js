@@ -1,14 +1,37 @@
 // src/routes/planRoutes.js
 import express from 'express';
-import { getPlans, getPlanById } from '../controllers/planController.js';
+import {
+  getPlans,
+  getPlanById,
+  getAllPlans,
+  createPlan,
+  updatePlan,
+  archivePlan,
+  reorderPlans,
+} from '../controllers/planController.js';
+import { protect, authorize } from '../middleware/auth.js';
 import validation from '../middleware/validation.js';
 
 const router = express.Router();
 
 /**
- * Public endpoints only — plans are fixed (Basic/Standard/Premium)
+ * Admin (static paths first so they don't match /:id)
+ */
+router.get('/all', protect, authorize('admin'), getAllPlans);
+router.patch('/reorder', protect, authorize('admin'), validation.validatePlanReorder, reorderPlans);
+
+/**
+ * Public
  */
 router.get('/', getPlans);
 router.get('/:id', validation.validateObjectId('id'), getPlanById);
 
+/**
+ * Admin
+ */
+router.post('/', protect, authorize('admin'), validation.validatePlan, createPlan);
+router.put('/:id', protect, authorize('admin'), validation.validateObjectId('id'), validation.validatePlan, updatePlan);
+router.patch('/:id', protect, authorize('admin'), validation.validateObjectId('id'), validation.validatePlanUpdate, updatePlan);
+router.delete('/:id', protect, authorize('admin'), validation.validateObjectId('id'), archivePlan);
+
 export default router;
@@ -2,8 +2,16 @@
 import express from 'express';
 import {
   activate,
+  startTrial,
   getMySubscription,
   cancelSubscription,
+  undoCancel,
+  scheduleChange,
+  cancelScheduledChange,
+  enableAutoRenew,
+  disableAutoRenew,
+  pause,
+  resume,
   adminList,
 } from '../controllers/subscriptionController.js';
 import { protect, authorize } from '../middleware/auth.js';
@@ -15,8 +23,16 @@ const router = express.Router();
  * Protected user routes
  */
 router.post('/activate', protect, validation.validateActivateSubscription, activate);
+router.post('/trial', protect, validation.validateStartTrial, startTrial);
 router.get('/me', protect, getMySubscription);
-router.post('/:id/cancel', protect, validation.validateObjectId('id'), cancelSubscription);
+router.post('/:id/cancel', protect, validation.validateObjectId('id'), validation.validateCancelSubscription, cancelSubscription);
+router.delete('/:id/cancel', protect, validation.validateObjectId('id'), undoCancel);
+router.post('/:id/schedule-change', protect, validation.validateObjectId('id'), validation.validateScheduleChange, scheduleChange);
+router.delete('/:id/schedule-change', protect, validation.validateObjectId('id'), cancelScheduledChange);
+router.post('/:id/auto-renew', protect, validation.validateObjectId('id'), enableAutoRenew);
+router.delete('/:id/auto-renew', protect, validation.validateObjectId('id'), disableAutoRenew);
+router.post('/:id/pause', protect, validation.validateObjectId('id'), validation.validatePause, pause);
+router.post('/:id/resume', protect, validation.validateObjectId('id'), resume);
 
 /**
  * Admin routes
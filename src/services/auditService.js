@@ -0,0 +1,113 @@
+// src/services/auditService.js
+// Writes AuditLog entries. Auditing is best-effort: a failed write is logged and never fails
+// the action being audited.
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+// Never copied into an entry, at any depth
+const SECRET_FIELDS = new Set([
+  'password',
+  'currentPassword',
+  'newPassword',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'refreshTokenHash',
+  'razorpaySignature',
+  'token',
+]);
+
+const plain = (value) => {
+  if (value && typeof value.toObject === 'function') return value.toObject({ depopulate: true, virtuals: false });
+  return value;
+};
+
+// JSON-safe copy without secrets (ObjectIds -> strings, Dates -> ISO strings)
+const sanitize = (value) => {
+  const v = plain(value);
+  if (v == null) return v;
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v !== 'object') return v;
+  if (v._bsontype === 'ObjectId' || v._bsontype === 'ObjectID') return v.toString();
+  if (Buffer.isBuffer(v)) return `<${v.length} bytes>`;
+  if (Array.isArray(v)) return v.map(sanitize);
+  const out = {};
+  for (const [key, val] of Object.entries(v)) {
+    if (SECRET_FIELDS.has(key) || key === '__v') continue;
+    out[key] = sanitize(val);
+  }
+  return out;
+};
+
+/**
+ * Changed fields between two versions of a record: { before, after } holding only the fields
+ * (of `fields`, or of either side) whose value differs. Null when nothing changed.
+ */
+export const diffChanges = (before, after, fields) => {
+  const a = sanitize(before) || {};
+  const b = sanitize(after) || {};
+  const keys = fields || [...new Set([...Object.keys(a), ...Object.keys(b)])];
+
+  const changes = { before: {}, after: {} };
+  for (const key of keys) {
+    if (SECRET_FIELDS.has(key)) continue;
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+      changes.before[key] = a[key];
+      changes.after[key] = b[key];
+    }
+  }
+  return Object.keys(changes.after).length ? changes : null;
+};
+
+/**
+ * Snapshot of some fields of a document, for diffChanges after it is modified.
+ */
+export const pickFields = (doc, fields) => {
+  const src = sanitize(doc) || {};
+  return Object.fromEntries(fields.map((f) => [f, src[f]]));
+};
+
+// Who is acting, from an authenticated request
+const actorFrom = (req, actorType) => {
+  const user = req?.user;
+  if (!user) return { type: actorType || 'system' };
+  return {
+    type: actorType || (user.role === 'admin' ? 'admin' : 'user'),
+    user: user._id,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+/**
+ * Append an audit entry (never throws).
+ *
+ * @param {Object} params
+ * @param {Object} [params.req] - express request: actor (req.user), ip, user agent and request id
+ * @param {String} [params.actorType] - override: 'user' | 'admin' | 'gateway' | 'system'
+ * @param {String} params.action - "<resource>.<verb>"
+ * @param {Object} params.target - { type, id, label? }
+ * @param {Object} [params.changes] - { before, after } (see diffChanges)
+ * @param {Object} [params.metadata]
+ * @param {String} [params.outcome='success']
+ * @returns {Promise<Object|null>} the entry, or null if it could not be written
+ */
+export const recordAudit = async ({ req, actorType, action, target, changes, metadata, outcome = 'success' }) => {
+  try {
+    return await AuditLog.create({
+      actor: actorFrom(req, actorType),
+      action,
+      target: { type: target.type, id: target.id != null ? String(target.id) : undefined, label: target.label },
+      outcome,
+      changes: changes || undefined,
+      metadata: metadata ? sanitize(metadata) : undefined,
+      ip: req?.ip,
+      userAgent: req?.get ? String(req.get('user-agent') || '').slice(0, 500) || undefined : undefined,
+      requestId: req?.id,
+    });
+  } catch (err) {
+    logger.error('Failed to write audit log', { action, target, requestId: req?.id, err: err?.message || err });
+    return null;
+  }
+};
+
+export default { diffChanges, pickFields, recordAudit };
@@ -0,0 +1,344 @@
+// src/services/autoRenewService.js
+import { getRazorpay } from '../config/razorpay.js';
+import Subscription from '../models/Subscription.js';
+import Plan from '../models/Plan.js';
+import Payment from '../models/Payment.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { computeTax } from './taxService.js';
+import { deliverInvoice } from './invoiceService.js';
+import { grossAmount } from '../utils/tax.js';
+import { BASE_CURRENCY, priceIn } from '../utils/currency.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a plan duration (days) to a Razorpay billing period.
+ * Razorpay supports daily (interval >= 7), weekly, monthly and yearly periods. Returns null for
+ * durations it can't bill on (under 7 days, or not whole days): changing the cadence would
+ * charge for periods the plan doesn't cover.
+ */
+export const toRazorpayPeriod = (durationDays) => {
+  const d = Number(durationDays) > 0 ? Number(durationDays) : 30;
+  if (!Number.isInteger(d) || d < 7) return null;
+  if (d % 365 === 0) return { period: 'yearly', interval: d / 365 };
+  if (d % 30 === 0) return { period: 'monthly', interval: d / 30 };
+  if (d % 7 === 0) return { period: 'weekly', interval: d / 7 };
+  return { period: 'daily', interval: d };
+};
+
+/**
+ * Return the Razorpay plan id for a Plan in a currency, creating the gateway plan on first use.
+ * Plan.pre('save') clears razorpayPlanId when amount/duration/taxInclusive change (razorpayPlanIds when
+ * prices/duration change), so edits get a fresh gateway plan.
+ */
+export const ensureRazorpayPlan = async (plan, currency = BASE_CURRENCY) => {
+  const isBase = currency === BASE_CURRENCY;
+  const existing = isBase ? plan.razorpayPlanId : plan.razorpayPlanIds?.get(currency);
+  if (existing) return existing;
+
+  const price = priceIn(plan, currency);
+  if (price == null) throw new ApiError(`This plan is not available in ${currency}`, 400);
+  const billingPeriod = toRazorpayPeriod(plan.duration);
+  if (!billingPeriod) throw new ApiError(`Auto-renew is not available for ${plan.duration}-day plans`, 400);
+
+  const razorpay = getRazorpay();
+  const { period, interval } = billingPeriod;
+  const rpPlan = await razorpay.plans.create({
+    period,
+    interval,
+    item: {
+      name: plan.name,
+      // Razorpay charges this exact amount each cycle, so it must include GST (exports are zero-rated)
+      amount: isBase ? grossAmount(price, plan.taxInclusive) : price,
+      currency,
+      description: plan.description || `${plan.name} (${plan.duration} days)`,
+    },
+    notes: { planId: String(plan._id) },
+  });
+
+  // updateOne so we don't trip the pre-save hook that resets razorpayPlanId
+  const path = isBase ? 'razorpayPlanId' : `razorpayPlanIds.${currency}`;
+  await Plan.updateOne({ _id: plan._id }, { $set: { [path]: rpPlan.id } });
+  plan.set(path, rpPlan.id);
+  logger.info('Razorpay plan created', { planId: plan._id.toString(), currency, razorpayPlanId: rpPlan.id });
+  return rpPlan.id;
+};
+
+/**
+ * Create a Razorpay subscription for an active Subscription. The first charge is
+ * scheduled for the current endDate, so the period already paid for is not billed twice.
+ * The customer still has to authorise the mandate via Checkout (subscription_id) or short_url;
+ * autoRenew becomes true once Razorpay reports the subscription authenticated/active.
+ */
+export const enableAutoRenew = async (subscription) => {
+  if (!subscription.isCurrentlyActive()) {
+    throw new ApiError('Auto-renew can only be enabled on an active subscription', 400);
+  }
+  if (subscription.cancelAtPeriodEnd) {
+    throw new ApiError('Undo the scheduled cancellation before enabling auto-renew', 400);
+  }
+
+  const plan = await Plan.findById(subscription.plan);
+  if (!plan || !plan.isActive) throw new ApiError('This plan is no longer available for renewal', 400);
+
+  // Reuse a mandate that is still waiting for authorisation
+  if (subscription.razorpaySubscriptionId && ['created', 'authenticated', 'active'].includes(subscription.razorpaySubscriptionStatus)) {
+    const existing = await getRazorpay().subscriptions.fetch(subscription.razorpaySubscriptionId);
+    return { subscription, razorpaySubscription: existing };
+  }
+
+  const razorpayPlanId = await ensureRazorpayPlan(plan, subscription.currency);
+  const totalCount = Number(process.env.AUTO_RENEW_TOTAL_COUNT) > 0 ? Number(process.env.AUTO_RENEW_TOTAL_COUNT) : 60;
+
+  const rpSub = await getRazorpay().subscriptions.create({
+    plan_id: razorpayPlanId,
+    total_count: totalCount,
+    customer_notify: 1,
+    start_at: Math.floor(new Date(subscription.endDate).getTime() / 1000),
+    notes: {
+      subscriptionId: String(subscription._id),
+      userId: String(subscription.user),
+    },
+  });
+
+  subscription.razorpaySubscriptionId = rpSub.id;
+  subscription.razorpaySubscriptionStatus = rpSub.status;
+  await subscription.save();
+
+  logger.info('Razorpay subscription created for auto-renew', {
+    subscriptionId: subscription._id.toString(),
+    razorpaySubscriptionId: rpSub.id,
+  });
+  return { subscription, razorpaySubscription: rpSub };
+};
+
+/**
+ * Stop auto-renew: cancel the Razorpay subscription immediately (the current period is already paid).
+ */
+export const disableAutoRenew = async (subscription) => {
+  if (subscription.razorpaySubscriptionId && !['cancelled', 'completed', 'expired'].includes(subscription.razorpaySubscriptionStatus)) {
+    const rpSub = await getRazorpay().subscriptions.cancel(subscription.razorpaySubscriptionId, false);
+    subscription.razorpaySubscriptionStatus = rpSub?.status || 'cancelled';
+  }
+  subscription.autoRenew = false;
+  await subscription.save();
+
+  logger.info('Auto-renew disabled', { subscriptionId: subscription._id.toString() });
+  return subscription;
+};
+
+/**
+ * Mirror a scheduled downgrade on the Razorpay side so the next charge uses the lower plan.
+ */
+export const scheduleGatewayPlanChange = async (subscription, plan) => {
+  if (!subscription.autoRenew || !subscription.razorpaySubscriptionId) return;
+  const razorpayPlanId = await ensureRazorpayPlan(plan, subscription.currency);
+  await getRazorpay().subscriptions.update(subscription.razorpaySubscriptionId, {
+    plan_id: razorpayPlanId,
+    schedule_change_at: 'cycle_end',
+  });
+};
+
+export const cancelGatewayPlanChange = async (subscription) => {
+  if (!subscription.autoRenew || !subscription.razorpaySubscriptionId) return;
+  await getRazorpay().subscriptions.cancelScheduledChanges(subscription.razorpaySubscriptionId);
+};
+
+const findByGatewayEntity = (entity) => {
+  if (!entity || !entity.id) return null;
+  return Subscription.findOne({ razorpaySubscriptionId: entity.id });
+};
+
+/*
+ * A charge on a subscription that must not renew (replaced by an upgrade, or cancelled) whose
+ * gateway subscription was not stopped. The money is recorded on a failed Payment (so it shows up
+ * in reconciliation and can be refunded) and the gateway subscription is cancelled again.
+ */
+const rejectCharge = async (sub, subscriptionEntity, paymentEntity, reason) => {
+  const currency = String(paymentEntity.currency || sub.currency || BASE_CURRENCY).toUpperCase();
+  const { total, ...tax } = await computeTax({ user: sub.user, amount: Number(paymentEntity.amount), taxInclusive: true });
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      user: sub.user,
+      plan: sub.plan,
+      subscription: sub._id,
+      targetSubscription: sub._id,
+      action: 'renew',
+      amount: total,
+      currency,
+      tax,
+      status: 'failed',
+      failureReason: reason,
+      razorpayOrderId: paymentEntity.order_id || undefined,
+      razorpayPaymentId: paymentEntity.id,
+      gatewayResponse: { subscriptionCharged: { subscription: subscriptionEntity, payment: paymentEntity } },
+      webhookReceived: true,
+      fulfillmentStatus: 'failed',
+    });
+  } catch (err) {
+    if (err && err.code === 11000) return { handled: true, duplicate: true };
+    throw err;
+  }
+
+  try {
+    await disableAutoRenew(sub);
+  } catch (err) {
+    logger.error('Failed to cancel Razorpay subscription after rejected charge', { subscriptionId: sub._id.toString(), err: err?.message || err });
+  }
+
+  logger.error('subscription.charged rejected: refund needed', {
+    subscriptionId: sub._id.toString(),
+    paymentId: payment._id.toString(),
+    razorpayPaymentId: paymentEntity.id,
+    reason,
+  });
+  return { handled: true, rejected: true, subscription: sub, payment };
+};
+
+/**
+ * subscription.charged: record the Payment and extend endDate by one plan period.
+ * Deduped on razorpayPaymentId (unique index), so Razorpay retries are no-ops.
+ * Charges on a subscription replaced by an upgrade or cancelled are not applied (see rejectCharge).
+ */
+export const handleSubscriptionCharged = async (subscriptionEntity, paymentEntity) => {
+  const sub = await findByGatewayEntity(subscriptionEntity);
+  if (!sub) {
+    logger.warn('subscription.charged for unknown subscription', { razorpaySubscriptionId: subscriptionEntity?.id });
+    return { handled: false };
+  }
+  if (!paymentEntity || !paymentEntity.id) {
+    logger.warn('subscription.charged without payment entity', { subscriptionId: sub._id.toString() });
+    return { handled: false };
+  }
+
+  if (sub.upgradedTo) {
+    return rejectCharge(sub, subscriptionEntity, paymentEntity, 'Charged after the subscription was replaced by an upgrade');
+  }
+  if (sub.status === 'cancelled') {
+    return rejectCharge(sub, subscriptionEntity, paymentEntity, 'Charged after the subscription was cancelled');
+  }
+
+  const now = new Date();
+
+  // A scheduled downgrade that is due switches plan on this charge (Razorpay charged the new plan)
+  if (sub.pendingChange && sub.pendingChange.plan && (!sub.pendingChange.effectiveAt || sub.pendingChange.effectiveAt <= now)) {
+    sub.plan = sub.pendingChange.plan;
+    sub.pendingChange = undefined;
+  }
+
+  const plan = await Plan.findById(sub.plan);
+  if (!plan) {
+    logger.error('subscription.charged: plan not found', { subscriptionId: sub._id.toString() });
+    return { handled: false };
+  }
+
+  // The gateway charged the tax-inclusive plan amount; split out the GST for the invoice
+  const currency = String(paymentEntity.currency || sub.currency || BASE_CURRENCY).toUpperCase();
+  const { total, ...tax } = await computeTax({ user: sub.user, amount: Number(paymentEntity.amount), taxInclusive: true });
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      user: sub.user,
+      plan: plan._id,
+      subscription: sub._id,
+      targetSubscription: sub._id,
+      action: 'renew',
+      amount: total,
+      currency,
+      tax,
+      status: 'completed',
+      razorpayOrderId: paymentEntity.order_id || undefined,
+      razorpayPaymentId: paymentEntity.id,
+      gatewayResponse: { subscriptionCharged: { subscription: subscriptionEntity, payment: paymentEntity } },
+      webhookReceived: true,
+      // applied right here, so the payment.captured webhook for the same charge is a no-op
+      fulfillmentStatus: 'fulfilled',
+      fulfilledAt: new Date(),
+      fulfilledVia: 'auto_renew',
+    });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      logger.info('subscription.charged already recorded', { razorpayPaymentId: paymentEntity.id });
+      return { handled: true, duplicate: true };
+    }
+    throw err;
+  }
+  // numbered only after the insert succeeded, so a duplicate charge never burns a number
+  await payment.assignInvoiceNumber();
+
+  const durationDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
+  const currentEnd = sub.renewalBase(now);
+  sub.endDate = new Date(currentEnd.getTime() + durationDays * DAY_MS);
+  sub.status = 'active';
+  sub.autoRenew = true;
+  sub.razorpaySubscriptionStatus = subscriptionEntity.status || 'active';
+  sub.billingHistory = sub.billingHistory || [];
+  sub.billingHistory.push({ date: now, amount: payment.amount, currency, paymentId: payment._id, status: 'success' });
+  await sub.save();
+
+  // fire-and-forget: store the invoice PDF and email it (non-blocking)
+  void deliverInvoice(payment, plan);
+
+  logger.info('Subscription auto-renewed', {
+    subscriptionId: sub._id.toString(),
+    paymentId: payment._id.toString(),
+    endDate: sub.endDate.toISOString(),
+  });
+  return { handled: true, subscription: sub, payment };
+};
+
+/**
+ * subscription.authenticated / subscription.activated: mandate is in place.
+ * A subscription replaced by an upgrade or cancelled since checkout must not renew: its gateway
+ * subscription is cancelled instead.
+ */
+export const handleSubscriptionActivated = async (subscriptionEntity) => {
+  const sub = await findByGatewayEntity(subscriptionEntity);
+  if (!sub) return { handled: false };
+  sub.razorpaySubscriptionStatus = subscriptionEntity.status;
+
+  if (sub.upgradedTo || sub.status === 'cancelled') {
+    await disableAutoRenew(sub);
+    logger.warn('Mandate authorised for a subscription that must not renew; gateway subscription cancelled', {
+      subscriptionId: sub._id.toString(),
+      status: sub.status,
+      upgradedTo: sub.upgradedTo ? sub.upgradedTo.toString() : undefined,
+    });
+    return { handled: true, subscription: sub, cancelled: true };
+  }
+
+  sub.autoRenew = true;
+  await sub.save();
+  logger.info('Auto-renew active', { subscriptionId: sub._id.toString(), status: subscriptionEntity.status });
+  return { handled: true, subscription: sub };
+};
+
+/**
+ * subscription.halted (retries exhausted) / subscription.cancelled: stop renewing.
+ * Access continues until the current endDate, after which the normal expiry applies.
+ */
+export const handleSubscriptionStopped = async (subscriptionEntity) => {
+  const sub = await findByGatewayEntity(subscriptionEntity);
+  if (!sub) return { handled: false };
+  sub.autoRenew = false;
+  sub.razorpaySubscriptionStatus = subscriptionEntity.status;
+  await sub.save();
+  logger.warn('Auto-renew stopped by gateway', { subscriptionId: sub._id.toString(), status: subscriptionEntity.status });
+  return { handled: true, subscription: sub };
+};
+
+export default {
+  toRazorpayPeriod,
+  ensureRazorpayPlan,
+  enableAutoRenew,
+  disableAutoRenew,
+  scheduleGatewayPlanChange,
+  cancelGatewayPlanChange,
+  handleSubscriptionCharged,
+  handleSubscriptionActivated,
+  handleSubscriptionStopped,
+};
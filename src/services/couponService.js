@@ -0,0 +1,70 @@
+// src/services/couponService.js
+import Coupon from '../models/Coupon.js';
+import Payment from '../models/Payment.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+import logger from '../utils/logger.js';
+
+// Payments that count as a redemption
+const REDEEMED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Check a coupon code for an order and work out the discount.
+ * Used by createOrder and the /api/coupons/validate preview, so both agree.
+ *
+ * @param {Object} params
+ * @param {String} params.code
+ * @param {ObjectId} params.userId
+ * @param {ObjectId} params.planId
+ * @param {String} params.action - 'purchase' | 'renew' | 'upgrade'
+ * @param {Number} params.amount - charge before the coupon, in minor units of `currency`
+ * @param {String} [params.currency='INR']
+ * @returns {Promise<{ coupon, discountAmount, finalAmount }>}
+ * @throws {ApiError} 400 when the coupon can't be used for this order
+ */
+export const applyCoupon = async ({ code, userId, planId, action, amount, currency = BASE_CURRENCY }) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) throw new ApiError('Invalid coupon code', 400);
+
+  const reason = coupon.getUnavailableReason();
+  if (reason) throw new ApiError(reason, 400);
+
+  if (!coupon.appliesTo({ planId, action })) {
+    throw new ApiError('This coupon is not valid for the selected plan', 400);
+  }
+
+  // flat amounts and caps are in paise
+  if (currency !== BASE_CURRENCY && (coupon.discountType !== 'percentage' || coupon.maxDiscountAmount > 0)) {
+    throw new ApiError(`This coupon can only be used for payments in ${BASE_CURRENCY}`, 400);
+  }
+
+  if (coupon.perUserLimit > 0) {
+    const used = await Payment.countDocuments({
+      user: userId,
+      'discount.coupon': coupon._id,
+      status: { $in: REDEEMED_STATUSES },
+    });
+    if (used >= coupon.perUserLimit) throw new ApiError('You have already used this coupon', 400);
+  }
+
+  const discountAmount = coupon.calculateDiscount(amount);
+  if (discountAmount <= 0) throw new ApiError('This coupon does not reduce the price of this order', 400);
+
+  return { coupon, discountAmount, finalAmount: amount - discountAmount };
+};
+
+/**
+ * Count a redemption once the discounted payment has been fulfilled (best-effort).
+ * Limits are checked when the order is created, so a burst of simultaneous checkouts
+ * can overshoot maxRedemptions slightly rather than charging someone the wrong price.
+ */
+export const recordRedemption = async (payment) => {
+  if (!payment.discount || !payment.discount.coupon) return;
+  try {
+    await Coupon.updateOne({ _id: payment.discount.coupon }, { $inc: { redemptionCount: 1 } });
+  } catch (err) {
+    logger.warn('Failed to record coupon redemption', { paymentId: payment._id.toString(), err: err?.message || err });
+  }
+};
+
+export default { applyCoupon, recordRedemption };
@@ -0,0 +1,232 @@
+// src/services/exportService.js
+// Accounting exports: Payment / Subscription records as CSV or NDJSON, and invoice PDFs as a ZIP.
+// Everything is read with a cursor and written as it goes, so exports of any size use flat memory.
+import Payment from '../models/Payment.js';
+import Subscription from '../models/Subscription.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { getInvoicePdf, invoiceFilename } from './invoiceService.js';
+import { createZipStream } from '../utils/zipStream.js';
+import logger from '../utils/logger.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const INVOICE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const CURSOR_BATCH_SIZE = 500;
+
+// minor units -> "499.00"; every supported currency has 2 decimals
+const major = (minor) => (minor == null ? '' : (Number(minor) / 100).toFixed(2));
+const iso = (date) => (date ? new Date(date).toISOString() : '');
+
+/*
+ * Columns: [name, (doc) => value]. Amounts come twice: `*_minor` as stored (paise for INR)
+ * and the plain name in major units (rupees for INR), both in the row's `currency`.
+ */
+const PAYMENT_COLUMNS = [
+  ['payment_id', (p) => String(p._id)],
+  ['created_at', (p) => iso(p.createdAt)],
+  ['completed_at', (p) => iso(p.completedAt)],
+  ['status', (p) => p.status],
+  ['action', (p) => p.action],
+  ['invoice_number', (p) => p.invoiceNumber || ''],
+  ['receipt', (p) => p.receipt || ''],
+  ['razorpay_order_id', (p) => p.razorpayOrderId || ''],
+  ['razorpay_payment_id', (p) => p.razorpayPaymentId || ''],
+  ['user_email', (p) => p.user?.email || ''],
+  ['user_name', (p) => p.user?.name || ''],
+  ['plan', (p) => p.plan?.name || ''],
+  ['currency', (p) => p.currency || 'INR'],
+  ['amount', (p) => major(p.amount)],
+  ['amount_minor', (p) => p.amount],
+  ['taxable_amount', (p) => major(p.tax?.taxableAmount)],
+  ['taxable_amount_minor', (p) => p.tax?.taxableAmount ?? ''],
+  ['gst_rate', (p) => p.tax?.rate ?? ''],
+  ['cgst_minor', (p) => p.tax?.cgst ?? ''],
+  ['sgst_minor', (p) => p.tax?.sgst ?? ''],
+  ['igst_minor', (p) => p.tax?.igst ?? ''],
+  ['supply_type', (p) => p.tax?.supplyType || ''],
+  ['place_of_supply', (p) => p.tax?.placeOfSupply || ''],
+  ['customer_gstin', (p) => p.tax?.billedTo?.gstin || ''],
+  ['coupon_code', (p) => p.discount?.code || ''],
+  ['discount', (p) => major(p.discount?.amount)],
+  ['discount_minor', (p) => p.discount?.amount ?? ''],
+  ['refunded', (p) => major(p.refundedAmount || 0)],
+  ['refunded_minor', (p) => p.refundedAmount || 0],
+];
+
+const SUBSCRIPTION_COLUMNS = [
+  ['subscription_id', (s) => String(s._id)],
+  ['created_at', (s) => iso(s.createdAt)],
+  ['status', (s) => s.status],
+  ['user_email', (s) => s.user?.email || ''],
+  ['user_name', (s) => s.user?.name || ''],
+  ['plan', (s) => s.plan?.name || ''],
+  ['currency', (s) => s.currency || 'INR'],
+  ['start_date', (s) => iso(s.startDate)],
+  ['end_date', (s) => iso(s.endDate)],
+  ['auto_renew', (s) => Boolean(s.autoRenew)],
+  ['cancel_at_period_end', (s) => Boolean(s.cancelAtPeriodEnd)],
+  ['cancelled_at', (s) => iso(s.cancelledAt)],
+  ['cancellation_reason', (s) => s.cancellationReason || ''],
+  ['trial_started_at', (s) => iso(s.trialStartedAt)],
+  ['razorpay_subscription_id', (s) => s.razorpaySubscriptionId || ''],
+  // the payment that created the subscription
+  ['payment_id', (s) => (s.paymentId?._id ? String(s.paymentId._id) : '')],
+  ['invoice_number', (s) => s.paymentId?.invoiceNumber || ''],
+  ['razorpay_order_id', (s) => s.paymentId?.razorpayOrderId || ''],
+  ['razorpay_payment_id', (s) => s.paymentId?.razorpayPaymentId || ''],
+  ['amount', (s) => major(s.paymentId?.amount)],
+  ['amount_minor', (s) => s.paymentId?.amount ?? ''],
+  ['billing_events', (s) => (s.billingHistory || []).length],
+];
+
+/**
+ * One CSV field. Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with '.
+ */
+const csvField = (value) => {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const rangeFilter = (field, { from, to }) => ({ [field]: { $gte: from, $lt: to } });
+
+const checkStatus = (status, model) => {
+  if (status && !model.schema.path('status').enumValues.includes(status)) {
+    throw new ApiError(`Invalid status: ${status}`, 400);
+  }
+};
+
+/**
+ * Payments in [from, to) of `dateField`, with optional status/plan/action.
+ */
+const paymentCursor = ({ from, to, dateField, status, plan, action }) => {
+  checkStatus(status, Payment);
+  const q = rangeFilter(dateField, { from, to });
+  if (status) q.status = status;
+  if (plan) q.plan = plan;
+  if (action) q.action = action;
+
+  return Payment.find(q)
+    .select('-gatewayResponse -webhookData -webhookEvents -refunds')
+    .sort({ [dateField]: 1, _id: 1 })
+    .populate('user', 'name email')
+    .populate('plan', 'name')
+    .lean()
+    .allowDiskUse(true)
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+};
+
+/**
+ * Subscriptions in [from, to) of `dateField`, with optional status/plan.
+ */
+const subscriptionCursor = ({ from, to, dateField, status, plan }) => {
+  checkStatus(status, Subscription);
+  const q = rangeFilter(dateField, { from, to });
+  if (status) q.status = status;
+  if (plan) q.plan = plan;
+
+  return Subscription.find(q)
+    .select('-pauseHistory -remindersSent -dunningEmailsSent')
+    .sort({ [dateField]: 1, _id: 1 })
+    .populate('user', 'name email')
+    .populate('plan', 'name')
+    .populate('paymentId', 'invoiceNumber razorpayOrderId razorpayPaymentId amount')
+    .lean()
+    .allowDiskUse(true)
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+};
+
+// dateFields: what the from/to range can apply to (first is the default)
+const EXPORTS = {
+  payments: { cursor: paymentCursor, columns: PAYMENT_COLUMNS, dateFields: ['createdAt', 'completedAt'] },
+  subscriptions: { cursor: subscriptionCursor, columns: SUBSCRIPTION_COLUMNS, dateFields: ['createdAt', 'startDate', 'endDate', 'cancelledAt'] },
+};
+
+export const EXPORT_TYPES = Object.keys(EXPORTS);
+
+/**
+ * Stream `type` records to `write` as CSV (with a header row) or NDJSON (one object per line).
+ *
+ * @param {Object} params
+ * @param {String} params.type - 'payments' | 'subscriptions'
+ * @param {String} [params.format='csv']
+ * @param {Object} params.filters - { from, to, dateField?, status?, plan?, action? } (dateField defaults per type)
+ * @param {Function} params.write - async (String) => void; should wait for the destination to drain
+ * @param {Function} [params.isAborted] - stop early (e.g. client went away)
+ * @returns {Promise<Number>} records written
+ */
+export const writeExport = async ({ type, format = 'csv', filters, write, isAborted = () => false }) => {
+  const spec = EXPORTS[type];
+  if (!spec) throw new ApiError(`Unknown export: ${type}`, 400);
+  const dateField = filters.dateField || spec.dateFields[0];
+  if (!spec.dateFields.includes(dateField)) {
+    throw new ApiError(`dateField for ${type} must be one of ${spec.dateFields.join(', ')}`, 400);
+  }
+
+  const cursor = spec.cursor({ ...filters, dateField });
+  const names = spec.columns.map(([name]) => name);
+  let count = 0;
+  try {
+    if (format === 'csv') await write(csvLine(names));
+    for await (const doc of cursor) {
+      if (isAborted()) break;
+      const values = spec.columns.map(([, get]) => get(doc));
+      await write(format === 'csv'
+        ? csvLine(values)
+        : `${JSON.stringify(Object.fromEntries(names.map((name, i) => [name, values[i]])))}\n`);
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return count;
+};
+
+/**
+ * Stream a ZIP of the invoice PDFs of payments completed in [from, to), one folder per
+ * financial year. Invoices missing from storage are regenerated; one that fails is skipped
+ * and listed in errors.txt inside the archive.
+ *
+ * @returns {Promise<{ files: Number, failed: Number }>}
+ */
+export const writeInvoiceZip = async ({ from, to, write, isAborted = () => false }) => {
+  const zip = createZipStream(write);
+  const cursor = Payment.find({
+    status: { $in: INVOICE_STATUSES },
+    invoiceNumber: { $exists: true },
+    completedAt: { $gte: from, $lt: to },
+  })
+    .select('-gatewayResponse -webhookData -webhookEvents')
+    .sort({ completedAt: 1, _id: 1 })
+    .cursor({ batchSize: 50 });
+
+  const failures = [];
+  let files = 0;
+  try {
+    for await (const payment of cursor) {
+      if (isAborted()) break;
+      let pdf;
+      try {
+        pdf = await getInvoicePdf(payment);
+      } catch (err) {
+        logger.warn('Invoice skipped in ZIP export', { paymentId: payment._id.toString(), err: err?.message || err });
+        failures.push(`${payment.invoiceNumber}\t${payment._id}\t${err?.message || err}`);
+        continue;
+      }
+      await zip.addFile(`${payment.invoiceFinancialYear || 'legacy'}/${invoiceFilename(payment)}`, pdf, { date: payment.completedAt });
+      files += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (isAborted()) return { files, failed: failures.length };
+  if (failures.length) await zip.addFile('errors.txt', Buffer.from(`${failures.join('\n')}\n`, 'utf8'));
+  await zip.finish();
+  return { files, failed: failures.length };
+};
+
+export default { EXPORT_FORMATS, EXPORT_TYPES, writeExport, writeInvoiceZip };
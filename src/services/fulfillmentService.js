@@ -0,0 +1,286 @@
+// src/services/fulfillmentService.js
+import Subscription from '../models/Subscription.js';
+import Plan from '../models/Plan.js';
+import Payment from '../models/Payment.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { recordRedemption } from './couponService.js';
+import { deliverInvoice } from './invoiceService.js';
+import { disableAutoRenew } from './autoRenewService.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A claim older than this is assumed to belong to a crashed worker and may be taken over
+export const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Atomically take ownership of fulfilling a payment. Only one caller (verify, webhook, ...)
+ * can win; `subscription: null` also excludes legacy payments fulfilled before this field existed.
+ */
+const claimFulfillment = (paymentId) => {
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+  return Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      subscription: null,
+      status: { $nin: ['cancelled', 'refunded'] },
+      $or: [
+        { fulfillmentStatus: { $in: ['unfulfilled', null] } },
+        { fulfillmentStatus: 'processing', fulfillmentClaimedAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { fulfillmentStatus: 'processing', fulfillmentClaimedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Another path owns the payment: wait briefly for it to finish so callers can return the subscription.
+ */
+const waitForFulfillment = async (paymentId, attempts = 6, delayMs = 500) => {
+  for (let i = 0; i < attempts; i += 1) {
+    const p = await Payment.findById(paymentId);
+    if (!p || p.fulfillmentStatus !== 'processing') return p;
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+  return Payment.findById(paymentId);
+};
+
+// Business rule failure after money was taken: record why and stop
+const failFulfillment = async (payment, reason, statusCode = 400) => {
+  payment.fulfillmentStatus = 'failed';
+  await payment.markFailed(reason);
+  throw new ApiError(reason, statusCode);
+};
+
+const renew = async (payment, plan, now) => {
+  const subId = payment.targetSubscription || payment.subscription;
+  const sub = await Subscription.findById(subId);
+  if (!sub) return failFulfillment(payment, 'Target subscription not found for renewal');
+
+  // Enforce renewLimit (0 = unlimited) from the terms the subscription was bought on; the live plan
+  // only for snapshots taken before renewLimit was recorded
+  const planForSub = await Plan.findById(sub.plan);
+  const renewLimit = sub.planSnapshot?.renewLimit ?? planForSub?.renewLimit ?? 0;
+  if (renewLimit > 0) {
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const startOfNextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    const renewCount = await Payment.countDocuments({
+      _id: { $ne: payment._id },
+      action: 'renew',
+      targetSubscription: sub._id,
+      status: 'completed',
+      createdAt: { $gte: startOfMonth, $lt: startOfNextMonth },
+    });
+
+    if (renewCount >= renewLimit) {
+      return failFulfillment(payment, 'You have reached the maximum renewals for this period');
+    }
+  }
+
+  // extend end date logically (from the original endDate during a grace period)
+  const currentEnd = sub.renewalBase(now);
+  const addDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
+  sub.endDate = new Date(currentEnd.getTime() + addDays * DAY_MS);
+
+  sub.billingHistory = sub.billingHistory || [];
+  sub.billingHistory.push({ date: now, amount: payment.amount, currency: payment.currency, paymentId: payment._id, status: 'success' });
+
+  sub.status = 'active';
+  // paying to renew withdraws a scheduled cancellation
+  sub.cancelAtPeriodEnd = false;
+  await sub.save();
+
+  logger.info('Subscription renewed', { subscriptionId: sub._id.toString(), userId: sub.user.toString() });
+  return { subscription: sub, plan: planForSub || plan, message: 'Subscription renewed' };
+};
+
+const upgrade = async (payment, plan, now) => {
+  if (!payment.targetSubscription) return failFulfillment(payment, 'Target subscription is required for upgrade');
+
+  const oldSub = await Subscription.findById(payment.targetSubscription);
+  if (!oldSub) return failFulfillment(payment, 'Old subscription not found for upgrade');
+
+  // Prevent downgrade: check plan priority. Same rule as createOrder (the terms the subscription
+  // was bought on), so a catalog edit between order and capture can't reject a paid upgrade.
+  const oldPlan = await Plan.findById(oldSub.plan);
+  const oldPriority = oldSub.planSnapshot?.priority ?? oldPlan?.priority ?? 0;
+
+  if (oldPriority >= plan.priority) {
+    // old priority >= new plan priority means this is downgrade or same level
+    return failFulfillment(payment, 'Cannot downgrade or choose same level plan. Upgrade only to higher plans.');
+  }
+
+  // Stop the old plan's gateway billing first, or its next charge would bill (and revive) it.
+  // A failure here doesn't block the upgrade: handleSubscriptionCharged refuses charges on it.
+  if (oldSub.razorpaySubscriptionId || oldSub.autoRenew) {
+    try {
+      await disableAutoRenew(oldSub);
+    } catch (err) {
+      logger.error('Upgrade: failed to cancel Razorpay subscription of the old plan', {
+        subscriptionId: oldSub._id.toString(),
+        razorpaySubscriptionId: oldSub.razorpaySubscriptionId,
+        err: err?.message || err,
+      });
+    }
+  }
+
+  // create new subscription (start now); left-over upgrade credit is added as bonus days
+  const durationDays = (Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30)
+    + (payment.proration?.bonusDays || 0);
+
+  const newSub = new Subscription({
+    user: payment.user,
+    plan: payment.plan,
+    paymentId: payment._id,
+    status: 'active',
+    startDate: now,
+    endDate: new Date(now.getTime() + durationDays * DAY_MS),
+    currency: payment.currency,
+    billingHistory: [{ date: now, amount: payment.amount, currency: payment.currency, paymentId: payment._id, status: 'success' }],
+  });
+
+  // expire old subscription
+  oldSub.status = 'expired';
+  oldSub.upgradedTo = newSub._id;
+  await oldSub.save();
+  await newSub.save();
+
+  logger.info('Plan upgraded - new subscription created', { newSubscriptionId: newSub._id.toString(), userId: payment.user.toString() });
+  return { subscription: newSub, plan, message: 'Plan upgraded' };
+};
+
+const purchase = async (payment, plan, now) => {
+  // If user already has an active subscription of the same plan -> block (defensive)
+  const existingActive = await Subscription.findOne({ user: payment.user, ...Subscription.entitledFilter(now) });
+  if (existingActive && existingActive.status !== 'trialing' && String(existingActive.plan) === String(plan._id)) {
+    return failFulfillment(payment, 'You already have an active subscription for this plan');
+  }
+
+  const durationDays = Number.isFinite(Number(plan.duration)) ? Number(plan.duration) : 30;
+
+  // Buying the plan being trialled converts the trial: the paid period starts when the trial ends
+  const trial = await Subscription.findOne({ user: payment.user, status: 'trialing' });
+  if (trial && String(trial.plan) === String(plan._id)) {
+    trial.endDate = new Date(trial.renewalBase(now).getTime() + durationDays * DAY_MS);
+    trial.status = 'active';
+    // paid terms are the plan's terms now, not those when the trial started
+    trial.planSnapshot = plan.toSnapshot();
+    trial.currency = payment.currency;
+    trial.paymentId = payment._id;
+    trial.trialConvertedAt = now;
+    trial.billingHistory = trial.billingHistory || [];
+    trial.billingHistory.push({ date: now, amount: payment.amount, currency: payment.currency, paymentId: payment._id, status: 'success' });
+    await trial.save();
+
+    logger.info('Trial converted after purchase', { subscriptionId: trial._id.toString(), userId: payment.user.toString() });
+    return { subscription: trial, plan, message: 'Payment verified and trial converted to a paid subscription' };
+  }
+
+  // A trial of another plan ends when a paid plan is bought
+  if (trial) {
+    trial.endDate = now;
+    await trial.cancel('Ended by purchase of another plan');
+  }
+
+  const subscription = await Subscription.create({
+    user: payment.user,
+    plan: payment.plan,
+    paymentId: payment._id,
+    status: 'active',
+    startDate: now,
+    endDate: new Date(now.getTime() + durationDays * DAY_MS),
+    currency: payment.currency,
+    billingHistory: [{ date: now, amount: payment.amount, currency: payment.currency, paymentId: payment._id, status: 'success' }],
+  });
+
+  logger.info('Subscription created after purchase', { subscriptionId: subscription._id.toString(), userId: payment.user.toString() });
+  return { subscription, plan, message: 'Payment verified and subscription activated' };
+};
+
+/**
+ * Complete a paid Payment and apply its purchase / renew / upgrade exactly once.
+ *
+ * Called by every path that learns a payment succeeded (client verify, payment.captured /
+ * order.paid webhooks, manual activate). Whichever arrives first claims the payment; later
+ * callers get the existing subscription back with alreadyProcessed=true.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} opts
+ * @param {String} opts.source - 'verify' | 'webhook' | 'activate' | 'reconcile'
+ * @param {String} [opts.razorpayPaymentId]
+ * @param {String} [opts.razorpaySignature]
+ * @param {Object} [opts.gatewayResponse]
+ * @returns {Promise<{ payment, subscription, message, alreadyProcessed }>}
+ * @throws {ApiError} when a business rule rejects the payment (payment is marked failed)
+ */
+export const fulfillPayment = async (payment, { source, razorpayPaymentId, razorpaySignature, gatewayResponse } = {}) => {
+  const claimed = await claimFulfillment(payment._id);
+
+  if (!claimed) {
+    const current = await waitForFulfillment(payment._id);
+    const subscription = current?.subscription ? await Subscription.findById(current.subscription).populate('plan') : null;
+    if (current?.fulfillmentStatus === 'failed') {
+      throw new ApiError(current.failureReason || 'Payment could not be applied', 400);
+    }
+    return {
+      payment: current,
+      subscription,
+      message: subscription ? 'Payment already processed' : 'Payment is being processed',
+      alreadyProcessed: true,
+    };
+  }
+
+  // mark payment completed; the invoice number comes after the business checks below pass
+  if (!['completed', 'partially_refunded'].includes(claimed.status)) {
+    await claimed.markCompleted({ razorpayPaymentId, razorpaySignature, gatewayResponse });
+  } else if (razorpayPaymentId && !claimed.razorpayPaymentId) {
+    claimed.razorpayPaymentId = razorpayPaymentId;
+    await claimed.save();
+  }
+
+  try {
+    // Load plan (defensive)
+    const plan = await Plan.findById(claimed.plan);
+    if (!plan) {
+      logger.error('Plan not found after payment', { planId: claimed.plan, paymentId: claimed._id });
+      return await failFulfillment(claimed, 'Associated plan not found', 500);
+    }
+
+    const now = new Date();
+    let result;
+    if (claimed.action === 'renew') result = await renew(claimed, plan, now);
+    else if (claimed.action === 'upgrade') result = await upgrade(claimed, plan, now);
+    else result = await purchase(claimed, plan, now);
+
+    claimed.subscription = result.subscription._id;
+    claimed.fulfillmentStatus = 'fulfilled';
+    claimed.fulfilledAt = new Date();
+    claimed.fulfilledVia = source;
+    await claimed.save();
+    // numbered only once applied, so a rejected payment never burns a number
+    // (if this fails, the daily assignMissingInvoiceNumbers job numbers it)
+    try {
+      await claimed.assignInvoiceNumber();
+    } catch (err) {
+      logger.error('Invoice numbering failed after fulfillment', { paymentId: claimed._id.toString(), err: err?.message || err });
+    }
+
+    await recordRedemption(claimed);
+
+    // fire-and-forget: store the invoice PDF and email it (non-blocking)
+    void deliverInvoice(claimed, result.plan);
+
+    logger.info('Payment fulfilled', { paymentId: claimed._id.toString(), action: claimed.action, source });
+    return { payment: claimed, subscription: result.subscription, message: result.message, alreadyProcessed: false };
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+
+    logger.error('Payment fulfillment failed', { paymentId: claimed._id.toString(), source, err: err?.message || err });
+    // Release the claim so another path (or a retry) can try again
+    await Payment.updateOne({ _id: claimed._id, fulfillmentStatus: 'processing' }, { $set: { fulfillmentStatus: 'unfulfilled' } });
+    throw new ApiError('Failed to create subscription after payment', 500);
+  }
+};
+
+export default { fulfillPayment };
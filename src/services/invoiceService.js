@@ -0,0 +1,193 @@
+// src/services/invoiceService.js
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import { generateInvoicePdfBuffer } from '../utils/pdfGenerator.js';
+import { sendInvoiceEmail } from '../utils/emailService.js';
+import { saveFile, readFile } from './storageService.js';
+import { formatMoney } from '../utils/currency.js';
+import logger from '../utils/logger.js';
+
+const INVOICE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// invoice numbers contain '/' (INV/26-27/000042)
+export const invoiceFilename = (payment) => `${(payment.invoiceNumber || payment.receipt || `INV-${payment._id}`).replace(/\//g, '-')}.pdf`;
+
+const storageKeyFor = (payment) => `invoices/${payment.invoiceFinancialYear || 'legacy'}/${invoiceFilename(payment)}`;
+
+/**
+ * Data for generateInvoicePdfBuffer. Expects `user` and `plan` populated.
+ */
+const buildInvoiceData = (payment) => {
+  const invoiceData = {
+    invoiceNumber: payment.invoiceNumber || payment.receipt || `INV-${payment._id}`,
+    date: payment.completedAt ? payment.completedAt.toISOString() : new Date().toISOString(),
+    user: {
+      name: (payment.user && payment.user.name) || '',
+      email: (payment.user && payment.user.email) || '',
+    },
+    planName: (payment.plan && payment.plan.name) || '',
+    amount: payment.amount, // minor units of payment.currency (expected by generator)
+    currency: payment.currency,
+  };
+
+  // GST tax invoice (payments created before GST support have no breakdown)
+  if (payment.tax && payment.tax.rate != null) {
+    invoiceData.title = 'Tax Invoice';
+    invoiceData.tax = payment.tax;
+    invoiceData.billedTo = payment.tax.billedTo && payment.tax.billedTo.legalName ? payment.tax.billedTo : null;
+  }
+
+  // Prorated upgrade / coupon: itemize the full plan charge, then each deduction
+  const pr = payment.action === 'upgrade' && payment.proration && payment.proration.creditAmount > 0 ? payment.proration : null;
+  const discount = payment.discount && payment.discount.amount > 0 ? payment.discount : null;
+  if (pr || discount) {
+    invoiceData.items = [
+      {
+        description: pr ? `${invoiceData.planName || 'Plan'} upgrade` : invoiceData.planName || 'Subscription',
+        qty: 1,
+        unitAmountPaise: pr ? pr.planAmount : discount.originalAmount,
+      },
+    ];
+    if (pr) {
+      invoiceData.items.push({
+        description: `Credit: ${pr.remainingDays} unused days of ${pr.oldPlanName || 'previous plan'}`,
+        qty: 1,
+        unitAmountPaise: -pr.creditAmount,
+      });
+      if (pr.bonusDays > 0) {
+        invoiceData.notes = `Remaining credit was converted into ${pr.bonusDays} extra days on the new plan.`;
+      }
+    }
+    if (discount) {
+      invoiceData.items.push({
+        description: `Discount (${discount.code}${discount.type === 'percentage' ? `, ${discount.value}%` : ''})`,
+        qty: 1,
+        unitAmountPaise: -discount.amount,
+      });
+    }
+  }
+
+  // Tax-exclusive price: the line shows the net price and GST is added in the tax summary
+  if (!invoiceData.items && invoiceData.tax && !invoiceData.tax.taxInclusive) {
+    invoiceData.items = [{ description: invoiceData.planName || 'Subscription', qty: 1, unitAmountPaise: invoiceData.tax.taxableAmount }];
+  }
+
+  return invoiceData;
+};
+
+const renderInvoicePdf = async (payment) => {
+  if (!payment.populated('user') || !payment.populated('plan')) await payment.populate('user plan');
+  let pdfBuffer = await generateInvoicePdfBuffer(buildInvoiceData(payment));
+
+  // Normalize: accept Buffer or Uint8Array/ArrayBuffer
+  if (!Buffer.isBuffer(pdfBuffer)) {
+    if (pdfBuffer instanceof Uint8Array) {
+      pdfBuffer = Buffer.from(pdfBuffer);
+    } else if (pdfBuffer && pdfBuffer.buffer) {
+      pdfBuffer = Buffer.from(pdfBuffer.buffer);
+    } else {
+      throw new Error('PDF generator did not return a Buffer');
+    }
+  }
+  return pdfBuffer;
+};
+
+/**
+ * Generate the invoice PDF and put it in storage. With force=false an existing stored copy is kept.
+ * Returns the PDF buffer.
+ */
+export const storeInvoice = async (payment, { force = false } = {}) => {
+  if (!INVOICE_STATUSES.includes(payment.status)) throw new Error('Invoice available only for completed payments');
+
+  if (!force && payment.invoiceStorageKey) {
+    const existing = await readFile(payment.invoiceStorageKey);
+    if (existing) return existing;
+  }
+
+  // Completed before numbering finished (e.g. crash): number it now rather than printing a receipt id
+  if (!payment.invoiceNumber) await payment.assignInvoiceNumber();
+
+  const pdfBuffer = await renderInvoicePdf(payment);
+  const key = storageKeyFor(payment);
+  await saveFile(key, pdfBuffer, { contentType: 'application/pdf' });
+
+  const fields = {
+    invoiceStorageKey: key,
+    invoiceUrl: `/api/payments/${payment._id}/invoice`,
+    invoiceGeneratedAt: new Date(),
+  };
+  await Payment.updateOne({ _id: payment._id }, { $set: fields });
+  payment.set(fields);
+  Object.keys(fields).forEach((p) => payment.unmarkModified(p));
+
+  logger.info('Invoice stored', { paymentId: payment._id.toString(), invoiceNumber: payment.invoiceNumber, key });
+  return pdfBuffer;
+};
+
+/**
+ * The stored invoice PDF, generating and storing it first if needed (e.g. the file was lost).
+ */
+export const getInvoicePdf = async (payment) => {
+  if (payment.invoiceStorageKey) {
+    const stored = await readFile(payment.invoiceStorageKey);
+    if (stored) return stored;
+    logger.warn('Stored invoice missing, regenerating', { paymentId: payment._id.toString(), key: payment.invoiceStorageKey });
+  }
+  return storeInvoice(payment, { force: true });
+};
+
+/**
+ * Email the payment confirmation with the invoice attached.
+ * Only sent to addresses the user has proven they own. Returns the mail info, or null if not sent.
+ */
+export const sendPaymentConfirmationEmail = async (payment, plan) => {
+  const userObj = await User.findById(payment.user?._id || payment.user).select('name email emailVerified');
+  const to = userObj?.emailVerified ? userObj.email : '';
+  if (!to) {
+    logger.warn('No verified recipient email available for payment notification', { paymentId: payment._id.toString() });
+    return null;
+  }
+
+  const pdfBuffer = await getInvoicePdf(payment);
+
+  const dateStr = payment.completedAt ? new Date(payment.completedAt).toLocaleString() : new Date().toLocaleString();
+  const planName = plan?.name || payment.plan?.name || '';
+
+  const subject = `Payment received — ${planName || 'Subscription'}`;
+  const text = [
+    `Hi ${userObj?.name || 'Customer'},`,
+    '',
+    `Thank you for your purchase.`,
+    `Plan: ${planName}`,
+    `Amount: ${formatMoney(Number(payment.amount) || 0, payment.currency)}`,
+    `Invoice: ${payment.invoiceNumber || '-'}`,
+    `Date: ${dateStr}`,
+    '',
+    'Your invoice is attached. We appreciate your support. If you need help, reply to this email.',
+    '',
+    'Best regards',
+    'The Prydan Team',
+  ].join('\n');
+
+  // sendEmail uses process.env.EMAIL_FROM as the "from"
+  const info = await sendInvoiceEmail({ to, invoiceBuffer: pdfBuffer, invoiceName: invoiceFilename(payment), subject, text });
+  await Payment.updateOne({ _id: payment._id }, { $set: { invoiceEmailedAt: new Date() } });
+
+  logger.info('Payment notification email sent', { paymentId: payment._id.toString(), to, messageId: info?.messageId });
+  return info;
+};
+
+/**
+ * After a payment completes: store the invoice and email it (best-effort, never throws).
+ */
+export const deliverInvoice = async (payment, plan) => {
+  try {
+    await storeInvoice(payment);
+    await sendPaymentConfirmationEmail(payment, plan);
+  } catch (err) {
+    // log but do not fail main flow; the invoice is regenerated on first download
+    logger.warn('Failed to store/email invoice (best-effort)', { err: err?.message || err, paymentId: payment._id.toString() });
+  }
+};
+
+export default { invoiceFilename, storeInvoice, getInvoicePdf, sendPaymentConfirmationEmail, deliverInvoice };
@@ -0,0 +1,214 @@
+// src/services/metricsService.js
+// Admin reporting aggregations over Payment and Subscription.
+// Money is always reported per currency, in that currency's minor unit; currencies are never summed.
+import Payment from '../models/Payment.js';
+import Subscription from '../models/Subscription.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+// Payments that count as revenue (refunds are reported alongside, not netted out of the count)
+const REVENUE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Bucket label per interval; weeks are ISO weeks (Monday start)
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+// Payment.action -> how the report names it
+const ACTION_LABELS = { purchase: 'new', renew: 'renewed', upgrade: 'upgraded' };
+
+// Subscriptions that were only ever a free trial are not paying customers
+const PAID_FILTER = { $or: [{ trialStartedAt: { $exists: false } }, { trialConvertedAt: { $exists: true } }] };
+
+const currencyExpr = { $ifNull: ['$currency', BASE_CURRENCY] };
+
+const periodExpr = (interval, tz) => ({
+  $dateToString: { date: '$completedAt', format: PERIOD_FORMATS[interval] || PERIOD_FORMATS.day, timezone: tz },
+});
+
+const revenueMatch = ({ from, to }) => ({ status: { $in: REVENUE_STATUSES }, completedAt: { $gte: from, $lt: to } });
+
+const revenueTotals = {
+  payments: { $sum: 1 },
+  gross: { $sum: '$amount' },
+  refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+};
+
+const revenueProjection = { payments: 1, gross: 1, refunded: 1, net: { $subtract: ['$gross', '$refunded'] } };
+
+/**
+ * Revenue per period and currency: [{ period, currency, payments, gross, refunded, net }]
+ */
+export const getRevenueByPeriod = ({ from, to, tz = 'UTC', interval = 'day' }) =>
+  Payment.aggregate([
+    { $match: revenueMatch({ from, to }) },
+    { $group: { _id: { period: periodExpr(interval, tz), currency: currencyExpr }, ...revenueTotals } },
+    { $project: { _id: 0, period: '$_id.period', currency: '$_id.currency', ...revenueProjection } },
+    { $sort: { period: 1, currency: 1 } },
+  ]);
+
+/**
+ * Revenue per plan and currency: [{ planId, planName, currency, payments, gross, refunded, net }]
+ */
+export const getRevenueByPlan = ({ from, to }) =>
+  Payment.aggregate([
+    { $match: revenueMatch({ from, to }) },
+    { $group: { _id: { plan: '$plan', currency: currencyExpr }, ...revenueTotals } },
+    { $lookup: { from: 'plans', localField: '_id.plan', foreignField: '_id', as: 'planDoc' } },
+    {
+      $project: {
+        _id: 0,
+        planId: '$_id.plan',
+        planName: { $ifNull: [{ $arrayElemAt: ['$planDoc.name', 0] }, null] },
+        currency: '$_id.currency',
+        ...revenueProjection,
+      },
+    },
+    { $sort: { net: -1 } },
+  ]);
+
+/**
+ * MRR / ARR per currency from paying subscriptions that are entitled right now.
+ * Each subscription contributes the price it bought (planSnapshot, else the current plan) scaled to 30 days.
+ * Scheduled cancellations still count until they take effect.
+ */
+export const getRecurringRevenue = async (now = new Date()) => {
+  const rows = await Subscription.aggregate([
+    { $match: { $and: [Subscription.entitledFilter(now), { status: { $ne: 'trialing' } }, PAID_FILTER] } },
+    { $lookup: { from: 'plans', localField: 'plan', foreignField: '_id', as: 'planDoc' } },
+    {
+      $addFields: {
+        currency: currencyExpr,
+        terms: {
+          $cond: [{ $ne: [{ $ifNull: ['$planSnapshot.amount', null] }, null] }, '$planSnapshot', { $arrayElemAt: ['$planDoc', 0] }],
+        },
+      },
+    },
+    {
+      $addFields: {
+        price: {
+          $cond: [
+            { $eq: ['$currency', BASE_CURRENCY] },
+            '$terms.amount',
+            {
+              $let: {
+                vars: {
+                  entry: {
+                    $arrayElemAt: [
+                      { $filter: { input: { $ifNull: ['$terms.prices', []] }, cond: { $eq: ['$$this.currency', '$currency'] } } },
+                      0,
+                    ],
+                  },
+                },
+                in: '$$entry.amount',
+              },
+            },
+          ],
+        },
+        duration: { $ifNull: ['$terms.duration', 30] },
+      },
+    },
+    {
+      $group: {
+        _id: '$currency',
+        subscribers: { $sum: 1 },
+        mrr: { $sum: { $divide: [{ $multiply: [{ $ifNull: ['$price', 0] }, 30] }, { $max: ['$duration', 1] }] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, subscribers, mrr }) => ({
+    currency: _id,
+    subscribers,
+    mrr: Math.round(mrr),
+    arr: Math.round(mrr * 12),
+  }));
+};
+
+/**
+ * Subscriptions holding access (or paused) right now, by status and by plan.
+ */
+export const getSubscriberCounts = async (now = new Date()) => {
+  const match = { $or: [...Subscription.entitledFilter(now).$or, { status: 'paused' }] };
+  const [byStatus, byPlan] = await Promise.all([
+    Subscription.aggregate([{ $match: match }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Subscription.aggregate([
+      { $match: match },
+      { $group: { _id: '$plan', count: { $sum: 1 } } },
+      { $lookup: { from: 'plans', localField: '_id', foreignField: '_id', as: 'planDoc' } },
+      { $project: { _id: 0, planId: '$_id', planName: { $ifNull: [{ $arrayElemAt: ['$planDoc.name', 0] }, null] }, count: 1 } },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const statuses = { active: 0, trialing: 0, past_due: 0, paused: 0 };
+  byStatus.forEach(({ _id, count }) => { statuses[_id] = count; });
+  return {
+    total: Object.values(statuses).reduce((sum, n) => sum + n, 0),
+    byStatus: statuses,
+    byPlan,
+  };
+};
+
+/**
+ * Paid orders by kind (new / renewed / upgraded, from Payment.action), in total and per period.
+ */
+export const getPaymentActivity = async ({ from, to, tz = 'UTC', interval = 'day' }) => {
+  const rows = await Payment.aggregate([
+    { $match: revenueMatch({ from, to }) },
+    { $group: { _id: { period: periodExpr(interval, tz), action: '$action' }, count: { $sum: 1 } } },
+    { $sort: { '_id.period': 1 } },
+  ]);
+
+  const empty = () => ({ new: 0, renewed: 0, upgraded: 0 });
+  const totals = empty();
+  const periods = new Map();
+  rows.forEach(({ _id, count }) => {
+    const label = ACTION_LABELS[_id.action];
+    if (!label) return;
+    if (!periods.has(_id.period)) periods.set(_id.period, { period: _id.period, ...empty() });
+    periods.get(_id.period)[label] += count;
+    totals[label] += count;
+  });
+  return { totals, series: [...periods.values()] };
+};
+
+/**
+ * Paying subscriptions that ended in [from, to): cancelled (cancelledAt) or lapsed (expiredAt).
+ * Upgrades replace a subscription without setting expiredAt, so they are not churn.
+ * churnRate is churned / paying subscriptions live at `from`, in percent (null when there were none).
+ */
+export const getChurn = async ({ from, to }) => {
+  const cancelledMatch = { $and: [{ status: 'cancelled', cancelledAt: { $gte: from, $lt: to } }, PAID_FILTER] };
+  const [cancelled, expired, startCount, reasons] = await Promise.all([
+    Subscription.countDocuments(cancelledMatch),
+    Subscription.countDocuments({ $and: [{ status: 'expired', expiredAt: { $gte: from, $lt: to } }, PAID_FILTER] }),
+    Subscription.countDocuments({
+      $and: [{ startDate: { $lt: from }, endDate: { $gte: from }, status: { $ne: 'trialing' } }, PAID_FILTER],
+    }),
+    Subscription.aggregate([
+      { $match: cancelledMatch },
+      { $group: { _id: { $ifNull: ['$cancellationReason', 'Unspecified'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 20 },
+      { $project: { _id: 0, reason: '$_id', count: 1 } },
+    ]),
+  ]);
+
+  const churned = cancelled + expired;
+  return {
+    subscribersAtStart: startCount,
+    cancelled,
+    expired,
+    churned,
+    churnRate: startCount > 0 ? Math.round((churned / startCount) * 10000) / 100 : null,
+    cancellationReasons: reasons,
+  };
+};
+
+export default {
+  getRevenueByPeriod,
+  getRevenueByPlan,
+  getRecurringRevenue,
+  getSubscriberCounts,
+  getPaymentActivity,
+  getChurn,
+};
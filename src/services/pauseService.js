@@ -0,0 +1,127 @@
+// src/services/pauseService.js
+// Pause / resume: a paused subscription keeps its remaining days, and endDate moves out by the
+// time spent paused when it resumes.
+import Subscription from '../models/Subscription.js';
+import Plan from '../models/Plan.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Pause limits bought with the subscription; snapshots from before pausing existed use the plan's
+const getPauseLimits = async (sub) => {
+  let { maxPauseDays, maxPausesPerYear } = sub.planSnapshot || {};
+  if (maxPauseDays == null || maxPausesPerYear == null) {
+    const plan = await Plan.findById(sub.plan).select('maxPauseDays maxPausesPerYear');
+    maxPauseDays = maxPauseDays ?? plan?.maxPauseDays ?? 0;
+    maxPausesPerYear = maxPausesPerYear ?? plan?.maxPausesPerYear ?? 0;
+  }
+  return { maxPauseDays, maxPausesPerYear };
+};
+
+/**
+ * Pause an active subscription for up to the plan's maxPauseDays (default: the maximum).
+ * The cron resumes it at resumeAt if the user hasn't by then.
+ */
+export const pauseSubscription = async (sub, { days } = {}) => {
+  if (sub.status !== 'active' || !sub.isCurrentlyActive()) {
+    throw new ApiError('Only an active subscription can be paused', 400);
+  }
+  // the gateway would keep charging on schedule while paused
+  const gatewayLive = sub.razorpaySubscriptionId && ['created', 'authenticated', 'active'].includes(sub.razorpaySubscriptionStatus);
+  if (sub.autoRenew || gatewayLive) {
+    throw new ApiError('Turn off auto-renew before pausing this subscription', 400);
+  }
+
+  const { maxPauseDays, maxPausesPerYear } = await getPauseLimits(sub);
+  if (!maxPauseDays || !maxPausesPerYear) {
+    throw new ApiError('This plan does not allow pausing', 400);
+  }
+
+  const pauseDays = days ?? maxPauseDays;
+  if (pauseDays > maxPauseDays) {
+    throw new ApiError(`A pause can last at most ${maxPauseDays} days on this plan`, 400);
+  }
+
+  const now = new Date();
+  const yearAgo = new Date(now.getTime() - YEAR_MS);
+  const recentPauses = (sub.pauseHistory || []).filter((p) => p.pausedAt && new Date(p.pausedAt) > yearAgo).length;
+  if (recentPauses >= maxPausesPerYear) {
+    throw new ApiError(`This plan allows ${maxPausesPerYear} pause(s) per year`, 400);
+  }
+
+  const resumeAt = new Date(now.getTime() + pauseDays * DAY_MS);
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: sub._id, status: 'active', endDate: { $gt: now } },
+    { $set: { status: 'paused', pausedAt: now, resumeAt } },
+    { new: true }
+  );
+  if (!updated) throw new ApiError('Subscription changed, please try again', 409);
+
+  logger.info('Subscription paused', { subscriptionId: sub._id.toString(), resumeAt: resumeAt.toISOString() });
+  return updated;
+};
+
+/**
+ * Resume a paused subscription: endDate (and a scheduled change) move out by the paused time.
+ * Returns the updated subscription, or null if it was no longer paused (already resumed).
+ */
+export const resumeSubscription = async (sub, { by = 'user', now = new Date() } = {}) => {
+  if (sub.status !== 'paused' || !sub.pausedAt) return null;
+
+  const pausedMs = Math.max(0, now.getTime() - new Date(sub.pausedAt).getTime());
+  const set = {
+    status: 'active',
+    endDate: new Date(new Date(sub.endDate).getTime() + pausedMs),
+  };
+  if (sub.pendingChange?.effectiveAt) {
+    set['pendingChange.effectiveAt'] = new Date(new Date(sub.pendingChange.effectiveAt).getTime() + pausedMs);
+  }
+
+  // pausedAt in the filter: only the resume that saw this pause applies it
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: sub._id, status: 'paused', pausedAt: sub.pausedAt },
+    {
+      $set: set,
+      $unset: { pausedAt: 1, resumeAt: 1 },
+      $push: {
+        pauseHistory: {
+          pausedAt: sub.pausedAt,
+          resumedAt: now,
+          days: Math.ceil(pausedMs / DAY_MS),
+          resumedBy: by,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  logger.info('Subscription resumed', {
+    subscriptionId: sub._id.toString(),
+    by,
+    endDate: updated.endDate.toISOString(),
+  });
+  return updated;
+};
+
+/**
+ * Cron: resume subscriptions whose pause reached its limit.
+ */
+export const autoResumeSubscriptions = async (now = new Date()) => {
+  const due = await Subscription.find({ status: 'paused', resumeAt: { $lte: now } });
+  const result = { matched: due.length, resumed: 0, failed: 0 };
+
+  for (const sub of due) {
+    try {
+      if (await resumeSubscription(sub, { by: 'auto', now })) result.resumed += 1;
+    } catch (err) {
+      logger.error('Auto-resume failed', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      result.failed += 1;
+    }
+  }
+  return result;
+};
+
+export default { pauseSubscription, resumeSubscription, autoResumeSubscriptions };
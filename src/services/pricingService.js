@@ -0,0 +1,55 @@
+// src/services/pricingService.js
+// Which currency an order is charged in. Used by createOrder and the coupon preview, so both agree.
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { BASE_CURRENCY, currencyForCountry, isSupportedCurrency, priceIn } from '../utils/currency.js';
+
+/**
+ * Currency for an order, and the plan's price in it.
+ *
+ * Renewals and upgrades stay in the subscription's currency. A purchase uses the currency asked
+ * for, else the one for the user's billing country when the plan is sold in it, else INR.
+ * Only customers billed outside India may choose a foreign currency.
+ *
+ * @param {Object} params
+ * @param {String} [params.requested] - currency sent by the client
+ * @param {Object} params.user - user document (billingProfile is loaded if not selected)
+ * @param {Object} params.plan - plan being bought
+ * @param {Object} [params.subscription] - subscription being renewed / upgraded
+ * @returns {Promise<{ currency: String, amount: Number }>} amount in minor units
+ * @throws {ApiError} 400 when the plan isn't sold in the currency, or a customer in India asks for a foreign one
+ */
+export const resolveCurrency = async ({ requested, user, plan, subscription }) => {
+  const explicit = requested ? String(requested).toUpperCase() : null;
+  if (explicit && !isSupportedCurrency(explicit)) throw new ApiError(`Unsupported currency: ${requested}`, 400);
+
+  const loadProfile = async () => (user?.billingProfile !== undefined
+    ? user.billingProfile
+    : (await User.findById(user?._id || user).select('billingProfile'))?.billingProfile);
+
+  let currency;
+  if (subscription) {
+    currency = subscription.currency || BASE_CURRENCY;
+    if (explicit && explicit !== currency) {
+      throw new ApiError(`This subscription is billed in ${currency}`, 400);
+    }
+  } else if (explicit) {
+    if (explicit !== BASE_CURRENCY) {
+      const country = (await loadProfile())?.country;
+      if (!country || country === 'IN') {
+        throw new ApiError(`Billing in ${explicit} requires a billing address outside India`, 400);
+      }
+    }
+    currency = explicit;
+  } else {
+    const profile = await loadProfile();
+    const local = currencyForCountry(profile?.country);
+    currency = local && priceIn(plan, local) != null ? local : BASE_CURRENCY;
+  }
+
+  const amount = priceIn(plan, currency);
+  if (amount == null) throw new ApiError(`This plan is not available in ${currency}`, 400);
+  return { currency, amount };
+};
+
+export default { resolveCurrency };
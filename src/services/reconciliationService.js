@@ -0,0 +1,312 @@
+// src/services/reconciliationService.js
+// Checks our Payment records against Razorpay. Catches payments left pending when neither the
+// client's /verify call nor the webhook arrived, and payments that were paid but never applied.
+import Payment from '../models/Payment.js';
+import { getRazorpay } from '../config/razorpay.js';
+import { fulfillPayment, STALE_CLAIM_MS } from './fulfillmentService.js';
+import { recordAudit } from './auditService.js';
+import logger from '../utils/logger.js';
+
+// Leave recent orders alone: the customer may still be in checkout, or verify/webhook in flight
+export const DEFAULT_STALE_MINUTES = 30;
+// How far back to look
+export const DEFAULT_LOOKBACK_DAYS = 7;
+// Orders with no payment attempt after this long are treated as abandoned
+export const ABANDONED_AFTER_HOURS = 24;
+const DEFAULT_LIMIT = 200;
+
+const MINUTE_MS = 60 * 1000;
+
+/*
+ * What Razorpay says about an order: its payments, the captured one (if any) and whether one is
+ * still authorized (Razorpay captures or auto-refunds those on its own).
+ */
+const fetchGatewayState = async (razorpay, razorpayOrderId) => {
+  const [order, collection] = await Promise.all([
+    razorpay.orders.fetch(razorpayOrderId),
+    razorpay.orders.fetchPayments(razorpayOrderId),
+  ]);
+  const payments = collection?.items || [];
+  const captured = payments.filter((p) => p.status === 'captured' || p.status === 'refunded');
+  return {
+    order,
+    payments,
+    captured,
+    authorized: payments.some((p) => p.status === 'authorized'),
+  };
+};
+
+const gatewayError = (err) => err?.error?.description || err?.message || String(err);
+
+// Differences between our record and the captured gateway payment
+const compareAmounts = (payment, entity) => {
+  const mismatches = [];
+  if (Number(entity.amount) !== payment.amount) {
+    mismatches.push({ type: 'amount_mismatch', expected: payment.amount, actual: Number(entity.amount) });
+  }
+  if (entity.currency && String(entity.currency).toUpperCase() !== (payment.currency || 'INR')) {
+    mismatches.push({ type: 'currency_mismatch', expected: payment.currency || 'INR', actual: entity.currency });
+  }
+  return mismatches;
+};
+
+const audit = (payment, changes, metadata, outcome = 'success') => recordAudit({
+  actorType: 'system',
+  action: 'payment.reconcile',
+  target: { type: 'Payment', id: payment._id, label: payment.receipt },
+  changes,
+  metadata,
+  outcome,
+});
+
+/*
+ * Decide (and, unless dryRun, apply) the outcome for one pending or failed payment.
+ * Returns { action, mismatches, detail }; action is 'complete' | 'fail' | 'none'.
+ */
+const reconcileOne = async (payment, { razorpay, dryRun, abandonedBefore }) => {
+  const state = await fetchGatewayState(razorpay, payment.razorpayOrderId);
+  const result = { action: 'none', mismatches: [], gatewayOrderStatus: state.order?.status };
+
+  if (state.captured.length > 1) {
+    result.mismatches.push({
+      type: 'multiple_captures',
+      actual: state.captured.map((p) => p.id),
+      detail: 'More than one captured payment for the order; refund the extra ones',
+    });
+  }
+
+  const entity = state.captured[0];
+  if (entity) {
+    result.razorpayPaymentId = entity.id;
+    result.mismatches.push(...compareAmounts(payment, entity));
+    // never apply a payment whose money doesn't match the order: needs a person
+    if (result.mismatches.some((m) => m.type !== 'multiple_captures')) {
+      result.detail = 'Captured at the gateway but does not match the order; not applied';
+      return result;
+    }
+
+    result.action = 'complete';
+    result.detail = 'Captured at the gateway';
+    if (dryRun) return result;
+
+    const statusBefore = payment.status;
+    let failed = false;
+    try {
+      const fulfilled = await fulfillPayment(payment, {
+        source: 'reconcile',
+        razorpayPaymentId: entity.id,
+        gatewayResponse: { reconciliation: entity },
+      });
+      result.detail = fulfilled.message;
+      result.subscriptionId = fulfilled.subscription?._id;
+    } catch (err) {
+      // money taken but a business rule refused it (or fulfillment broke): someone has to look
+      failed = true;
+      result.mismatches.push({ type: 'paid_not_fulfilled', actual: entity.id, detail: err?.message || String(err) });
+      result.detail = err?.message || String(err);
+    }
+    const after = await Payment.findById(payment._id).select('status');
+    await audit(
+      payment,
+      { before: { status: statusBefore }, after: { status: after?.status } },
+      { razorpayOrderId: payment.razorpayOrderId, razorpayPaymentId: entity.id, detail: result.detail },
+      failed ? 'failure' : 'success'
+    );
+    return result;
+  }
+
+  if (payment.status !== 'pending' || state.authorized) {
+    // already failed locally, or Razorpay will still capture / auto-refund the authorized payment
+    result.detail = state.authorized ? 'Payment authorized, awaiting capture' : 'No captured payment';
+    return result;
+  }
+
+  const attemptsFailed = state.payments.length > 0 && state.payments.every((p) => p.status === 'failed');
+  const abandoned = state.payments.length === 0 && payment.createdAt < abandonedBefore;
+  if (!attemptsFailed && !abandoned) {
+    result.detail = 'No payment attempt yet';
+    return result;
+  }
+
+  // 'failed' rather than 'cancelled' so a late capture can still complete it (reconciledAt stays
+  // unset, so later runs keep checking it for the rest of the lookback window)
+  const reason = attemptsFailed
+    ? `Reconciliation: ${state.payments[state.payments.length - 1].error_description || 'payment failed at gateway'}`
+    : 'Reconciliation: checkout abandoned';
+  result.action = 'fail';
+  result.detail = reason;
+  if (dryRun) return result;
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'failed', failureReason: reason } },
+    { new: true }
+  );
+  if (!updated) {
+    result.action = 'none';
+    result.detail = 'Payment changed while reconciling';
+    return result;
+  }
+  await audit(payment, { before: { status: 'pending' }, after: { status: 'failed' } }, { razorpayOrderId: payment.razorpayOrderId, reason });
+  return result;
+};
+
+/**
+ * Reconcile stale payments with Razorpay.
+ *
+ * - pending (or failed, in case a later attempt was captured) payments older than
+ *   `olderThanMinutes`: completed and fulfilled when the gateway captured the money, failed when
+ *   every attempt failed or checkout was abandoned
+ * - completed payments never applied to a subscription: fulfillment is retried
+ * - anything that can't be fixed automatically is reported as a mismatch
+ *
+ * @param {Object} [opts]
+ * @param {Boolean} [opts.dryRun=false] - report what would change without changing anything
+ * @param {Number} [opts.olderThanMinutes=30]
+ * @param {Number} [opts.lookbackDays=7]
+ * @param {Number} [opts.limit=200] - max payments per category
+ * @param {Object} [opts.razorpay] - client (defaults to the configured one)
+ * @returns {Promise<Object>} report: { dryRun, checked, completed, failed, fulfilled, unchanged, errors, mismatches, results }
+ */
+export const reconcilePayments = async ({
+  dryRun = false,
+  olderThanMinutes = DEFAULT_STALE_MINUTES,
+  lookbackDays = DEFAULT_LOOKBACK_DAYS,
+  limit = DEFAULT_LIMIT,
+  razorpay = getRazorpay(),
+} = {}) => {
+  const now = Date.now();
+  const staleBefore = new Date(now - olderThanMinutes * MINUTE_MS);
+  const since = new Date(now - lookbackDays * 24 * 60 * MINUTE_MS);
+  const abandonedBefore = new Date(now - ABANDONED_AFTER_HOURS * 60 * MINUTE_MS);
+
+  const report = {
+    dryRun,
+    startedAt: new Date(now),
+    window: { from: since, to: staleBefore },
+    checked: 0,
+    completed: 0,
+    failed: 0,
+    fulfilled: 0,
+    unchanged: 0,
+    errors: 0,
+    mismatches: [],
+    results: [],
+  };
+
+  const entry = (payment, extra) => ({
+    paymentId: payment._id,
+    receipt: payment.receipt,
+    razorpayOrderId: payment.razorpayOrderId,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    ...extra,
+  });
+
+  // Not applied yet: never claimed, or claimed by a worker that crashed (claimFulfillment takes those over)
+  const notApplied = {
+    $or: [
+      { fulfillmentStatus: { $in: ['unfulfilled', null] } },
+      { fulfillmentStatus: 'processing', fulfillmentClaimedAt: { $lt: new Date(now - STALE_CLAIM_MS) } },
+    ],
+  };
+
+  // 1) pending payments, and failed ones not checked yet (a later attempt may have been captured)
+  const open = await Payment.find({
+    $and: [
+      { $or: [{ status: 'pending' }, { status: 'failed', reconciledAt: null }] },
+      notApplied,
+    ],
+    razorpayOrderId: { $exists: true, $ne: null },
+    createdAt: { $gte: since, $lt: staleBefore },
+  })
+    .select('-webhookData -webhookEvents')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  for (const payment of open) {
+    report.checked += 1;
+    try {
+      const { mismatches, ...outcome } = await reconcileOne(payment, { razorpay, dryRun, abandonedBefore });
+      // payments failed by this run stay unmarked so a late capture is still found
+      if (!dryRun && outcome.action !== 'fail') {
+        await Payment.updateOne({ _id: payment._id }, { $set: { reconciledAt: new Date() } });
+      }
+      if (outcome.action === 'complete' && !mismatches.some((m) => m.type === 'paid_not_fulfilled')) report.completed += 1;
+      else if (outcome.action === 'fail') report.failed += 1;
+      else report.unchanged += 1;
+      mismatches.forEach((m) => report.mismatches.push(entry(payment, { razorpayPaymentId: outcome.razorpayPaymentId, ...m })));
+      // failed payments with nothing captured are the normal case; keep them out of the report
+      if (outcome.action !== 'none' || mismatches.length || payment.status === 'pending') {
+        report.results.push(entry(payment, outcome));
+      }
+    } catch (err) {
+      report.errors += 1;
+      const message = gatewayError(err);
+      if (err?.statusCode === 400) {
+        report.mismatches.push(entry(payment, { type: 'order_not_found', detail: message }));
+      }
+      report.results.push(entry(payment, { action: 'none', error: message }));
+      logger.warn('Reconciliation: payment check failed', { paymentId: payment._id.toString(), err: message });
+    }
+  }
+
+  // 2) paid but never applied: retry fulfillment, or report if a rule rejected it
+  const unfulfilled = await Payment.find({
+    $or: [
+      { status: { $in: ['completed', 'partially_refunded'] }, subscription: null, ...notApplied },
+      { status: 'failed', fulfillmentStatus: 'failed', $expr: { $lt: ['$refundedAmount', '$amount'] } },
+    ],
+    createdAt: { $gte: since, $lt: staleBefore },
+  })
+    .select('-webhookData -webhookEvents')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  for (const payment of unfulfilled) {
+    report.checked += 1;
+    if (payment.fulfillmentStatus === 'failed') {
+      report.unchanged += 1;
+      report.mismatches.push(entry(payment, {
+        type: 'paid_not_fulfilled',
+        razorpayPaymentId: payment.razorpayPaymentId,
+        detail: payment.failureReason || 'Fulfillment rejected after capture; refund or apply manually',
+      }));
+      continue;
+    }
+    if (dryRun) {
+      report.results.push(entry(payment, { action: 'fulfill' }));
+      continue;
+    }
+    try {
+      const fulfilled = await fulfillPayment(payment, { source: 'reconcile' });
+      report.fulfilled += 1;
+      report.results.push(entry(payment, { action: 'fulfill', detail: fulfilled.message, subscriptionId: fulfilled.subscription?._id }));
+      await audit(payment, undefined, { fulfilled: true, detail: fulfilled.message });
+    } catch (err) {
+      report.errors += 1;
+      report.mismatches.push(entry(payment, {
+        type: 'paid_not_fulfilled',
+        razorpayPaymentId: payment.razorpayPaymentId,
+        detail: err?.message || String(err),
+      }));
+    }
+  }
+
+  report.finishedAt = new Date();
+  const summary = {
+    dryRun,
+    checked: report.checked,
+    completed: report.completed,
+    failed: report.failed,
+    fulfilled: report.fulfilled,
+    errors: report.errors,
+    mismatches: report.mismatches.length,
+  };
+  if (report.mismatches.length) logger.warn('Payment reconciliation found mismatches', { ...summary, details: report.mismatches });
+  else logger.info('Payment reconciliation finished', summary);
+  return report;
+};
+
+export default { reconcilePayments };
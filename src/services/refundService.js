@@ -0,0 +1,407 @@
+// src/services/refundService.js
+import mongoose from 'mongoose';
+import { getRazorpay } from '../config/razorpay.js';
+import Payment from '../models/Payment.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { disableAutoRenew } from './autoRenewService.js';
+import { generateInvoicePdfBuffer } from '../utils/pdfGenerator.js';
+import { sendInvoiceEmail } from '../utils/emailService.js';
+import { calculateGst, grossAmount, zeroRatedExport } from '../utils/tax.js';
+import { BASE_CURRENCY, formatMoney, priceIn } from '../utils/currency.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Completed payments, and money captured at the gateway that fulfillment then rejected
+// (status failed, fulfillmentStatus failed): that money has to go back to the customer
+const refundableFilter = () => ({
+  $or: [
+    { status: { $in: REFUNDABLE_STATUSES } },
+    { status: 'failed', fulfillmentStatus: 'failed', razorpayPaymentId: { $exists: true, $ne: null } },
+  ],
+});
+
+const isRefundable = (payment) => REFUNDABLE_STATUSES.includes(payment.status)
+  || (payment.status === 'failed' && payment.fulfillmentStatus === 'failed' && Boolean(payment.razorpayPaymentId));
+
+/**
+ * Cancel or shorten the subscription a refunded payment paid for.
+ * 'shorten' removes the share of the period the refund covers; if that leaves nothing, it cancels.
+ */
+const applySubscriptionAction = async (payment, refund) => {
+  if (!refund.subscriptionAction || refund.subscriptionAction === 'none' || !payment.subscription) return null;
+
+  const sub = await Subscription.findById(payment.subscription);
+  if (!sub || !['active', 'past_due', 'paused'].includes(sub.status)) return null;
+
+  const now = new Date();
+  let cancel = refund.subscriptionAction === 'cancel';
+
+  if (refund.subscriptionAction === 'shorten') {
+    const periodDays = sub.planSnapshot?.duration || 30;
+    const removeDays = Math.round((periodDays * refund.amount) / payment.amount);
+    sub.endDate = new Date(new Date(sub.endDate).getTime() - removeDays * DAY_MS);
+    if (sub.endDate <= now) cancel = true;
+  }
+
+  if (cancel) {
+    if (sub.autoRenew) {
+      try {
+        await disableAutoRenew(sub);
+      } catch (err) {
+        logger.warn('Refund: failed to disable auto-renew', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      }
+    }
+    sub.endDate = now;
+    await sub.cancel(`Refunded: ${refund.reason || 'payment refunded'}`);
+  } else {
+    await sub.save();
+  }
+
+  logger.info('Refund: subscription adjusted', {
+    subscriptionId: sub._id.toString(),
+    action: refund.subscriptionAction,
+    cancelled: cancel,
+    endDate: sub.endDate.toISOString(),
+  });
+  return sub;
+};
+
+/**
+ * Email the user a credit note PDF for a processed refund (best-effort, never throws).
+ */
+const sendCreditNote = async (payment, refund) => {
+  try {
+    const user = await User.findById(payment.user).select('name email emailVerified');
+    if (!user?.emailVerified) {
+      logger.warn('No verified recipient email for credit note', { paymentId: payment._id.toString() });
+      return;
+    }
+    await payment.populate('plan');
+
+    const pdf = await generateInvoicePdfBuffer({
+      title: 'Credit Note',
+      numberLabel: 'Credit Note No',
+      invoiceNumber: refund.creditNoteNumber,
+      reference: `Against invoice: ${payment.invoiceNumber || payment.receipt}`,
+      date: (refund.processedAt || new Date()).toISOString(),
+      user: { name: user.name, email: user.email },
+      items: [
+        {
+          description: `Refund: ${payment.plan?.name || 'Subscription'}${refund.reason ? ` (${refund.reason})` : ''}`,
+          qty: 1,
+          unitAmountPaise: -refund.amount,
+        },
+      ],
+      amount: -refund.amount,
+      currency: payment.currency,
+      // GST reversed on the refunded amount, same place of supply as the original invoice
+      tax: payment.tax && payment.tax.rate != null
+        ? {
+          ...(payment.tax.supplyType === 'export' ? zeroRatedExport(refund.amount) : calculateGst({
+            amount: refund.amount,
+            taxInclusive: true,
+            rate: payment.tax.rate,
+            sellerStateCode: payment.tax.supplyType === 'intra_state' ? payment.tax.placeOfSupply : null,
+            placeOfSupply: payment.tax.placeOfSupply,
+          })),
+          sacCode: payment.tax.sacCode,
+        }
+        : null,
+      billedTo: payment.tax?.billedTo?.legalName ? payment.tax.billedTo : null,
+      footer: 'The refunded amount will reach your original payment method in 5-7 working days.',
+    });
+
+    await sendInvoiceEmail({
+      to: user.email,
+      invoiceBuffer: pdf,
+      invoiceName: `${refund.creditNoteNumber.replace(/\//g, '-')}.pdf`,
+      subject: `Refund processed — ${refund.creditNoteNumber}`,
+      text: `Hi ${user.name || 'Customer'},\n\nWe have refunded ${formatMoney(refund.amount, payment.currency)} for invoice ${payment.invoiceNumber || payment.receipt}. The credit note is attached.\n\nBest regards,\nThe Prydan Team`,
+    });
+  } catch (err) {
+    logger.warn('Failed to send credit note (best-effort)', { paymentId: payment._id.toString(), err: err?.message || err });
+  }
+};
+
+/**
+ * Refund moved to processed: update payment status, then subscription and credit note.
+ * The status transition is a conditional update so webhook retries / the instant-refund
+ * path and the webhook can't both run the side effects.
+ */
+const completeRefund = async (paymentId, refundSubId, razorpayRefundId) => {
+  const processedAt = new Date();
+  const res = await Payment.updateOne(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundSubId, status: 'pending' } } },
+    {
+      $set: {
+        'refunds.$.status': 'processed',
+        'refunds.$.processedAt': processedAt,
+        'refunds.$.razorpayRefundId': razorpayRefundId,
+      },
+    }
+  );
+  if (res.modifiedCount === 0) return { handled: true, duplicate: true };
+
+  const payment = await Payment.findById(paymentId);
+  const refund = payment.refunds.id(refundSubId);
+  const index = payment.refunds.indexOf(refund) + 1;
+  refund.creditNoteNumber = refund.creditNoteNumber || `CN-${payment.invoiceNumber || payment.receipt}-${index}`;
+  payment.syncRefundStatus();
+  await payment.save();
+
+  logger.info('Refund processed', {
+    paymentId: payment._id.toString(),
+    razorpayRefundId,
+    amount: refund.amount,
+    paymentStatus: payment.status,
+  });
+
+  await applySubscriptionAction(payment, refund);
+  if (refund.notifyUser) void sendCreditNote(payment, refund);
+
+  return { handled: true, payment, refund };
+};
+
+/**
+ * Refund a completed payment (fully or partially) through Razorpay. A payment captured and then
+ * rejected by fulfillment can be refunded too.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} opts
+ * @param {Number} [opts.amount] - paise; defaults to everything still refundable
+ * @param {String} opts.reason
+ * @param {String} [opts.subscriptionAction] - 'none' | 'cancel' | 'shorten' (applied once processed)
+ * @param {Boolean} [opts.notifyUser] - email a credit note once processed
+ * @param {ObjectId} [opts.initiatedBy] - admin user
+ * @returns {Promise<{ payment, refund }>}
+ */
+export const initiateRefund = async (payment, { amount, reason, subscriptionAction = 'none', notifyUser = true, initiatedBy } = {}) => {
+  if (!isRefundable(payment)) {
+    throw new ApiError(`Only completed (or captured but not applied) payments can be refunded (status: ${payment.status})`, 400);
+  }
+  if (!payment.razorpayPaymentId) {
+    throw new ApiError('Payment has no gateway payment id to refund', 400);
+  }
+
+  const refundAmount = amount != null ? Number(amount) : payment.refundableAmount;
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+    throw new ApiError('Nothing left to refund on this payment', 400);
+  }
+  if (refundAmount > payment.refundableAmount) {
+    throw new ApiError(`Refund amount exceeds the refundable amount (${payment.refundableAmount} paise)`, 400);
+  }
+
+  // Reserve the amount atomically so concurrent refunds can't exceed what was paid
+  const refundSubId = new mongoose.Types.ObjectId();
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      ...refundableFilter(),
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, '$amount'] },
+    },
+    {
+      $inc: { refundedAmount: refundAmount },
+      $push: {
+        refunds: { _id: refundSubId, amount: refundAmount, reason, status: 'pending', subscriptionAction, notifyUser, initiatedBy },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) throw new ApiError('Refund amount exceeds the refundable amount', 409);
+
+  let rpRefund;
+  try {
+    rpRefund = await getRazorpay().payments.refund(payment.razorpayPaymentId, {
+      amount: refundAmount,
+      // refundId lets the webhook find this entry even if it arrives before we store the gateway id
+      notes: { paymentId: String(payment._id), refundId: String(refundSubId), reason },
+    });
+  } catch (err) {
+    const message = err?.error?.description || err?.message || 'Gateway refund failed';
+    logger.error('Razorpay refund error', { paymentId: payment._id.toString(), err: message });
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refundSubId },
+      {
+        $inc: { refundedAmount: -refundAmount },
+        $set: { 'refunds.$.status': 'failed', 'refunds.$.failureReason': message },
+      }
+    );
+    throw new ApiError(`Refund failed: ${message}`, 502);
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, 'refunds._id': refundSubId },
+    { $set: { 'refunds.$.razorpayRefundId': rpRefund.id } }
+  );
+
+  logger.info('Refund initiated', {
+    paymentId: payment._id.toString(),
+    razorpayRefundId: rpRefund.id,
+    amount: refundAmount,
+    status: rpRefund.status,
+  });
+
+  // Instant refunds come back processed; normal ones are completed by the refund.processed webhook
+  if (rpRefund.status === 'processed') {
+    await completeRefund(payment._id, refundSubId, rpRefund.id);
+  }
+
+  const updated = await Payment.findById(payment._id);
+  return { payment: updated, refund: updated.refunds.id(refundSubId) };
+};
+
+// What one full period of the subscription's plan is charged at (tax included), from its snapshot
+const periodPrice = (sub, latest) => {
+  const price = priceIn(sub.planSnapshot, sub.currency || BASE_CURRENCY);
+  if (price == null) return latest.amount;
+  if (latest.tax?.supplyType === 'export' || latest.tax?.rate == null) return price;
+  return grossAmount(price, sub.planSnapshot.taxInclusive !== false, latest.tax.rate);
+};
+
+/**
+ * Prorated refund for the unused part of a subscription that is being cancelled immediately.
+ *
+ * The unused time (paused time counts as unused) is priced at the plan snapshot's daily rate and
+ * refunded from the payments that paid for it. Periods stack from the newest payment back: each
+ * covers one plan period (plus any upgrade bonus days) ending where the next one starts, and
+ * refunds the unused share of its slice, never more than is still refundable on it.
+ *
+ * Throws if the first refund fails (nothing was refunded); a later failure is logged and the
+ * refunds already made are returned.
+ *
+ * @returns {Promise<{ amount: Number, refunds: Array<{ payment, refund }> }|null>} null if nothing is due
+ */
+export const refundUnusedTime = async (sub, { reason, initiatedBy, now = new Date() } = {}) => {
+  const payments = await Payment.find({
+    subscription: sub._id,
+    status: { $in: REFUNDABLE_STATUSES },
+    razorpayPaymentId: { $exists: true, $ne: null },
+  }).sort({ completedAt: -1, _id: -1 });
+  if (!payments.length) return null;
+
+  const periodDays = sub.planSnapshot?.duration || 30;
+  const dailyRate = periodPrice(sub, payments[0]) / periodDays;
+  const from = sub.status === 'paused' && sub.pausedAt ? new Date(sub.pausedAt) : now;
+
+  const result = { amount: 0, refunds: [] };
+  let sliceEnd = new Date(sub.endDate).getTime();
+  for (const payment of payments) {
+    if (sliceEnd <= from.getTime()) break;
+    const sliceStart = sliceEnd - (periodDays + (payment.proration?.bonusDays || 0)) * DAY_MS;
+    const unusedDays = (sliceEnd - Math.max(sliceStart, from.getTime())) / DAY_MS;
+    sliceEnd = sliceStart;
+
+    const amount = Math.min(payment.refundableAmount, Math.floor(dailyRate * unusedDays));
+    if (amount <= 0) continue;
+
+    try {
+      const refunded = await initiateRefund(payment, { amount, reason, subscriptionAction: 'none', notifyUser: true, initiatedBy });
+      result.refunds.push(refunded);
+      result.amount += refunded.refund.amount;
+    } catch (err) {
+      if (!result.refunds.length) throw err;
+      logger.error('Unused-time refund incomplete', {
+        subscriptionId: sub._id.toString(),
+        paymentId: payment._id.toString(),
+        refunded: result.amount,
+        err: err?.message || err,
+      });
+      break;
+    }
+  }
+
+  return result.refunds.length ? result : null;
+};
+
+/**
+ * Find the Payment and refund entry a gateway refund entity refers to
+ */
+const findRefund = async (refundEntity) => {
+  let payment = await Payment.findByRazorpayRefundId(refundEntity.id);
+  if (!payment && refundEntity.payment_id) payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+  if (!payment) return { payment: null, refund: null };
+
+  const localId = refundEntity.notes && refundEntity.notes.refundId;
+  const refund = payment.refunds.find((r) => r.razorpayRefundId === refundEntity.id)
+    || (localId && mongoose.Types.ObjectId.isValid(localId) ? payment.refunds.id(localId) : null);
+  return { payment, refund };
+};
+
+/**
+ * refund.processed webhook. Refunds issued from the Razorpay dashboard are recorded here too.
+ */
+export const handleRefundProcessed = async (refundEntity) => {
+  if (!refundEntity || !refundEntity.id) return { handled: false };
+  const { payment, refund } = await findRefund(refundEntity);
+  if (!payment) {
+    logger.warn('refund.processed for unknown payment', { razorpayRefundId: refundEntity.id, razorpayPaymentId: refundEntity.payment_id });
+    return { handled: false };
+  }
+
+  if (refund) {
+    if (refund.status === 'failed') {
+      // reported failed earlier, then processed: take the amount back into refundedAmount
+      await Payment.updateOne(
+        { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'failed' } } },
+        { $inc: { refundedAmount: refund.amount }, $set: { 'refunds.$.status': 'pending' } }
+      );
+    }
+    return completeRefund(payment._id, refund._id, refundEntity.id);
+  }
+
+  // Not initiated through this API (e.g. Razorpay dashboard): record it
+  const refundSubId = new mongoose.Types.ObjectId();
+  const added = await Payment.updateOne(
+    { _id: payment._id, 'refunds.razorpayRefundId': { $ne: refundEntity.id } },
+    {
+      $inc: { refundedAmount: Number(refundEntity.amount) },
+      $push: {
+        refunds: {
+          _id: refundSubId,
+          razorpayRefundId: refundEntity.id,
+          amount: Number(refundEntity.amount),
+          reason: (refundEntity.notes && refundEntity.notes.reason) || 'Refunded via Razorpay dashboard',
+          status: 'pending',
+          notifyUser: false,
+        },
+      },
+    }
+  );
+  if (added.modifiedCount === 0) return { handled: true, duplicate: true };
+  return completeRefund(payment._id, refundSubId, refundEntity.id);
+};
+
+/**
+ * refund.failed webhook: release the reserved amount so it can be refunded again.
+ */
+export const handleRefundFailed = async (refundEntity) => {
+  if (!refundEntity || !refundEntity.id) return { handled: false };
+  const { payment, refund } = await findRefund(refundEntity);
+  if (!payment || !refund) {
+    logger.warn('refund.failed for unknown refund', { razorpayRefundId: refundEntity.id });
+    return { handled: false };
+  }
+
+  const res = await Payment.updateOne(
+    { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+    {
+      $inc: { refundedAmount: -refund.amount },
+      $set: {
+        'refunds.$.status': 'failed',
+        'refunds.$.razorpayRefundId': refundEntity.id,
+        'refunds.$.failureReason': refundEntity.error_description || 'Refund failed at gateway',
+      },
+    }
+  );
+  if (res.modifiedCount === 0) return { handled: true, duplicate: true };
+
+  logger.warn('Refund failed', { paymentId: payment._id.toString(), razorpayRefundId: refundEntity.id });
+  return { handled: true, payment };
+};
+
+export default { initiateRefund, refundUnusedTime, handleRefundProcessed, handleRefundFailed };
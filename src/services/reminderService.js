@@ -0,0 +1,363 @@
+// src/services/reminderService.js
+// Expiry emails sent by the daily cron: reminders ahead of endDate, dunning emails during the
+// grace period, trial-ending reminders and a notice once expired.
+import Subscription from '../models/Subscription.js';
+import { sendEmail } from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expired notices older than this are not sent (e.g. email was down for a long time)
+const EXPIRED_NOTICE_WINDOW_MS = 7 * DAY_MS;
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const renewUrlFor = (sub) => `${getFrontendUrl()}/subscriptions/${sub._id}/renew`;
+
+// Trials convert with a normal purchase of the plan
+const checkoutUrlFor = (sub) => `${getFrontendUrl()}/checkout/${sub.plan?._id || sub.plan}`;
+
+// Started as a trial and never paid
+const isUnconvertedTrial = (sub) => Boolean(sub.trialStartedAt) && !sub.trialConvertedAt;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium' });
+
+// "7,3,1" -> [7, 3, 1]; invalid entries are dropped
+const parseDayList = (raw, { allowZero = false } = {}) => {
+  const days = String(raw)
+    .split(',')
+    .filter((d) => d.trim() !== '')
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && (allowZero ? d >= 0 : d > 0));
+  return [...new Set(days)];
+};
+
+/**
+ * Lead times in days, largest first. EXPIRY_REMINDER_DAYS="7,3,1" (default); empty disables reminders.
+ */
+export const getReminderLeadDays = () => parseDayList(process.env.EXPIRY_REMINDER_DAYS ?? '7,3,1').sort((a, b) => b - a);
+
+/**
+ * Days after endDate on which dunning emails go out during the grace period, smallest first.
+ * DUNNING_EMAIL_DAYS="0,3,6" (default); days at or beyond the plan's grace period are never reached.
+ */
+export const getDunningDays = () => parseDayList(process.env.DUNNING_EMAIL_DAYS ?? '0,3,6', { allowZero: true }).sort((a, b) => a - b);
+
+/**
+ * Days before a trial ends that its reminder goes out. TRIAL_REMINDER_DAYS=2 (default); 0 disables it.
+ */
+export const getTrialReminderDays = () => {
+  const days = Number(process.env.TRIAL_REMINDER_DAYS ?? 2);
+  return Number.isInteger(days) && days > 0 ? days : 0;
+};
+
+/**
+ * The reminder due for a subscription with `daysLeft` days to go: the smallest lead time that
+ * has been reached. A subscription bought 2 days before expiry only gets the 3-day one, not 7 and 3.
+ */
+export const dueLeadDays = (daysLeft, leadDays) => {
+  const reached = leadDays.filter((d) => daysLeft <= d);
+  return reached.length ? Math.min(...reached) : null;
+};
+
+const verifiedEmail = (user) => (user && user.emailVerified ? user.email : '');
+
+const sendReminderEmail = (sub, to, daysLeft) => {
+  const planName = sub.planSnapshot?.name || sub.plan?.name || 'Subscription';
+  const when = daysLeft <= 1 ? 'tomorrow' : `in ${daysLeft} days`;
+  return sendEmail({
+    to,
+    subject: `Your ${planName} subscription expires ${when}`,
+    text: [
+      `Hi ${sub.user?.name || 'Customer'},`,
+      '',
+      `Your ${planName} subscription expires ${when}, on ${formatDate(sub.endDate)}.`,
+      'Renew now to keep access without interruption:',
+      renewUrlFor(sub),
+      '',
+      'Best regards',
+      'The Prydan Team',
+    ].join('\n'),
+  });
+};
+
+const sendDunningEmail = (sub, to) => {
+  const planName = sub.planSnapshot?.name || sub.plan?.name || 'Subscription';
+  return sendEmail({
+    to,
+    subject: `Action needed: renew your ${planName} subscription`,
+    text: [
+      `Hi ${sub.user?.name || 'Customer'},`,
+      '',
+      `Your ${planName} subscription ended on ${formatDate(sub.endDate)} and has not been renewed.`,
+      `You still have access until ${formatDate(sub.graceEndsAt)}. After that your subscription expires.`,
+      `Renew now to keep access; the new period continues from ${formatDate(sub.endDate)}:`,
+      renewUrlFor(sub),
+      '',
+      'Best regards',
+      'The Prydan Team',
+    ].join('\n'),
+  });
+};
+
+const sendTrialEndingEmail = (sub, to, daysLeft) => {
+  const planName = sub.planSnapshot?.name || sub.plan?.name || 'Subscription';
+  const when = daysLeft <= 1 ? 'tomorrow' : `in ${daysLeft} days`;
+  return sendEmail({
+    to,
+    subject: `Your ${planName} trial ends ${when}`,
+    text: [
+      `Hi ${sub.user?.name || 'Customer'},`,
+      '',
+      `Your free ${planName} trial ends ${when}, on ${formatDate(sub.endDate)}.`,
+      'Subscribe before then to keep access; your paid period starts when the trial ends:',
+      checkoutUrlFor(sub),
+      '',
+      'Best regards',
+      'The Prydan Team',
+    ].join('\n'),
+  });
+};
+
+const sendExpiredEmail = (sub, to) => {
+  const planName = sub.planSnapshot?.name || sub.plan?.name || 'Subscription';
+  if (isUnconvertedTrial(sub)) {
+    return sendEmail({
+      to,
+      subject: `Your ${planName} trial has ended`,
+      text: [
+        `Hi ${sub.user?.name || 'Customer'},`,
+        '',
+        `Your free ${planName} trial ended on ${formatDate(sub.endDate)}.`,
+        'Subscribe any time to pick up where you left off:',
+        checkoutUrlFor(sub),
+        '',
+        'Best regards',
+        'The Prydan Team',
+      ].join('\n'),
+    });
+  }
+  return sendEmail({
+    to,
+    subject: `Your ${planName} subscription has expired`,
+    text: [
+      `Hi ${sub.user?.name || 'Customer'},`,
+      '',
+      `Your ${planName} subscription expired on ${formatDate(sub.endDate)}.`,
+      'You can renew it any time here:',
+      renewUrlFor(sub),
+      '',
+      'Best regards',
+      'The Prydan Team',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Email users whose subscription ends within one of the configured lead times.
+ * Each (endDate, lead time) is claimed atomically in remindersSent before sending, so reruns
+ * and concurrent runs send it once; a failed send releases the claim for the next run.
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const leadDays = getReminderLeadDays();
+  const result = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  if (!leadDays.length) return result;
+
+  const expiring = await Subscription.findExpiringSoon(leadDays[0]);
+  for (const sub of expiring) {
+    result.checked += 1;
+
+    // auto-renewing subscriptions are charged by the gateway; scheduled downgrades move to the new plan;
+    // a scheduled cancellation means the user already chose not to renew
+    if (sub.autoRenew || sub.pendingChange?.plan || sub.cancelAtPeriodEnd) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const daysLeft = Math.max(1, Math.ceil((new Date(sub.endDate) - now) / DAY_MS));
+    const lead = dueLeadDays(daysLeft, leadDays);
+    const to = verifiedEmail(sub.user);
+    if (!lead || !to) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const entry = { leadDays: lead, endDate: sub.endDate, sentAt: new Date() };
+    const claim = await Subscription.updateOne(
+      {
+        _id: sub._id,
+        status: 'active',
+        endDate: sub.endDate,
+        // a reminder at this or a shorter lead time for this period means nothing is due
+        remindersSent: { $not: { $elemMatch: { endDate: sub.endDate, leadDays: { $lte: lead } } } },
+      },
+      { $push: { remindersSent: { $each: [entry], $slice: -20 } } }
+    );
+    if (claim.modifiedCount === 0) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendReminderEmail(sub, to, daysLeft);
+      result.sent += 1;
+    } catch (err) {
+      await Subscription.updateOne({ _id: sub._id }, { $pull: { remindersSent: { endDate: sub.endDate, leadDays: lead } } });
+      logger.warn('Expiry reminder failed', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Dunning: email past_due subscribers on the configured days of their grace period.
+ * Claimed per (endDate, day) in dunningEmailsSent like the expiry reminders; if the cron missed
+ * a day only the latest due email goes out.
+ */
+export const sendDunningEmails = async (now = new Date()) => {
+  const days = getDunningDays();
+  const result = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  if (!days.length) return result;
+
+  const pastDue = await Subscription.find({ status: 'past_due', graceEndsAt: { $gt: now } }).populate('user plan');
+  for (const sub of pastDue) {
+    result.checked += 1;
+
+    const daysSinceEnd = Math.floor((now - new Date(sub.endDate)) / DAY_MS);
+    const reached = days.filter((d) => d <= daysSinceEnd);
+    const day = reached.length ? reached[reached.length - 1] : null;
+    const to = verifiedEmail(sub.user);
+    if (day === null || !to) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const entry = { day, endDate: sub.endDate, sentAt: new Date() };
+    const claim = await Subscription.updateOne(
+      {
+        _id: sub._id,
+        status: 'past_due',
+        endDate: sub.endDate,
+        dunningEmailsSent: { $not: { $elemMatch: { endDate: sub.endDate, day: { $gte: day } } } },
+      },
+      { $push: { dunningEmailsSent: { $each: [entry], $slice: -20 } } }
+    );
+    if (claim.modifiedCount === 0) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendDunningEmail(sub, to);
+      result.sent += 1;
+    } catch (err) {
+      await Subscription.updateOne({ _id: sub._id }, { $pull: { dunningEmailsSent: { endDate: sub.endDate, day } } });
+      logger.warn('Dunning email failed', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Email users whose free trial ends within TRIAL_REMINDER_DAYS. Sent once per trial
+ * (trialReminderSentAt is claimed before sending and released if the send fails).
+ */
+export const sendTrialEndingReminders = async (now = new Date()) => {
+  const leadDays = getTrialReminderDays();
+  const result = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  if (!leadDays) return result;
+
+  const ending = await Subscription.find({
+    status: 'trialing',
+    endDate: { $gt: now, $lte: new Date(now.getTime() + leadDays * DAY_MS) },
+    trialReminderSentAt: null,
+  }).populate('user plan');
+
+  for (const sub of ending) {
+    result.checked += 1;
+
+    const to = verifiedEmail(sub.user);
+    if (!to) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: sub._id, status: 'trialing', trialReminderSentAt: null },
+      { $set: { trialReminderSentAt: new Date() } }
+    );
+    if (!claimed) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendTrialEndingEmail(sub, to, Math.max(1, Math.ceil((new Date(sub.endDate) - now) / DAY_MS)));
+      result.sent += 1;
+    } catch (err) {
+      await Subscription.updateOne({ _id: sub._id }, { $unset: { trialReminderSentAt: 1 } });
+      logger.warn('Trial reminder failed', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Email users whose subscription the cron just expired (status 'expired' with expiredAt set).
+ */
+export const sendExpiredNotifications = async (now = new Date()) => {
+  const result = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+
+  const expired = await Subscription.find({
+    status: 'expired',
+    expiredAt: { $gte: new Date(now.getTime() - EXPIRED_NOTICE_WINDOW_MS) },
+    expiryNotifiedAt: null,
+  }).populate('user plan');
+
+  for (const sub of expired) {
+    result.checked += 1;
+
+    const to = verifiedEmail(sub.user);
+    if (!to) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: sub._id, status: 'expired', expiryNotifiedAt: null },
+      { $set: { expiryNotifiedAt: new Date() } }
+    );
+    if (!claimed) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendExpiredEmail(sub, to);
+      result.sent += 1;
+    } catch (err) {
+      await Subscription.updateOne({ _id: sub._id }, { $unset: { expiryNotifiedAt: 1 } });
+      logger.warn('Expiry notification failed', { subscriptionId: sub._id.toString(), err: err?.message || err });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+export default {
+  getReminderLeadDays,
+  getDunningDays,
+  getTrialReminderDays,
+  dueLeadDays,
+  sendExpiryReminders,
+  sendDunningEmails,
+  sendTrialEndingReminders,
+  sendExpiredNotifications,
+};
@@ -0,0 +1,123 @@
+// src/services/storageService.js
+// File storage behind a small interface so generated documents (invoices) can live on local
+// disk (default) or any S3-compatible bucket. Pick with STORAGE_DRIVER=local|s3; s3 needs
+// @aws-sdk/client-s3, an optional peer dependency that is not installed by default.
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/* ---------- local disk ---------- */
+
+const localRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+// Keys are relative paths; refuse anything that would escape the storage root
+const localPath = (key) => {
+  const root = localRoot();
+  const full = path.resolve(root, key);
+  if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+};
+
+const localDriver = {
+  name: 'local',
+  async put(key, buffer) {
+    const full = localPath(key);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    // write to a temp file first so a crash never leaves a half-written PDF behind
+    const tmp = `${full}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, full);
+    return { key };
+  },
+  async get(key) {
+    try {
+      return await fs.readFile(localPath(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+  async remove(key) {
+    await fs.rm(localPath(key), { force: true });
+  },
+};
+
+/* ---------- S3-compatible (AWS, R2, MinIO, ...) ---------- */
+
+let s3Client = null;
+
+const loadS3 = async () => {
+  try {
+    return await import('@aws-sdk/client-s3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=s3 needs @aws-sdk/client-s3, which is not installed by default (npm install @aws-sdk/client-s3)');
+  }
+};
+
+const getS3 = async () => {
+  const sdk = await loadS3();
+  if (!s3Client) {
+    if (!process.env.S3_BUCKET) throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    s3Client = new sdk.S3Client({
+      region: process.env.S3_REGION || 'auto',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return { sdk, client: s3Client, bucket: process.env.S3_BUCKET };
+};
+
+const s3Driver = {
+  name: 's3',
+  async put(key, buffer, { contentType } = {}) {
+    const { sdk, client, bucket } = await getS3();
+    await client.send(new sdk.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    return { key };
+  },
+  async get(key) {
+    const { sdk, client, bucket } = await getS3();
+    try {
+      const res = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await res.Body.transformToByteArray());
+    } catch (err) {
+      if (err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  },
+  async remove(key) {
+    const { sdk, client, bucket } = await getS3();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+};
+
+const DRIVERS = { local: localDriver, s3: s3Driver };
+
+// Read lazily: server.js loads .env after the modules are imported
+const getDriver = () => {
+  const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  const driver = DRIVERS[name];
+  if (!driver) throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  return driver;
+};
+
+/**
+ * Store a file. Returns { key, driver }.
+ */
+export const saveFile = async (key, buffer, { contentType } = {}) => {
+  const driver = getDriver();
+  await driver.put(key, buffer, { contentType });
+  logger.info('File stored', { key, driver: driver.name, bytes: buffer.length });
+  return { key, driver: driver.name };
+};
+
+/**
+ * Read a stored file; null when it doesn't exist.
+ */
+export const readFile = (key) => getDriver().get(key);
+
+export const deleteFile = (key) => getDriver().remove(key);
+
+export default { saveFile, readFile, deleteFile };
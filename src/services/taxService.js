@@ -0,0 +1,43 @@
+// src/services/taxService.js
+import User from '../models/User.js';
+import { getSellerDetails, getSellerStateCode } from '../config/seller.js';
+import { calculateGst, placeOfSupplyFor, zeroRatedExport } from '../utils/tax.js';
+
+/**
+ * GST for a charge to a user, in the shape stored on Payment.tax.
+ * Customers whose billing country is outside India are exports: zero-rated, charged `amount` as-is.
+ * Export status depends only on where the customer is; a foreign-currency charge to a customer in
+ * India is taxed like any other.
+ *
+ * @param {Object} params
+ * @param {Object|ObjectId} params.user - user document (with billingProfile) or id
+ * @param {Number} params.amount - minor units; gross when taxInclusive, net otherwise
+ * @param {Boolean} [params.taxInclusive=true]
+ * @returns {Promise<Object>} Payment.tax; `total` is what to charge
+ */
+export const computeTax = async ({ user, amount, taxInclusive = true }) => {
+  const doc = user && typeof user.toObject === 'function' ? user : await User.findById(user).select('billingProfile');
+  const billingProfile = doc ? doc.toObject().billingProfile : null;
+  const hasProfile = Boolean(billingProfile && (billingProfile.legalName || billingProfile.gstin || billingProfile.stateCode));
+
+  const seller = getSellerDetails();
+  const isExport = Boolean(billingProfile?.country && billingProfile.country !== 'IN');
+  const sellerStateCode = isExport ? '' : getSellerStateCode();
+  const gst = isExport
+    ? zeroRatedExport(amount)
+    : calculateGst({
+      amount,
+      taxInclusive: taxInclusive !== false,
+      sellerStateCode,
+      placeOfSupply: placeOfSupplyFor(billingProfile, sellerStateCode),
+    });
+
+  return {
+    ...gst,
+    sacCode: seller.sacCode,
+    sellerGstin: seller.gstin || undefined,
+    billedTo: hasProfile ? billingProfile : undefined,
+  };
+};
+
+export default { computeTax };
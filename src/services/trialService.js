@@ -0,0 +1,63 @@
+// src/services/trialService.js
+// Free trials: a `trialing` subscription without a Payment. It converts through the normal
+// purchase flow (create-order / verify), see fulfillmentService.purchase.
+import Subscription from '../models/Subscription.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Email address used for the one-trial-per-email rule: lowercased, without a "+tag"
+ * (name+1@example.com and name@example.com are the same inbox).
+ */
+export const normalizeTrialEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+/**
+ * Start a free trial of `plan` for `user`. One trial per user and per email address, ever;
+ * the unique trialEmail index on Subscription enforces it under concurrent requests.
+ */
+export const startTrial = async (user, plan) => {
+  if (!plan || !plan.isActive) throw new ApiError('This plan is no longer available', 400);
+  if (!plan.trialDays) throw new ApiError('This plan does not offer a free trial', 400);
+
+  // the email rule only means something for addresses the user owns
+  if (!user.emailVerified) throw new ApiError('Please verify your email address before starting a trial', 403);
+
+  const trialEmail = normalizeTrialEmail(user.email);
+  const used = await Subscription.exists({ $or: [{ user: user._id, trialStartedAt: { $exists: true } }, { trialEmail }] });
+  if (used) throw new ApiError('A free trial has already been used for this account', 400);
+
+  const existing = await Subscription.findOne({ user: user._id, ...Subscription.entitledFilter() });
+  if (existing) throw new ApiError('You already have an active subscription', 400);
+
+  const now = new Date();
+  let subscription;
+  try {
+    subscription = await Subscription.create({
+      user: user._id,
+      plan: plan._id,
+      status: 'trialing',
+      startDate: now,
+      endDate: new Date(now.getTime() + plan.trialDays * DAY_MS),
+      trialStartedAt: now,
+      trialEmail,
+    });
+  } catch (err) {
+    if (err && err.code === 11000) throw new ApiError('A free trial has already been used for this account', 400);
+    throw err;
+  }
+
+  logger.info('Trial started', {
+    subscriptionId: subscription._id.toString(),
+    userId: user._id.toString(),
+    planId: plan._id.toString(),
+    endDate: subscription.endDate.toISOString(),
+  });
+  return subscription;
+};
+
+export default { normalizeTrialEmail, startTrial };
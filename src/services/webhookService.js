@@ -0,0 +1,175 @@
+// src/services/webhookService.js
+import crypto from 'crypto';
+import Payment from '../models/Payment.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { fulfillPayment } from './fulfillmentService.js';
+import {
+  handleSubscriptionCharged,
+  handleSubscriptionActivated,
+  handleSubscriptionStopped,
+} from './autoRenewService.js';
+import { handleRefundProcessed, handleRefundFailed } from './refundService.js';
+import logger from '../utils/logger.js';
+
+const PAYMENT_EVENTS = ['payment.captured', 'payment.authorized', 'payment.failed', 'order.paid'];
+
+/**
+ * Record a payment event on our Payment and, once money is captured, run fulfillment
+ * (same service as /api/payments/verify, so only the first of the two applies it).
+ * Returns 'processed' or 'unmatched' (no Payment for the order).
+ */
+const handlePaymentEvent = async (event, paymentEntity, eventDoc) => {
+  const razorpayOrderId = paymentEntity.order_id;
+  const razorpayPaymentId = paymentEntity.id;
+  const status = paymentEntity.status;
+
+  // find Payment record by razorpayOrderId
+  const p = await Payment.findOne({ razorpayOrderId: razorpayOrderId });
+  if (!p) {
+    logger.warn('Webhook: no Payment record for order', { razorpayOrderId, eventId: eventDoc.eventId });
+    return 'unmatched';
+  }
+
+  if (!eventDoc.payment) {
+    eventDoc.payment = p._id;
+    await eventDoc.save();
+  }
+
+  // Keep a per-status copy of the entity; the full history lives in WebhookEvent
+  const update = {
+    $set: { webhookReceived: true, [`gatewayResponse.webhook.${status}`]: paymentEntity },
+    $addToSet: { webhookEvents: eventDoc._id },
+  };
+  // A failure event never overrides a payment that already completed (e.g. an earlier attempt failed)
+  if (status === 'failed' && p.status === 'pending') {
+    update.$set.status = 'failed';
+    update.$set.failureReason = `Webhook: ${paymentEntity.error_description || 'payment failed'}`;
+  }
+  // gatewayResponse may be unset or hold a non-object on older payments
+  if (!p.gatewayResponse || typeof p.gatewayResponse !== 'object') {
+    update.$set.gatewayResponse = { webhook: { [status]: paymentEntity } };
+    delete update.$set[`gatewayResponse.webhook.${status}`];
+  }
+  await Payment.updateOne({ _id: p._id }, update);
+
+  const captured = event === 'order.paid' || status === 'captured';
+  if (!captured) return 'processed';
+
+  try {
+    const fresh = await Payment.findById(p._id);
+    const result = await fulfillPayment(fresh, { source: 'webhook', razorpayPaymentId, gatewayResponse: { webhook: paymentEntity } });
+    logger.info('Webhook fulfillment', {
+      paymentId: p._id.toString(),
+      alreadyProcessed: result.alreadyProcessed,
+      subscriptionId: result.subscription ? result.subscription._id.toString() : null,
+    });
+  } catch (err) {
+    // Business-rule rejections (4xx) mark the payment failed; nothing for Razorpay to retry
+    if (err && err.statusCode && err.statusCode < 500) {
+      logger.warn('Webhook fulfillment rejected', { paymentId: p._id.toString(), err: err.message });
+      return 'processed';
+    }
+    throw err;
+  }
+
+  return 'processed';
+};
+
+/**
+ * Route an event to its handler. Returns the final status for the WebhookEvent.
+ */
+const dispatch = async (eventDoc) => {
+  const { event, payload: data } = eventDoc.payload || {};
+
+  // One-off payments: payment.authorized / payment.captured / payment.failed / order.paid
+  if (PAYMENT_EVENTS.includes(event)) {
+    const paymentEntity = data && data.payment ? data.payment.entity : null;
+    if (!paymentEntity) return 'ignored';
+    return handlePaymentEvent(event, paymentEntity, eventDoc);
+  }
+
+  // Refunds (initiated via /api/payments/:paymentId/refund or the Razorpay dashboard)
+  if (event === 'refund.processed' || event === 'refund.failed') {
+    const refundEntity = data && data.refund ? data.refund.entity : null;
+    const result = event === 'refund.processed'
+      ? await handleRefundProcessed(refundEntity)
+      : await handleRefundFailed(refundEntity);
+    if (result.payment && !eventDoc.payment) eventDoc.payment = result.payment._id;
+    return result.handled ? 'processed' : 'unmatched';
+  }
+
+  // Recurring billing (Razorpay Subscriptions / auto-renew)
+  const subscriptionEntity = data && data.subscription ? data.subscription.entity : null;
+  let result = null;
+  if (event === 'subscription.charged') {
+    result = await handleSubscriptionCharged(subscriptionEntity, data && data.payment ? data.payment.entity : null);
+  } else if (event === 'subscription.authenticated' || event === 'subscription.activated') {
+    result = await handleSubscriptionActivated(subscriptionEntity);
+  } else if (event === 'subscription.halted' || event === 'subscription.cancelled') {
+    result = await handleSubscriptionStopped(subscriptionEntity);
+  }
+
+  if (!result) return 'ignored';
+  return result.handled ? 'processed' : 'unmatched';
+};
+
+/**
+ * Store a verified webhook. Returns { eventDoc, duplicate }.
+ * duplicate=true means the event id was seen before and should not be processed again
+ * (unless the earlier attempt failed, in which case Razorpay's retry is processed).
+ *
+ * @param {Object} body - parsed event body
+ * @param {Buffer} rawBody - used to derive an id when the header is missing
+ * @param {String} [headerEventId] - x-razorpay-event-id
+ */
+export const recordWebhookEvent = async (body, rawBody, headerEventId) => {
+  const eventId = headerEventId || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+  try {
+    const eventDoc = await WebhookEvent.create({
+      eventId,
+      event: body.event || 'unknown',
+      payload: body,
+      ...WebhookEvent.extractIds(body),
+    });
+    return { eventDoc, duplicate: false };
+  } catch (err) {
+    if (!err || err.code !== 11000) throw err;
+    // Earlier delivery failed (we answered 5xx): this is Razorpay's retry, claim it and process again
+    const retry = await WebhookEvent.findOneAndUpdate(
+      { eventId, status: 'failed' },
+      { $set: { status: 'received' } },
+      { new: true }
+    );
+    if (retry) return { eventDoc: retry, duplicate: false };
+    return { eventDoc: await WebhookEvent.findOne({ eventId }), duplicate: true };
+  }
+};
+
+/**
+ * Process a stored event, tracking attempts / status / error on the document.
+ * Throws if the handler failed so the webhook endpoint can ask Razorpay to retry.
+ */
+export const processWebhookEvent = async (eventDoc) => {
+  eventDoc.status = 'processing';
+  eventDoc.attempts = (eventDoc.attempts || 0) + 1;
+  eventDoc.lastAttemptAt = new Date();
+  await eventDoc.save();
+
+  try {
+    const status = await dispatch(eventDoc);
+    eventDoc.status = status;
+    eventDoc.lastError = undefined;
+    eventDoc.processedAt = new Date();
+    await eventDoc.save();
+    return eventDoc;
+  } catch (err) {
+    eventDoc.status = 'failed';
+    eventDoc.lastError = String(err?.stack || err?.message || err).slice(0, 2000);
+    await eventDoc.save();
+    logger.error('Webhook event processing failed', { eventId: eventDoc.eventId, event: eventDoc.event, err: err?.message || err });
+    throw err;
+  }
+};
+
+export default { recordWebhookEvent, processWebhookEvent };
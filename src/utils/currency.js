@@ -0,0 +1,66 @@
+// src/utils/currency.js
+// Currencies plans can be priced in. All amounts are integers in the currency's minor unit
+// (paise, cents, ...); every supported currency has 2 decimals.
+
+export const BASE_CURRENCY = 'INR';
+
+export const SUPPORTED_CURRENCIES = {
+  INR: { symbol: '₹', name: 'Indian Rupee' },
+  USD: { symbol: '$', name: 'US Dollar' },
+  EUR: { symbol: '€', name: 'Euro' },
+  GBP: { symbol: '£', name: 'British Pound' },
+  AUD: { symbol: 'A$', name: 'Australian Dollar' },
+  CAD: { symbol: 'C$', name: 'Canadian Dollar' },
+  SGD: { symbol: 'S$', name: 'Singapore Dollar' },
+  AED: { symbol: 'AED ', name: 'UAE Dirham' },
+};
+
+export const CURRENCY_CODES = Object.keys(SUPPORTED_CURRENCIES);
+
+// Billing country (ISO 3166-1 alpha-2) -> currency offered by default
+const EUROZONE = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+const COUNTRY_CURRENCY = {
+  IN: 'INR',
+  US: 'USD',
+  GB: 'GBP',
+  AU: 'AUD',
+  CA: 'CAD',
+  SG: 'SGD',
+  AE: 'AED',
+  ...Object.fromEntries(EUROZONE.map((c) => [c, 'EUR'])),
+};
+
+export const isSupportedCurrency = (code) => Boolean(code && SUPPORTED_CURRENCIES[String(code).toUpperCase()]);
+
+export const currencyForCountry = (country) => COUNTRY_CURRENCY[String(country || '').toUpperCase()] || null;
+
+/**
+ * Price of a plan (document or planSnapshot) in `currency`, in minor units; null if it has none.
+ * INR is the plan's base `amount`; other currencies come from `prices`.
+ */
+export const priceIn = (terms, currency = BASE_CURRENCY) => {
+  if (!terms) return null;
+  if (currency === BASE_CURRENCY) return terms.amount != null ? Number(terms.amount) : null;
+  const entry = (terms.prices || []).find((p) => p.currency === currency);
+  return entry ? Number(entry.amount) : null;
+};
+
+/**
+ * 12345 + 'USD' -> "$123.45"; credits (negative amounts) as "-$123.45".
+ */
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const symbol = SUPPORTED_CURRENCIES[currency]?.symbol ?? `${currency} `;
+  const major = Number(amount) / 100;
+  if (!Number.isFinite(major)) return `${symbol}0.00`;
+  return major < 0 ? `-${symbol}${Math.abs(major).toFixed(2)}` : `${symbol}${major.toFixed(2)}`;
+};
+
+export default {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CURRENCY_CODES,
+  isSupportedCurrency,
+  currencyForCountry,
+  priceIn,
+  formatMoney,
+};
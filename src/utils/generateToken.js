@@ -14,6 +14,20 @@ export const generateToken = (userId, expiresIn = process.env.JWT_EXPIRE || '7d'
   return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn });
 };
 
+/**
+ * Generate a short-lived access token bound to a server-side session.
+ * @param {String|ObjectId} userId
+ * @param {String|ObjectId} sessionId - Session document id (checked by protect)
+ * @param {String} expiresIn - defaults to env JWT_ACCESS_EXPIRE or '15m'
+ * @returns {String} JWT token
+ */
+export const generateAccessToken = (userId, sessionId, expiresIn = process.env.JWT_ACCESS_EXPIRE || '15m') => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return jwt.sign({ id: userId, sid: String(sessionId) }, process.env.JWT_SECRET, { expiresIn });
+};
+
 /**
  * Verify a JWT and return the decoded payload (throws on invalid/expired).
  * @param {String} token
@@ -26,4 +40,39 @@ export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-export default { generateToken, verifyToken };
+/**
+ * Email verification tokens are signed with a separate secret so they can never be used as access tokens.
+ */
+const getEmailVerificationSecret = () => {
+  if (process.env.EMAIL_VERIFICATION_SECRET) return process.env.EMAIL_VERIFICATION_SECRET;
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return `${process.env.JWT_SECRET}:email-verification`;
+};
+
+/**
+ * Generate a signed email verification token bound to a user and an address.
+ * @param {String|ObjectId} userId
+ * @param {String} email - address being verified
+ * @param {String} expiresIn - defaults to env EMAIL_VERIFICATION_EXPIRE or '24h'
+ * @returns {String} JWT token
+ */
+export const generateEmailVerificationToken = (userId, email, expiresIn = process.env.EMAIL_VERIFICATION_EXPIRE || '24h') => {
+  return jwt.sign({ id: userId, email, purpose: 'email-verification' }, getEmailVerificationSecret(), { expiresIn });
+};
+
+/**
+ * Verify an email verification token (throws on invalid/expired).
+ * @param {String} token
+ * @returns {Object} decoded payload ({ id, email, purpose })
+ */
+export const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, getEmailVerificationSecret());
+  if (decoded.purpose !== 'email-verification') {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+export default { generateToken, generateAccessToken, verifyToken, generateEmailVerificationToken, verifyEmailVerificationToken };
@@ -0,0 +1,35 @@
+// src/utils/invoiceNumber.js
+// Invoice numbers: <prefix>/<financial year>/<sequence>, e.g. INV/26-27/000042.
+// GST rules allow at most 16 characters (letters, digits, '-' and '/').
+
+import logger from './logger.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const SEQUENCE_DIGITS = 6;
+const MAX_LENGTH = 16;
+
+// Read lazily: server.js loads .env after the modules are imported
+export const getInvoicePrefix = () => (process.env.INVOICE_NUMBER_PREFIX || 'INV').toUpperCase();
+
+/**
+ * Indian financial year (April-March, IST) a date falls in, e.g. 2026-05-01 -> '26-27'
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const yy = (y) => String(y % 100).padStart(2, '0');
+  return `${yy(startYear)}-${yy(startYear + 1)}`;
+};
+
+let warned = false;
+
+export const formatInvoiceNumber = (financialYear, sequence, prefix = getInvoicePrefix()) => {
+  const number = `${prefix}/${financialYear}/${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+  if (number.length > MAX_LENGTH && !warned) {
+    warned = true;
+    logger.warn(`Invoice numbers are longer than ${MAX_LENGTH} characters; shorten INVOICE_NUMBER_PREFIX`, { example: number });
+  }
+  return number;
+};
+
+export default { getInvoicePrefix, getFinancialYear, formatInvoiceNumber };
@@ -1,25 +1,17 @@
 // src/utils/jwt.js
-import { generateToken, verifyToken } from './generateToken.js';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { generateToken, generateAccessToken, verifyToken } from './generateToken.js';
+
+// Refresh cookie is only sent to the auth routes that need it
+const REFRESH_COOKIE_PATH = '/api/auth';
 
 /**
- * Send token response with cookie and sanitized user object.
- * - Cookie options: 7 days by default (same as token expiry).
- * - In production we set secure and sameSite accordingly.
- *
- * @param {Object} user - Mongoose user document (can be populated)
- * @param {Number} statusCode
- * @param {Object} res - Express response
- * @param {String} message - optional message
+ * Base cookie options shared by the access and refresh cookies.
+ * In production we set secure and sameSite accordingly.
  */
-export const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  // create token
-  const token = generateToken(user._id);
-
-  // build cookie options
-  const cookieOptions = {
-    expires: new Date(Date.now() + (process.env.JWT_COOKIE_EXPIRE_DAYS ? Number(process.env.JWT_COOKIE_EXPIRE_DAYS) : 7) * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-  };
+const baseCookieOptions = () => {
+  const cookieOptions = { httpOnly: true };
 
   // In production prefer secure cookies. If you need cross-site cookies (mobile webviews), set sameSite='none' and secure=true.
   if (process.env.NODE_ENV === 'production') {
@@ -31,6 +23,53 @@ export const sendTokenResponse = (user, statusCode, res, message = 'Success') =>
     cookieOptions.sameSite = process.env.COOKIE_SAMESITE || 'lax';
   }
 
+  return cookieOptions;
+};
+
+/**
+ * Set access + refresh cookies. Cookie lifetimes follow the token lifetimes.
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken, refreshExpiresAt }) => {
+  const decoded = jwt.decode(accessToken);
+  const accessExpires = decoded && decoded.exp ? new Date(decoded.exp * 1000) : new Date(Date.now() + 15 * 60 * 1000);
+
+  res.cookie('token', accessToken, { ...baseCookieOptions(), expires: accessExpires });
+  res.cookie('refreshToken', refreshToken, {
+    ...baseCookieOptions(),
+    expires: new Date(refreshExpiresAt),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Clear access + refresh cookies (logout / revoked session).
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token', baseCookieOptions());
+  res.clearCookie('refreshToken', { ...baseCookieOptions(), path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Send token response with cookies and sanitized user object.
+ * - Creates a new Session for this device unless `issued` ({ session, refreshToken }) is passed (refresh flow).
+ * - Access token is short-lived (JWT_ACCESS_EXPIRE, default 15m); refresh token rotates on every use.
+ *
+ * @param {Object} user - Mongoose user document (can be populated)
+ * @param {Number} statusCode
+ * @param {Object} res - Express response
+ * @param {String} message - optional message
+ * @param {Object} issued - optional existing { session, refreshToken }
+ */
+export const sendTokenResponse = async (user, statusCode, res, message = 'Success', issued = null) => {
+  const req = res.req;
+  const { session, refreshToken } = issued || await Session.issue(user._id, {
+    userAgent: req && req.get ? req.get('user-agent') : undefined,
+    ip: req ? req.ip : undefined,
+  });
+
+  // create token
+  const token = generateAccessToken(user._id, session._id);
+
   // Safely build user object to return (strip sensitive fields if present)
   let userObj = user;
   try {
@@ -45,17 +84,18 @@ export const sendTokenResponse = (user, statusCode, res, message = 'Success') =>
   if (userObj.resetPasswordExpire) delete userObj.resetPasswordExpire;
   if (userObj.__v) delete userObj.__v;
 
-  // Send cookie + JSON
+  // Send cookies + JSON (tokens also in body for non-browser clients)
+  setAuthCookies(res, { accessToken: token, refreshToken, refreshExpiresAt: session.expiresAt });
   res
     .status(statusCode)
-    .cookie('token', token, cookieOptions)
     .json({
       success: true,
       message,
       token,
+      refreshToken,
       user: userObj,
     });
 };
 
-export { generateToken, verifyToken };
-export default { sendTokenResponse, generateToken, verifyToken };
+export { generateToken, generateAccessToken, verifyToken };
+export default { sendTokenResponse, setAuthCookies, clearAuthCookies, generateToken, generateAccessToken, verifyToken };
@@ -1,5 +1,8 @@
 // src/utils/pdfGenerator.js
 import PDFDocument from 'pdfkit';
+import { getSellerDetails } from '../config/seller.js';
+import { GST_STATE_CODES, EXPORT_PLACE_OF_SUPPLY } from './tax.js';
+import { BASE_CURRENCY, formatMoney } from './currency.js';
 
 /**
  * Simple helper: convert a readable stream (PDFKit doc) into a Buffer.
@@ -20,18 +23,25 @@ export const generateInvoicePdfBuffer = async (invoiceData = {}) => {
     date = new Date().toISOString(),
     user = { name: '', email: '' },
     planName = '',
-    amount, // in paise
+    amount, // in minor units of `currency` (paise for INR)
     amountRupees,
+    currency = BASE_CURRENCY,
     items = [],
     notes = '',
+    // credit notes reuse this layout
+    title = 'Invoice',
+    numberLabel = 'Invoice No',
+    reference = '',
+    footer = 'Thank you for your payment!',
+    // GST: seller/buyer details and the Payment.tax breakdown (tax invoices only)
+    seller = getSellerDetails(),
+    billedTo = null,
+    tax = null,
   } = invoiceData;
 
-  const formatPaise = (p) => {
-    if (p == null) return '₹0.00';
-    const rupees = Number(p) / 100;
-    if (!Number.isFinite(rupees)) return '₹0.00';
-    return `₹${rupees.toFixed(2)}`;
-  };
+  // credits (e.g. upgrade proration) are negative line items
+  const formatPaise = (p) => formatMoney(p == null ? 0 : p, currency);
+  const isExport = Boolean(tax && tax.supplyType === 'export');
 
   // compute total (paise)
   const totalPaise = (amount != null)
@@ -49,23 +59,37 @@ export const generateInvoicePdfBuffer = async (invoiceData = {}) => {
 
   try {
     // Header
-    doc.fontSize(20).text('Invoice', { align: 'center' });
+    doc.fontSize(20).text(title, { align: 'center' });
     doc.moveDown(0.5);
 
-    doc.fontSize(10).text(`Invoice No: ${invoiceNumber}`, { align: 'right' });
+    doc.fontSize(10).text(`${numberLabel}: ${invoiceNumber}`, { align: 'right' });
     doc.text(`Date: ${new Date(date).toLocaleDateString()}`, { align: 'right' });
+    if (reference) doc.text(reference, { align: 'right' });
     doc.moveDown(1);
 
     // From
     doc.fontSize(11).fillColor('#000').text('From:');
-    doc.fontSize(10).text('Prydan (Your Company)');
-    doc.text('no-reply@prydan.com');
+    doc.fontSize(10).text(seller.legalName);
+    if (seller.address) doc.text(seller.address);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+    doc.text(seller.email);
     doc.moveDown(0.8);
 
     // Bill To
     doc.fontSize(11).text('Bill To:');
-    doc.fontSize(10).text(user.name || '-');
+    doc.fontSize(10).text((billedTo && billedTo.legalName) || user.name || '-');
+    if (billedTo) {
+      [billedTo.addressLine1, billedTo.addressLine2, [billedTo.city, billedTo.postalCode].filter(Boolean).join(' - ')]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+      if (billedTo.stateCode) doc.text(`State: ${billedTo.state || GST_STATE_CODES[billedTo.stateCode] || ''} (${billedTo.stateCode})`);
+      if (billedTo.gstin) doc.text(`GSTIN: ${billedTo.gstin}`);
+    }
     doc.text(user.email || '-');
+    if (tax && tax.placeOfSupply) {
+      const pos = tax.placeOfSupply === EXPORT_PLACE_OF_SUPPLY ? 'Outside India' : GST_STATE_CODES[tax.placeOfSupply] || '';
+      doc.text(`Place of supply: ${pos} (${tax.placeOfSupply})`);
+    }
     doc.moveDown(0.8);
 
     // separator
@@ -75,6 +99,7 @@ export const generateInvoicePdfBuffer = async (invoiceData = {}) => {
 
     // Table header
     doc.fontSize(11).text('Description', 50, doc.y, { continued: true });
+    if (tax && tax.sacCode) doc.text('SAC', 280, doc.y, { width: 60, align: 'right', continued: true });
     doc.text('Qty', 350, doc.y, { width: 50, align: 'right', continued: true });
     doc.text('Amount', 450, doc.y, { width: 90, align: 'right' });
     doc.moveDown(0.4);
@@ -86,25 +111,53 @@ export const generateInvoicePdfBuffer = async (invoiceData = {}) => {
         const qty = Number(it.qty || 1);
         const amt = formatPaise(it.unitAmountPaise || 0);
         doc.fontSize(10).text(desc, 50, doc.y, { continued: true });
+        if (tax && tax.sacCode) doc.text(tax.sacCode, 280, doc.y, { width: 60, align: 'right', continued: true });
         doc.text(String(qty), 350, doc.y, { width: 50, align: 'right', continued: true });
         doc.text(amt, 450, doc.y, { width: 90, align: 'right' });
         doc.moveDown(0.3);
       });
     } else {
       doc.fontSize(10).text(planName || 'Subscription', 50, doc.y, { continued: true });
+      if (tax && tax.sacCode) doc.text(tax.sacCode, 280, doc.y, { width: 60, align: 'right', continued: true });
       doc.text('1', 350, doc.y, { width: 50, align: 'right', continued: true });
       if (amount != null) {
         doc.text(formatPaise(amount), 450, doc.y, { width: 90, align: 'right' });
       } else if (amountRupees != null) {
-        doc.text(`₹${Number(amountRupees).toFixed(2)}`, 450, doc.y, { width: 90, align: 'right' });
+        doc.text(formatPaise(Math.round(Number(amountRupees) * 100)), 450, doc.y, { width: 90, align: 'right' });
       } else {
-        doc.text('₹0.00', 450, doc.y, { width: 90, align: 'right' });
+        doc.text(formatPaise(0), 450, doc.y, { width: 90, align: 'right' });
       }
       doc.moveDown(0.4);
     }
 
     doc.moveDown(1);
 
+    // Tax summary
+    if (tax) {
+      const half = tax.rate / 2;
+      const rows = [['Taxable value', tax.taxableAmount]];
+      if (isExport) {
+        rows.push(['Export of services (zero-rated)', 0]);
+      } else if (tax.supplyType === 'intra_state') {
+        rows.push([`CGST @ ${half}%`, tax.cgst], [`${tax.stateTaxLabel || 'SGST'} @ ${half}%`, tax.sgst]);
+      } else {
+        rows.push([`IGST @ ${tax.rate}%`, tax.igst]);
+      }
+      rows.forEach(([label, value]) => {
+        doc.fontSize(10).text(label, 300, doc.y, { width: 140, continued: true });
+        doc.text(formatPaise(value), 450, doc.y, { width: 90, align: 'right' });
+        doc.moveDown(0.2);
+      });
+      if (isExport) {
+        doc.fontSize(8).fillColor('#666').text('Supply meant for export without payment of IGST', 300, doc.y);
+        doc.fillColor('#000');
+      } else if (tax.taxInclusive) {
+        doc.fontSize(8).fillColor('#666').text('Prices are inclusive of GST', 300, doc.y);
+        doc.fillColor('#000');
+      }
+      doc.moveDown(0.6);
+    }
+
     // Total
     doc.fontSize(11).text('Total', 350, doc.y, { continued: true });
     doc.text(formatPaise(totalPaise), 450, doc.y, { width: 90, align: 'right' });
@@ -118,7 +171,7 @@ export const generateInvoicePdfBuffer = async (invoiceData = {}) => {
     }
 
     doc.moveDown(2);
-    doc.fontSize(9).fillColor('#666').text('Thank you for your payment!', { align: 'center' });
+    doc.fontSize(9).fillColor('#666').text(footer, { align: 'center' });
 
     // Finalize PDF and collect buffer
     doc.end();
@@ -0,0 +1,91 @@
+// src/utils/proration.js
+import { BASE_CURRENCY, priceIn } from './currency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Razorpay rejects orders below 1 unit of the currency, so an upgrade always charges at least this much
+export const MIN_CHARGE_PAISE = 100;
+
+/*
+ * What a payment actually paid for its period, in plan-price terms (before GST added on top of a
+ * tax-exclusive price), net of refunds. An upgrade payment's period was also funded by the credit
+ * it carried over, including the part turned into bonus days.
+ */
+const paidForPeriod = (payment, durationDays) => {
+  const amount = Number(payment.amount) || 0;
+  if (amount <= 0) return 0;
+  const price = payment.tax?.taxInclusive === false && payment.tax.taxableAmount != null ? payment.tax.taxableAmount : amount;
+  const kept = (price * Math.max(0, amount - (payment.refundedAmount || 0))) / amount;
+
+  const pr = payment.action === 'upgrade' ? payment.proration : null;
+  if (!pr) return kept;
+  const bonusValue = pr.bonusDays > 0 && pr.planAmount > 0 ? (pr.bonusDays * pr.planAmount) / durationDays : 0;
+  return kept + (pr.creditAmount || 0) + bonusValue;
+};
+
+/**
+ * Work out what an upgrade should cost given the unused time on the current subscription.
+ *
+ * The unused value is priced at the per-day rate the user actually paid: the net of the payment
+ * that funded the current period, after discount and refunds. Without one (subscriptions nobody
+ * paid for through us) the list price it was bought at is used (subscription.planSnapshot,
+ * falling back to the old plan's current terms); creditSource records which.
+ * Credit that exceeds the new plan price (e.g. after several renewals) is not lost:
+ * it is converted into bonus days on the new plan.
+ *
+ * @param {Object} params
+ * @param {Object} params.subscription - subscription being upgraded
+ * @param {Object} params.oldPlan - plan document of that subscription (fallback for legacy subs)
+ * @param {Object} params.newPlan - target plan document
+ * @param {Object} [params.payment] - payment that funded the current period (Payment.findFundingPayment)
+ * @param {String} [params.currency='INR'] - the subscription's currency; both prices are taken in it
+ * @param {Date} [params.now]
+ * @returns {Object} { planAmount, creditAmount, chargeAmount, remainingDays, bonusDays, oldPlanName, oldPlanAmount, oldPlanDuration, oldPeriodEnd, creditSource, creditPayment }
+ */
+export const calculateUpgradeProration = ({ subscription, oldPlan, newPlan, payment, currency = BASE_CURRENCY, now = new Date() }) => {
+  const terms = subscription?.planSnapshot?.amount != null ? subscription.planSnapshot : oldPlan || {};
+  let oldDuration = Number(terms.duration) > 0 ? Number(terms.duration) : 30;
+  let oldAmount;
+  const fromPayment = Boolean(payment) && (payment.currency || BASE_CURRENCY) === currency;
+  if (fromPayment) {
+    oldAmount = Math.round(paidForPeriod(payment, oldDuration));
+    // bonus days from an upgrade lengthen the period that payment funded
+    if (payment.action === 'upgrade') oldDuration += payment.proration?.bonusDays || 0;
+  } else {
+    oldAmount = priceIn(terms, currency) ?? priceIn(oldPlan, currency) ?? 0;
+  }
+
+  const planAmount = Number(priceIn(newPlan, currency));
+  const newDuration = Number(newPlan.duration) > 0 ? Number(newPlan.duration) : 30;
+
+  const endDate = subscription?.endDate ? new Date(subscription.endDate) : null;
+  const isLive = subscription?.status === 'active' && endDate && endDate > now;
+  const remainingMs = isLive ? endDate.getTime() - now.getTime() : 0;
+
+  const unusedValue = Math.round((oldAmount * remainingMs) / (oldDuration * DAY_MS));
+
+  // Apply as much credit as possible while keeping the minimum charge
+  const maxCredit = Math.max(0, planAmount - MIN_CHARGE_PAISE);
+  const creditAmount = Math.min(unusedValue, maxCredit);
+  const chargeAmount = planAmount - creditAmount;
+
+  // Left-over credit becomes extra days at the new plan's daily rate
+  const leftover = unusedValue - creditAmount;
+  const bonusDays = leftover > 0 && planAmount > 0 ? Math.floor((leftover * newDuration) / planAmount) : 0;
+
+  return {
+    planAmount,
+    creditAmount,
+    chargeAmount,
+    remainingDays: Math.round((remainingMs / DAY_MS) * 100) / 100,
+    bonusDays,
+    oldPlanName: terms.name || (oldPlan && oldPlan.name) || '',
+    oldPlanAmount: oldAmount,
+    oldPlanDuration: oldDuration,
+    oldPeriodEnd: endDate,
+    creditSource: fromPayment ? 'payment' : 'list_price',
+    creditPayment: fromPayment ? payment._id : undefined,
+  };
+};
+
+export default { calculateUpgradeProration, MIN_CHARGE_PAISE };
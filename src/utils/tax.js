@@ -0,0 +1,149 @@
+// src/utils/tax.js
+// GST for Indian customers. All amounts are in paise (integers).
+
+// GST state / UT codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+// Place of supply code for services supplied to a recipient outside India
+export const EXPORT_PLACE_OF_SUPPLY = '96';
+
+// Union territories without a legislature levy UTGST instead of SGST
+const UTGST_STATE_CODES = ['04', '26', '31', '35', '38'];
+
+export const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const isValidGstin = (gstin) =>
+  typeof gstin === 'string' && GSTIN_REGEX.test(gstin) && Boolean(GST_STATE_CODES[gstin.slice(0, 2)]);
+
+// Read lazily: server.js loads .env after the modules are imported
+export const getGstRate = () => {
+  const rate = Number(process.env.GST_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : 18;
+};
+
+/**
+ * What the customer pays for a price of `amount` (before tax for tax-exclusive plans).
+ * The GST rate is the same for CGST+SGST and IGST, so this doesn't depend on the customer's state.
+ */
+export const grossAmount = (amount, taxInclusive = true, rate = getGstRate()) =>
+  taxInclusive ? amount : amount + Math.round((amount * rate) / 100);
+
+/**
+ * Place of supply for a customer: the GSTIN's state for registered buyers, else their
+ * billing state, else the seller's state (no address on record).
+ */
+export const placeOfSupplyFor = (billingProfile, sellerStateCode) => {
+  if (billingProfile?.gstin && isValidGstin(billingProfile.gstin)) return billingProfile.gstin.slice(0, 2);
+  if (billingProfile?.stateCode && GST_STATE_CODES[billingProfile.stateCode]) return billingProfile.stateCode;
+  return sellerStateCode;
+};
+
+/**
+ * Export of services (recipient outside India): zero-rated, so nothing is added or split out.
+ * Same shape as calculateGst.
+ */
+export const zeroRatedExport = (amount) => ({
+  rate: 0,
+  taxInclusive: true,
+  taxableAmount: amount,
+  cgst: 0,
+  sgst: 0,
+  igst: 0,
+  totalTax: 0,
+  total: amount,
+  placeOfSupply: EXPORT_PLACE_OF_SUPPLY,
+  supplyType: 'export',
+  stateTaxLabel: 'SGST',
+});
+
+/**
+ * Split a charge into taxable value and GST.
+ *
+ * Intra-state supplies (place of supply = seller state) carry CGST + SGST/UTGST at half
+ * the rate each; inter-state supplies carry IGST at the full rate.
+ *
+ * @param {Object} params
+ * @param {Number} params.amount - price in paise (gross if taxInclusive, net otherwise)
+ * @param {Boolean} [params.taxInclusive=true]
+ * @param {Number} [params.rate] - GST % (default GST_RATE env or 18)
+ * @param {String} params.sellerStateCode
+ * @param {String} params.placeOfSupply - state code
+ * @returns {Object} { rate, taxInclusive, taxableAmount, cgst, sgst, igst, totalTax, total, placeOfSupply, supplyType, stateTaxLabel }
+ */
+export const calculateGst = ({ amount, taxInclusive = true, rate = getGstRate(), sellerStateCode, placeOfSupply }) => {
+  const total = grossAmount(amount, taxInclusive, rate);
+  const taxableAmount = taxInclusive ? Math.round((amount * 100) / (100 + rate)) : amount;
+  const totalTax = total - taxableAmount;
+
+  const pos = placeOfSupply || sellerStateCode;
+  const intraState = Boolean(sellerStateCode) && pos === sellerStateCode;
+
+  // Halves are rounded so that cgst + sgst always equals totalTax
+  const cgst = intraState ? Math.floor(totalTax / 2) : 0;
+  const sgst = intraState ? totalTax - cgst : 0;
+  const igst = intraState ? 0 : totalTax;
+
+  return {
+    rate,
+    taxInclusive,
+    taxableAmount,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+    total,
+    placeOfSupply: pos,
+    supplyType: intraState ? 'intra_state' : 'inter_state',
+    stateTaxLabel: UTGST_STATE_CODES.includes(pos) ? 'UTGST' : 'SGST',
+  };
+};
+
+export default {
+  GST_STATE_CODES,
+  EXPORT_PLACE_OF_SUPPLY,
+  GSTIN_REGEX,
+  isValidGstin,
+  getGstRate,
+  grossAmount,
+  placeOfSupplyFor,
+  zeroRatedExport,
+  calculateGst,
+};
@@ -0,0 +1,63 @@
+// src/utils/timezone.js
+// Date ranges for reports, in an IANA time zone (e.g. "Asia/Kolkata").
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_REPORT_DAYS = 30;
+
+// Buckets a report series can be grouped into
+export const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+export const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+// Offset of `tz` from UTC at `date`, in ms (positive east of UTC)
+const offsetMs = (date, tz) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.type === 'literal' ? p.value : Number(p.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * "2026-04-01" -> the instant that day starts in `tz`. Anything else is parsed as a full timestamp.
+ */
+export const parseDateInZone = (value, tz = 'UTC') => {
+  if (!DATE_ONLY.test(String(value))) return new Date(value);
+  const [y, m, d] = String(value).split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d);
+  const guess = wall - offsetMs(new Date(wall), tz);
+  // the offset can differ at the guessed instant (DST change that day)
+  return new Date(wall - offsetMs(new Date(guess), tz));
+};
+
+/**
+ * Report range [from, to) from query strings. Defaults to the last DEFAULT_REPORT_DAYS days.
+ */
+export const resolveReportRange = ({ from, to, tz = 'UTC' } = {}, now = new Date()) => {
+  const end = to ? parseDateInZone(to, tz) : now;
+  const start = from ? parseDateInZone(from, tz) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+  return { from: start, to: end, tz };
+};
+
+export default { DEFAULT_REPORT_DAYS, REPORT_INTERVALS, isValidTimeZone, parseDateInZone, resolveReportRange };
@@ -0,0 +1,102 @@
+// src/utils/zipStream.js
+// Minimal streaming ZIP writer (stored entries, no compression; PDFs are already compressed).
+// Each file is written as soon as it is added, so only one file is held in memory at a time.
+import { crc32 } from 'zlib';
+
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+const UTF8_NAMES = 0x0800;
+
+// ZIP stores local time as MS-DOS date/time (2-second precision, years 1980-2107)
+const dosDateTime = (date) => {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+};
+
+/**
+ * @param {Function} write - async (Buffer) => void; should wait for the destination to drain
+ * @returns {{ addFile: Function, finish: Function }}
+ */
+export const createZipStream = (write) => {
+  const entries = [];
+  const names = new Set();
+  let offset = 0;
+
+  const emit = async (buf) => {
+    await write(buf);
+    offset += buf.length;
+  };
+
+  /**
+   * Add a file. Duplicate names get a " (2)", " (3)", ... suffix before the extension.
+   */
+  const addFile = async (name, data, { date } = {}) => {
+    if (entries.length >= MAX_ENTRIES) throw new Error('Too many files for a ZIP archive');
+
+    let unique = name;
+    for (let n = 2; names.has(unique); n += 1) unique = name.replace(/(\.[^./]*)?$/, ` (${n})$1`);
+    names.add(unique);
+
+    const nameBuf = Buffer.from(unique, 'utf8');
+    const { time, date: dosDate } = dosDateTime(date);
+    const crc = crc32(data);
+    if (offset + 30 + nameBuf.length + data.length > MAX_OFFSET) throw new Error('ZIP archive too large');
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(10, 4); // version needed: stored
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(0, 8); // method: stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push({ nameBuf, time, dosDate, crc, size: data.length, offset });
+    await emit(Buffer.concat([header, nameBuf]));
+    await emit(data);
+  };
+
+  /**
+   * Write the central directory. Nothing can be added afterwards.
+   */
+  const finish = async () => {
+    const start = offset;
+    for (const e of entries) {
+      const rec = Buffer.alloc(46);
+      rec.writeUInt32LE(0x02014b50, 0);
+      rec.writeUInt16LE(20, 4); // made by
+      rec.writeUInt16LE(10, 6); // version needed
+      rec.writeUInt16LE(UTF8_NAMES, 8);
+      rec.writeUInt16LE(0, 10);
+      rec.writeUInt16LE(e.time, 12);
+      rec.writeUInt16LE(e.dosDate, 14);
+      rec.writeUInt32LE(e.crc, 16);
+      rec.writeUInt32LE(e.size, 20);
+      rec.writeUInt32LE(e.size, 24);
+      rec.writeUInt16LE(e.nameBuf.length, 28);
+      // extra, comment, disk start, internal and external attributes: 0
+      rec.writeUInt32LE(e.offset, 42);
+      await emit(Buffer.concat([rec, e.nameBuf]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+  };
+
+  return { addFile, finish };
+};
+
+export default { createZipStream };